@@ -0,0 +1,458 @@
+/**
+ * Archetypes module for the FPS game
+ * Registry of data-driven enemy types: stats plus a behavior tree, validated against a schema
+ */
+(function (MyApp) {
+    // Dependencies
+    const Behavior = MyApp.Behavior;
+    const DAMAGE_TYPE = MyApp.Health.DAMAGE_TYPE;
+
+    // Private variables
+    const _archetypes = {}; // Registered archetypes by id
+
+    // Definition fields with their type, limits and default
+    // Fields without a default are required
+    const SCHEMA = {
+        name: { type: 'string' },
+        textureId: { type: 'integer', min: 0, default: 0 },          // Sprite sheet and corpse sprites to draw with
+        health: { type: 'number', min: 1 },
+        maxSpeed: { type: 'number', min: 0 },                         // Units per tick
+        sightRange: { type: 'number', min: 0 },
+        intelligence: { type: 'number', min: 0, max: 1, default: 0.5 },   // Chance of searching nearby after losing the player
+        aggressiveness: { type: 'number', min: 0, max: 1, default: 0.5 },
+        stunThreshold: { type: 'number', min: 0, default: 20 },       // Damage in one hit that stuns
+        stunTime: { type: 'number', min: 0, default: 1000 },          // ms a stun lasts
+        resistances: { type: 'resistances', default: {} },            // Damage multiplier per damage type
+        attack: { type: 'attack', default: {} },                      // Melee attack, over DEFAULT_ATTACK
+        rangedAttack: { type: 'rangedAttack', default: null },        // null for melee-only types
+        hitboxes: { type: 'hitboxes', default: {} },                  // Changes to DEFAULT_HITBOXES by hitbox name
+        spawnWeights: { type: 'spawnWeights', default: [] },          // [difficulty, weight] steps, empty to never spawn
+        behavior: { type: 'behavior' }                                // Behavior tree, see Behavior
+    };
+
+    // Melee attack every archetype starts from
+    const DEFAULT_ATTACK = {
+        damage: 10,
+        range: 1.5,
+        cooldown: 1000, // ms between attacks
+        damageType: DAMAGE_TYPE.MELEE
+    };
+
+    // Fields a ranged attack must have
+    const RANGED_ATTACK_FIELDS = {
+        range: 'number',
+        minDistance: 'number',     // Closer than this, rush in instead
+        projectileSpeed: 'number', // Units per tick
+        damage: 'number',
+        cooldown: 'number'
+    };
+
+    // Hitboxes every archetype starts from
+    // Heights are relative to the enemy's position, the middle of its sprite
+    const DEFAULT_HITBOXES = [
+        { name: 'head', radius: 0.15, bottom: 0.2, top: 0.45, damageMultiplier: 2, bonusScore: 50, slow: null },
+        { name: 'torso', radius: 0.3, bottom: -0.15, top: 0.2, damageMultiplier: 1, bonusScore: 0, slow: null },
+        {
+            name: 'legs', radius: 0.25, bottom: -0.5, top: -0.15, damageMultiplier: 0.6, bonusScore: 0,
+            slow: { factor: 0.5, duration: 2000 } // Speed multiplier and ms it lasts
+        }
+    ];
+
+    // Hunt the player once known, otherwise follow up noises, otherwise wander
+    const HUNTER = {
+        type: 'selector',
+        children: [
+            { type: 'attack' },
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'squadRole', role: 'suppressor' },
+                    { type: 'keepDistance', distance: 6 }
+                ]
+            },
+            { type: 'moveTo', target: 'player' },
+            { type: 'investigate' },
+            {
+                type: 'sequence',
+                memory: true,
+                children: [
+                    { type: 'moveTo', target: 'patrol', speed: 0.6 },
+                    { type: 'lookAround', min: 3000, max: 6000 }
+                ]
+            }
+        ]
+    };
+
+    // As HUNTER, but sidesteps after every shot
+    const SKIRMISHER = {
+        ...HUNTER,
+        children: [
+            {
+                type: 'sequence',
+                memory: true,
+                children: [
+                    { type: 'attack', shots: 1 },
+                    { type: 'strafe', time: 600 }
+                ]
+            },
+            ...HUNTER.children.slice(1)
+        ]
+    };
+
+    // Built-in enemy types
+    const DEFINITIONS = {
+        basic: {
+            name: 'Grunt',
+            textureId: 0,
+            health: 50,
+            maxSpeed: 0.03,
+            sightRange: 10,
+            intelligence: 0.5,
+            aggressiveness: 0.5,
+            spawnWeights: [[0, 1], [1, 0.7], [2, 0.5], [3, 0.4]],
+            behavior: HUNTER
+        },
+        fast: {
+            name: 'Imp',
+            textureId: 1,
+            health: 30,
+            maxSpeed: 0.05,
+            sightRange: 8,
+            intelligence: 0.7,
+            aggressiveness: 0.8,
+            attack: { damage: 5 },
+            rangedAttack: {
+                range: 8,
+                minDistance: 3,
+                projectileSpeed: 0.2,
+                damage: 5,
+                damageType: 'fire',
+                cooldown: 1500
+            },
+            hitboxes: {
+                head: { damageMultiplier: 2.5 },
+                torso: { radius: 0.25 },
+                legs: { slow: { factor: 0.4, duration: 3000 } }
+            },
+            spawnWeights: [[1, 0.3]],
+            behavior: SKIRMISHER
+        },
+        tough: {
+            name: 'Brute',
+            textureId: 2,
+            health: 100,
+            maxSpeed: 0.02,
+            sightRange: 12,
+            intelligence: 0.3,
+            aggressiveness: 0.6,
+            resistances: { bullet: 0.75 },
+            attack: { damage: 15 },
+            hitboxes: {
+                head: { damageMultiplier: 1.5 },
+                torso: { radius: 0.35 }
+            },
+            spawnWeights: [[2, 0.2], [3, 0.25]],
+            behavior: HUNTER
+        },
+        boss: {
+            name: 'Overlord',
+            textureId: 3,
+            health: 250,
+            maxSpeed: 0.015,
+            sightRange: 15,
+            intelligence: 0.9,
+            aggressiveness: 0.9,
+            resistances: { explosion: 0.5, melee: 0.5 },
+            attack: { damage: 25 },
+            rangedAttack: {
+                range: 14,
+                minDistance: 4,
+                projectileSpeed: 0.15,
+                damage: 20,
+                damageType: 'fire',
+                cooldown: 2000
+            },
+            hitboxes: {
+                head: { damageMultiplier: 1.5, bonusScore: 200 },
+                torso: { radius: 0.38 },
+                legs: { slow: null }
+            },
+            spawnWeights: [[3, 0.05]],
+            behavior: HUNTER
+        }
+    };
+
+    /**
+     * Check an archetype definition against the schema
+     * @param {Object} definition - Archetype definition
+     * @returns {Array} Problems found, one message per bad field (empty if valid)
+     */
+    function validate(definition) {
+        if (!definition || typeof definition !== 'object') {
+            return ['definition must be an object'];
+        }
+
+        const errors = [];
+
+        // Catch typos in field names
+        for (const field of Object.keys(definition)) {
+            if (!SCHEMA[field]) {
+                errors.push(`unknown field '${field}'`);
+            }
+        }
+
+        for (const [field, rule] of Object.entries(SCHEMA)) {
+            const value = definition[field];
+
+            if (value === undefined) {
+                if (!('default' in rule)) {
+                    errors.push(`missing required field '${field}'`);
+                }
+                continue;
+            }
+
+            // Behavior trees report each bad node on its own
+            if (rule.type === 'behavior') {
+                errors.push(...Behavior.validate(value, field));
+                continue;
+            }
+
+            const error = _checkField(value, rule);
+            if (error) {
+                errors.push(`'${field}' ${error} (got ${JSON.stringify(value)})`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check one field value against its rule
+     * @param {*} value - Field value
+     * @param {Object} rule - Schema rule
+     * @returns {string|null} What is wrong with the value, or null if valid
+     */
+    function _checkField(value, rule) {
+        switch (rule.type) {
+            case 'string':
+                return typeof value === 'string' && value ? null : 'must be a non-empty string';
+
+            case 'integer':
+            case 'number':
+                return _checkNumber(value, rule);
+
+            case 'resistances':
+                if (!_isPlainObject(value)) return 'must be an object of damage multipliers';
+                for (const [type, multiplier] of Object.entries(value)) {
+                    if (!Object.values(DAMAGE_TYPE).includes(type)) return `has unknown damage type '${type}'`;
+                    if (_checkNumber(multiplier, { min: 0 })) return `multiplier for '${type}' must be a non-negative number`;
+                }
+                return null;
+
+            case 'attack':
+                if (!_isPlainObject(value)) return 'must be an object';
+                return _checkFields(value, { ...DEFAULT_ATTACK, damageType: 'damageType' }, false);
+
+            case 'rangedAttack':
+                if (value === null) return null;
+                if (!_isPlainObject(value)) return 'must be an object or null';
+                return _checkFields(value, { ...RANGED_ATTACK_FIELDS, damageType: 'damageType' }, true);
+
+            case 'hitboxes':
+                return _checkHitboxes(value);
+
+            case 'spawnWeights':
+                return _checkSpawnWeights(value);
+
+            default:
+                return `has unknown schema type '${rule.type}'`;
+        }
+    }
+
+    /**
+     * Check a number against optional limits
+     * @param {*} value - Value to check
+     * @param {Object} rule - Rule with optional type 'integer', min and max
+     * @returns {string|null} What is wrong with the number, or null if valid
+     */
+    function _checkNumber(value, rule) {
+        if (typeof value !== 'number' || !isFinite(value)) return 'must be a number';
+        if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+        return null;
+    }
+
+    /**
+     * Check the fields of an attack
+     * Numbers must not be negative, damageType must be a known damage type
+     * @param {Object} value - Attack object
+     * @param {Object} fields - Allowed fields, mapped to 'damageType' or anything else for a number
+     * @param {boolean} required - True if every number field must be present
+     * @returns {string|null} What is wrong with the attack, or null if valid
+     */
+    function _checkFields(value, fields, required) {
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (!(field in fields)) return `has unknown field '${field}'`;
+
+            if (fields[field] === 'damageType') {
+                if (!Object.values(DAMAGE_TYPE).includes(fieldValue)) {
+                    return `'${field}' must be one of ${Object.values(DAMAGE_TYPE).join(', ')}`;
+                }
+            } else if (_checkNumber(fieldValue, { min: 0 })) {
+                return `'${field}' must be a non-negative number`;
+            }
+        }
+
+        if (required) {
+            const missing = Object.keys(fields).find(field => fields[field] !== 'damageType' && value[field] === undefined);
+            if (missing) return `is missing '${missing}'`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check changes to the default hitboxes
+     * @param {*} value - Changes keyed by hitbox name
+     * @returns {string|null} What is wrong with the changes, or null if valid
+     */
+    function _checkHitboxes(value) {
+        if (!_isPlainObject(value)) return 'must be an object keyed by hitbox name';
+
+        for (const [name, changes] of Object.entries(value)) {
+            const hitbox = DEFAULT_HITBOXES.find(box => box.name === name);
+            if (!hitbox) return `has unknown hitbox '${name}'`;
+            if (!_isPlainObject(changes)) return `'${name}' must be an object`;
+
+            for (const [field, fieldValue] of Object.entries(changes)) {
+                if (!(field in hitbox) || field === 'name') return `'${name}' has unknown field '${field}'`;
+
+                if (field === 'slow') {
+                    if (fieldValue !== null && (!_isPlainObject(fieldValue) ||
+                        _checkNumber(fieldValue.factor, { min: 0, max: 1 }) ||
+                        _checkNumber(fieldValue.duration, { min: 0 }))) {
+                        return `'${name}.slow' must be null or {factor 0-1, duration in ms}`;
+                    }
+                } else if (_checkNumber(fieldValue, {})) {
+                    return `'${name}.${field}' must be a number`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check spawn weight steps
+     * @param {*} steps - [difficulty, weight] pairs
+     * @returns {string|null} What is wrong with the steps, or null if valid
+     */
+    function _checkSpawnWeights(steps) {
+        if (!Array.isArray(steps)) return 'must be an array of [difficulty, weight] steps';
+
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            if (!Array.isArray(step) || step.length !== 2 ||
+                _checkNumber(step[0], { min: 0 }) || _checkNumber(step[1], { min: 0 })) {
+                return `step ${i} must be a [difficulty, weight] pair of non-negative numbers`;
+            }
+            if (i > 0 && step[0] <= steps[i - 1][0]) {
+                return 'steps must be in increasing difficulty order';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a value is a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} True for a non-null, non-array object
+     */
+    function _isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Register an archetype definition
+     * Invalid definitions are reported and rejected
+     * @param {string} id - Archetype id, used as the enemy type
+     * @param {Object} definition - Archetype definition (see SCHEMA)
+     * @returns {boolean} True if registered
+     */
+    function register(id, definition) {
+        if (typeof id !== 'string' || !id) {
+            console.error('Archetype definition needs a string id');
+            return false;
+        }
+
+        const errors = validate(definition);
+        if (errors.length > 0) {
+            console.error(`Invalid archetype definition '${id}': ${errors.join('; ')}`);
+            return false;
+        }
+
+        // Store a copy with defaults filled in
+        const archetype = { id };
+        for (const [field, rule] of Object.entries(SCHEMA)) {
+            archetype[field] = definition[field] !== undefined ? definition[field] : rule.default;
+        }
+
+        archetype.resistances = { ...archetype.resistances };
+        archetype.attack = { ...DEFAULT_ATTACK, ...archetype.attack };
+        archetype.rangedAttack = archetype.rangedAttack && { damageType: DAMAGE_TYPE.FIRE, ...archetype.rangedAttack };
+        archetype.hitboxes = DEFAULT_HITBOXES.map(hitbox => ({ ...hitbox, ...archetype.hitboxes[hitbox.name] }));
+        archetype.spawnWeights = archetype.spawnWeights.map(step => step.slice());
+
+        _archetypes[id] = archetype;
+        return true;
+    }
+
+    /**
+     * Get a registered archetype
+     * @param {string} id - Archetype id
+     * @returns {Object|null} Archetype, or null if not registered
+     */
+    function get(id) {
+        return _archetypes[id] || null;
+    }
+
+    /**
+     * Get all registered archetype ids
+     * @returns {Array} Archetype ids
+     */
+    function list() {
+        return Object.keys(_archetypes);
+    }
+
+    /**
+     * Get how likely an archetype is to spawn at a difficulty
+     * @param {Object} archetype - Registered archetype
+     * @param {number} difficulty - Current difficulty
+     * @returns {number} Weight of the last step below the difficulty, 0 if none
+     */
+    function getSpawnWeight(archetype, difficulty) {
+        let weight = 0;
+        for (const [minDifficulty, stepWeight] of archetype.spawnWeights) {
+            if (difficulty <= minDifficulty) break;
+            weight = stepWeight;
+        }
+        return weight;
+    }
+
+    // Register the built-in archetypes
+    Object.entries(DEFINITIONS).forEach(([id, definition]) => register(id, definition));
+
+    // Export the public API
+    MyApp.Archetypes = {
+        register,
+        validate,
+        get,
+        list,
+        getSpawnWeight,
+        SCHEMA
+    };
+
+    console.log('Archetypes module loaded');
+})(window.MyApp || (window.MyApp = {}));
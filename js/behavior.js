@@ -0,0 +1,276 @@
+/**
+ * Behavior module for the FPS game
+ * Behavior trees declared as plain data, run against an agent one tick at a time
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+
+    // Results a node can return
+    const STATUS = {
+        SUCCESS: 'success',
+        FAILURE: 'failure',
+        RUNNING: 'running'
+    };
+
+    // Private variables
+    const _nodes = {}; // Registered node types by name
+
+    /**
+     * Register a node type
+     * @param {string} type - Node type, as used in a tree's 'type' field
+     * @param {Function} tick - tick(node, agent, memory) returning a STATUS
+     * @param {Object} options - Node options
+     * @param {string} options.children - 'children' for composites, 'child' for decorators, omitted for leaves
+     * @param {Function} options.check - check(node) returning what is wrong with its parameters, or null
+     * @returns {boolean} True if registered
+     */
+    function registerNode(type, tick, options = {}) {
+        if (typeof type !== 'string' || !type) {
+            console.error('Behavior node needs a string type');
+            return false;
+        }
+
+        if (typeof tick !== 'function') {
+            console.error(`Behavior node '${type}' needs a tick function`);
+            return false;
+        }
+
+        _nodes[type] = {
+            tick,
+            children: options.children || null,
+            check: options.check || null
+        };
+        return true;
+    }
+
+    /**
+     * Check a tree against the registered node types
+     * @param {Object} node - Root node of the tree
+     * @param {string} path - Where the node sits in the tree, for messages
+     * @returns {Array} Problems found, one message per bad node (empty if valid)
+     */
+    function validate(node, path = 'root') {
+        if (!node || typeof node !== 'object') {
+            return [`${path} must be a node object`];
+        }
+
+        const definition = _nodes[node.type];
+        if (!definition) {
+            return [`${path} has unknown node type '${node.type}'`];
+        }
+
+        const errors = [];
+        const problem = definition.check ? definition.check(node) : null;
+        if (problem) {
+            errors.push(`${path} (${node.type}) ${problem}`);
+        }
+
+        if (definition.children === 'children') {
+            if (!Array.isArray(node.children) || node.children.length === 0) {
+                errors.push(`${path} (${node.type}) needs a non-empty children array`);
+            } else {
+                node.children.forEach((child, i) => errors.push(...validate(child, `${path}.children[${i}]`)));
+            }
+        } else if (definition.children === 'child') {
+            errors.push(...validate(node.child, `${path}.child`));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Run one node for one tick
+     * @param {Object} node - Node to run
+     * @param {Object} agent - Agent the tree controls
+     * @param {Map} memory - The agent's node memory, see createMemory
+     * @returns {string} STATUS of the node
+     */
+    function tick(node, agent, memory) {
+        return _nodes[node.type].tick(node, agent, memory);
+    }
+
+    /**
+     * Create an empty memory for an agent running a tree
+     * Nodes keep what they need between ticks in it, keyed by the node
+     * @returns {Map} Node memory
+     */
+    function createMemory() {
+        return new Map();
+    }
+
+    /**
+     * Forget what a node and everything under it remembered, so it starts over next time
+     * @param {Object} node - Node to reset
+     * @param {Map} memory - The agent's node memory
+     */
+    function reset(node, memory) {
+        memory.delete(node);
+
+        if (Array.isArray(node.children)) {
+            node.children.forEach(child => reset(child, memory));
+        }
+        if (node.child) {
+            reset(node.child, memory);
+        }
+    }
+
+    /**
+     * Selector: runs children in order until one doesn't fail
+     * Checked from the first child every tick, so higher priorities interrupt lower ones
+     */
+    registerNode('selector', (node, agent, memory) => {
+        const running = memory.get(node);
+
+        for (let i = 0; i < node.children.length; i++) {
+            const status = tick(node.children[i], agent, memory);
+            if (status === STATUS.FAILURE) continue;
+
+            // A different child took over, so the interrupted one starts over next time
+            if (running !== undefined && running !== i) {
+                reset(node.children[running], memory);
+            }
+
+            if (status === STATUS.RUNNING) {
+                memory.set(node, i);
+            } else {
+                memory.delete(node);
+            }
+            return status;
+        }
+
+        memory.delete(node);
+        return STATUS.FAILURE;
+    }, { children: 'children' });
+
+    /**
+     * Sequence: runs children in order until one doesn't succeed
+     * With memory: true it carries on from the running child instead of re-checking earlier ones
+     */
+    registerNode('sequence', (node, agent, memory) => {
+        const start = node.memory ? (memory.get(node) || 0) : 0;
+
+        for (let i = start; i < node.children.length; i++) {
+            const status = tick(node.children[i], agent, memory);
+            if (status === STATUS.SUCCESS) continue;
+
+            if (status === STATUS.RUNNING) {
+                memory.set(node, i);
+            } else {
+                reset(node, memory);
+            }
+            return status;
+        }
+
+        memory.delete(node);
+        return STATUS.SUCCESS;
+    }, {
+        children: 'children',
+        check: node => node.memory !== undefined && typeof node.memory !== 'boolean' ? 'memory must be true or false' : null
+    });
+
+    /**
+     * Invert: swaps the child's success and failure
+     */
+    registerNode('invert', (node, agent, memory) => {
+        const status = tick(node.child, agent, memory);
+        if (status === STATUS.RUNNING) return status;
+        return status === STATUS.SUCCESS ? STATUS.FAILURE : STATUS.SUCCESS;
+    }, { children: 'child' });
+
+    /**
+     * Succeed: runs the child and succeeds unless it is still running
+     */
+    registerNode('succeed', (node, agent, memory) => {
+        const status = tick(node.child, agent, memory);
+        return status === STATUS.RUNNING ? status : STATUS.SUCCESS;
+    }, { children: 'child' });
+
+    /**
+     * Chance: rolls once per run of the child, failing without running it if the roll misses
+     */
+    registerNode('chance', (node, agent, memory) => {
+        if (!memory.has(node) && Utils.random('ai') >= node.probability) {
+            return STATUS.FAILURE;
+        }
+
+        const status = tick(node.child, agent, memory);
+        if (status === STATUS.RUNNING) {
+            memory.set(node, true);
+        } else {
+            memory.delete(node);
+        }
+        return status;
+    }, {
+        children: 'child',
+        check: node => typeof node.probability === 'number' && node.probability >= 0 && node.probability <= 1 ?
+            null : 'probability must be a number from 0 to 1'
+    });
+
+    /**
+     * Cooldown: fails for a while after the child finishes
+     */
+    registerNode('cooldown', (node, agent, memory) => {
+        const state = memory.get(node) || { readyTime: 0, running: false };
+        if (!state.running && Utils.gameTime() < state.readyTime) {
+            return STATUS.FAILURE;
+        }
+
+        const status = tick(node.child, agent, memory);
+        state.running = status === STATUS.RUNNING;
+        if (!state.running) {
+            state.readyTime = Utils.gameTime() + node.time;
+        }
+        memory.set(node, state);
+        return status;
+    }, {
+        children: 'child',
+        check: node => typeof node.time === 'number' && node.time >= 0 ? null : 'time must be a non-negative number of ms'
+    });
+
+    /**
+     * Wait: keeps running for a fixed or random time, then succeeds
+     */
+    registerNode('wait', (node, agent, memory) => {
+        const now = Utils.gameTime();
+        if (!memory.has(node)) {
+            const max = node.max !== undefined ? node.max : node.min;
+            memory.set(node, now + Utils.randomInt(node.min, max, 'ai'));
+        }
+
+        if (now < memory.get(node)) {
+            return STATUS.RUNNING;
+        }
+
+        memory.delete(node);
+        return STATUS.SUCCESS;
+    }, { check: checkTimeRange });
+
+    /**
+     * Check the min/max time range of a timed node
+     * @param {Object} node - Node with min and optional max, in ms
+     * @returns {string|null} What is wrong with the range, or null if valid
+     */
+    function checkTimeRange(node) {
+        if (typeof node.min !== 'number' || node.min < 0) {
+            return 'min must be a non-negative number of ms';
+        }
+        if (node.max !== undefined && (typeof node.max !== 'number' || node.max < node.min)) {
+            return 'max must be a number of ms no less than min';
+        }
+        return null;
+    }
+
+    // Export the public API
+    MyApp.Behavior = {
+        registerNode,
+        validate,
+        tick,
+        createMemory,
+        reset,
+        checkTimeRange,
+        STATUS
+    };
+
+    console.log('Behavior module loaded');
+})(window.MyApp || (window.MyApp = {}));
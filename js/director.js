@@ -0,0 +1,421 @@
+/**
+ * Director module for the FPS game
+ * Paces enemy spawns by how stressed the player is, in build-up, peak and relax phases
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+    const Math3D = MyApp.Math3D;
+    const Vector3 = Math3D.Vector3;
+    const Ray = Math3D.Ray;
+
+    // Pacing phases
+    const PHASE = {
+        BUILD_UP: 'buildUp', // Enemies trickle in, faster the longer it lasts
+        PEAK: 'peak',        // Hordes pour in
+        RELAX: 'relax'       // Nothing spawns, the player gets a breather
+    };
+
+    // Private variables
+    let _phase = PHASE.BUILD_UP;
+    let _phaseStartTime = 0;
+    let _lastSpawnTime = 0;
+    let _lastSupplyTime = 0;
+    let _recentDamage = 0;     // Damage taken lately, fading over time
+    let _killTimes = [];       // Game times of recent kills
+    let _lastCombatTime = 0;   // Last time the player hurt, or was hurt by, an enemy
+    let _stress = 0;           // How hard-pressed the player is, 0-1
+    let _holdingBack = false;  // True while the player is too weak to face more enemies
+    let _unsubscribers = [];
+
+    // Director settings
+    const _settings = {
+        damageHalfLife: 5000,     // ms for recent damage to fade to half
+        killWindow: 60000,        // ms kills are counted over
+        busyKillRate: 12,         // Kills per minute that count as fully stressful
+        healthWeight: 0.3,        // Share of stress from missing health
+        damageWeight: 0.5,        // Share of stress from recent damage, relative to max health
+        killWeight: 0.2,          // Share of stress from the kill rate
+        buildUpTime: 40000,       // Longest build-up before a peak, in ms
+        buildUpInterval: 8000,    // ms between spawns as a build-up starts
+        minBuildUpInterval: 2500, // ms between spawns at the end of a build-up, or after a long quiet spell
+        quietTime: 20000,         // ms without combat after which build-ups hurry along
+        peakStress: 0.7,          // Stress that brings the peak on early
+        peakTime: 15000,          // Longest peak, in ms
+        maxStress: 0.9,           // Stress that ends a peak early
+        hordeSize: 4,             // Enemies per horde at difficulty 1
+        hordeInterval: 6000,      // ms between hordes during a peak
+        hordeRadius: 2,           // Spread of a horde around its spawn point
+        relaxTime: 20000,         // Shortest relax, in ms
+        relaxStress: 0.3,         // Stress that must be reached before building up again
+        lowHealth: 0.3,           // Health fraction below which, with low ammo, the director holds back
+        lowAmmo: 0.1,             // Ammo fraction below which, with low health, the director holds back
+        supplyInterval: 15000,    // ms between supply drops while holding back
+        minSpawnDistance: 10,
+        maxSpawnDistance: 25,
+        spawnAttempts: 12         // Candidate spots tried per spawn
+    };
+
+    // Event emitter
+    const _events = new Utils.EventEmitter();
+
+    /**
+     * Initialize the director
+     * Listens to the player to keep track of combat
+     * @param {Object} options - Optional configuration
+     */
+    function init(options = {}) {
+        if (options.settings) Object.assign(_settings, options.settings);
+
+        // Drop listeners from a previous init
+        _unsubscribers.forEach(unsubscribe => unsubscribe());
+        _unsubscribers = [];
+
+        if (MyApp.Player) {
+            _unsubscribers.push(MyApp.Player.on('damage', (amount) => {
+                _recentDamage += amount;
+                _lastCombatTime = Utils.gameTime();
+            }));
+            _unsubscribers.push(MyApp.Player.on('hit', () => {
+                _lastCombatTime = Utils.gameTime();
+            }));
+            _unsubscribers.push(MyApp.Player.on('kill', () => {
+                _killTimes.push(Utils.gameTime());
+                _lastCombatTime = Utils.gameTime();
+            }));
+        } else {
+            console.error('Director needs the Player module to track combat');
+        }
+
+        reset();
+        console.log('Director initialized');
+    }
+
+    /**
+     * Update stress, move between phases and spawn enemies
+     * @param {number} deltaTime - Tick duration in ms
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     */
+    function update(deltaTime, player, map) {
+        if (!player || player.state === 'dead' || !MyApp.Enemy) {
+            return;
+        }
+
+        const now = Utils.gameTime();
+
+        // Let recent damage fade and old kills drop out of the window
+        _recentDamage *= Math.pow(0.5, deltaTime / _settings.damageHalfLife);
+        while (_killTimes.length > 0 && now - _killTimes[0] > _settings.killWindow) {
+            _killTimes.shift();
+        }
+
+        _stress = _computeStress(player);
+        _holdingBack = player.health < player.maxHealth * _settings.lowHealth &&
+            _getAmmoFraction(player) < _settings.lowAmmo;
+
+        _updatePhase(now);
+        _updateSpawning(now, player, map);
+        _updateSupplies(now, player, map);
+    }
+
+    /**
+     * Work out how hard-pressed the player is
+     * @param {Object} player - Player state
+     * @returns {number} Stress, 0-1
+     */
+    function _computeStress(player) {
+        const missingHealth = 1 - player.health / player.maxHealth;
+        const damage = Math.min(1, _recentDamage / player.maxHealth);
+        const kills = Math.min(1, getKillsPerMinute() / _settings.busyKillRate);
+
+        return Math.min(1,
+            missingHealth * _settings.healthWeight +
+            damage * _settings.damageWeight +
+            kills * _settings.killWeight);
+    }
+
+    /**
+     * Get how well stocked the player's best-stocked gun is
+     * @param {Object} player - Player state
+     * @returns {number} Loaded plus reserve ammo over the most that can be carried, 0-1
+     */
+    function _getAmmoFraction(player) {
+        if (!MyApp.Weapons || typeof MyApp.Player.getLoadout !== 'function') {
+            return 1;
+        }
+
+        let best = 0;
+        for (const weapon of MyApp.Player.getLoadout().weapons) {
+            const ammoType = weapon.ammoType && MyApp.Weapons.getAmmoType(weapon.ammoType);
+            if (!ammoType) continue; // Melee weapons
+
+            const total = weapon.ammo + (player.ammo[weapon.ammoType] || 0);
+            best = Math.max(best, Math.min(1, total / (ammoType.max + weapon.maxAmmo)));
+        }
+
+        return best;
+    }
+
+    /**
+     * Move on to the next phase when the current one has run its course
+     * @param {number} now - Current game time
+     */
+    function _updatePhase(now) {
+        const phaseTime = now - _phaseStartTime;
+
+        switch (_phase) {
+            case PHASE.BUILD_UP:
+                // Back off if the player is struggling, otherwise peak once stressed or built up long enough
+                if (_holdingBack) {
+                    _setPhase(PHASE.RELAX, now);
+                } else if (_stress >= _settings.peakStress || phaseTime >= _settings.buildUpTime) {
+                    _setPhase(PHASE.PEAK, now);
+                }
+                break;
+
+            case PHASE.PEAK:
+                if (_holdingBack || _stress >= _settings.maxStress || phaseTime >= _settings.peakTime) {
+                    _setPhase(PHASE.RELAX, now);
+                }
+                break;
+
+            case PHASE.RELAX:
+                if (!_holdingBack && phaseTime >= _settings.relaxTime && _stress <= _settings.relaxStress) {
+                    _setPhase(PHASE.BUILD_UP, now);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Switch phase
+     * @param {string} phase - New phase (see PHASE)
+     * @param {number} now - Current game time
+     */
+    function _setPhase(phase, now) {
+        const previous = _phase;
+        _phase = phase;
+        _phaseStartTime = now;
+
+        // A peak opens with a horde straight away
+        if (phase === PHASE.PEAK) {
+            _lastSpawnTime = -Infinity;
+        }
+
+        console.log(`Director: ${previous} -> ${phase} (stress ${_stress.toFixed(2)})`);
+        _events.emit('phaseChange', phase, previous);
+    }
+
+    /**
+     * Spawn for the current phase when it's time
+     * @param {number} now - Current game time
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     */
+    function _updateSpawning(now, player, map) {
+        const difficulty = MyApp.Enemy.getDifficulty();
+
+        if (_phase === PHASE.BUILD_UP) {
+            // Spawn faster as the build-up goes on, or if the player has been left alone a while
+            const progress = Math.max(
+                (now - _phaseStartTime) / _settings.buildUpTime,
+                (now - _lastCombatTime) / _settings.quietTime
+            );
+            const interval = Utils.lerp(_settings.buildUpInterval, _settings.minBuildUpInterval,
+                Math.min(1, progress)) / difficulty;
+
+            if (now - _lastSpawnTime >= interval) {
+                _lastSpawnTime = now;
+                _spawnGroup(1, player, map);
+            }
+        } else if (_phase === PHASE.PEAK) {
+            if (now - _lastSpawnTime >= _settings.hordeInterval) {
+                _lastSpawnTime = now;
+                _spawnGroup(Math.round(_settings.hordeSize * difficulty), player, map);
+            }
+        }
+    }
+
+    /**
+     * Leave supplies somewhere out of sight while holding back
+     * Pickups otherwise only drop from kills, and nothing spawns to be killed
+     * @param {number} now - Current game time
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to drop in
+     */
+    function _updateSupplies(now, player, map) {
+        if (!_holdingBack || now - _lastSupplyTime < _settings.supplyInterval) {
+            return;
+        }
+
+        const spot = _findHiddenSpot(player, map);
+        if (!spot) return;
+
+        _lastSupplyTime = now;
+        _events.emit('supplyDrop', spot);
+    }
+
+    /**
+     * Spawn enemies together somewhere the player can't see
+     * @param {number} count - Number of enemies
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     * @returns {Array} Enemies spawned
+     */
+    function _spawnGroup(count, player, map) {
+        const origin = _findHiddenSpot(player, map);
+        if (!origin) return [];
+
+        const spawned = [];
+        for (let i = 0; i < count; i++) {
+            // First at the spot itself, the rest scattered around it
+            const position = i === 0 ? origin : _scatter(origin, player, map);
+            if (!position) continue;
+
+            const enemy = MyApp.Enemy.addEnemy({
+                type: MyApp.Enemy.pickSpawnType(),
+                position,
+                rotation: Math.atan2(player.position.x - position.x, player.position.z - position.z)
+            });
+            if (!enemy) break; // At the enemy limit
+
+            spawned.push(enemy);
+        }
+
+        if (spawned.length > 0) {
+            _events.emit('spawn', spawned, _phase);
+        }
+        return spawned;
+    }
+
+    /**
+     * Find a free spot within spawn distance that the player has no line of sight to
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     * @returns {Vector3|null} Spot, or null if none was found
+     */
+    function _findHiddenSpot(player, map) {
+        const cellSize = map.getCellSize();
+
+        for (let i = 0; i < _settings.spawnAttempts; i++) {
+            const angle = Utils.random('ai') * Math.PI * 2;
+            const distance = Utils.randomFloat(_settings.minSpawnDistance, _settings.maxSpawnDistance, 'ai');
+
+            // Middle of the cell the point falls in
+            const x = (Math.floor((player.position.x + Math.sin(angle) * distance) / cellSize) + 0.5) * cellSize;
+            const z = (Math.floor((player.position.z + Math.cos(angle) * distance) / cellSize) + 0.5) * cellSize;
+            const spot = new Vector3(x, 0, z);
+
+            if (!map.isWall(x, z) && !_isVisible(spot, player, map)) {
+                return spot;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a free, hidden spot near a group's spawn point
+     * @param {Vector3} origin - Group spawn point
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     * @returns {Vector3|null} Spot, or null if none was found
+     */
+    function _scatter(origin, player, map) {
+        for (let i = 0; i < _settings.spawnAttempts; i++) {
+            const spot = new Vector3(
+                origin.x + Utils.randomFloat(-_settings.hordeRadius, _settings.hordeRadius, 'ai'),
+                0,
+                origin.z + Utils.randomFloat(-_settings.hordeRadius, _settings.hordeRadius, 'ai')
+            );
+
+            if (!map.isWall(spot.x, spot.z) && !_isVisible(spot, player, map)) {
+                return spot;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if the player has a clear line of sight to a spot
+     * @param {Vector3} spot - Spot to check
+     * @param {Object} player - Player state
+     * @param {Object} map - Map for line of sight
+     * @returns {boolean} True if no wall is in the way
+     */
+    function _isVisible(spot, player, map) {
+        const toSpot = new Vector3().copy(spot).subtract(player.position);
+        toSpot.y = 0;
+        const distance = toSpot.length();
+        if (distance < 1e-6) return true;
+
+        const hit = map.castRay(new Ray(new Vector3().copy(player.position), toSpot.normalize()), distance);
+        return !hit || hit.distance > distance - 0.5;
+    }
+
+    /**
+     * Get the player's recent kill rate
+     * @returns {number} Kills per minute over the kill window
+     */
+    function getKillsPerMinute() {
+        return _killTimes.length * 60000 / _settings.killWindow;
+    }
+
+    /**
+     * Get the director's current view of the game
+     * @returns {Object} {phase, phaseTime, stress, recentDamage, killsPerMinute, timeSinceCombat, holdingBack}
+     */
+    function getState() {
+        const now = Utils.gameTime();
+        return {
+            phase: _phase,
+            phaseTime: now - _phaseStartTime,
+            stress: _stress,
+            recentDamage: _recentDamage,
+            killsPerMinute: getKillsPerMinute(),
+            timeSinceCombat: now - _lastCombatTime,
+            holdingBack: _holdingBack
+        };
+    }
+
+    /**
+     * Start pacing over from a fresh build-up
+     */
+    function reset() {
+        const now = Utils.gameTime();
+        _phase = PHASE.BUILD_UP;
+        _phaseStartTime = now;
+        _lastSpawnTime = now;
+        _lastSupplyTime = now;
+        _lastCombatTime = now;
+        _recentDamage = 0;
+        _killTimes = [];
+        _stress = 0;
+        _holdingBack = false;
+    }
+
+    /**
+     * Register an event listener
+     * @param {string} event - Event name ('phaseChange', 'spawn', 'supplyDrop')
+     * @param {Function} callback - Event callback
+     * @returns {Function} Unsubscribe function
+     */
+    function on(event, callback) {
+        return _events.on(event, callback);
+    }
+
+    // Export the public API
+    MyApp.Director = {
+        init,
+        update,
+        getState,
+        getKillsPerMinute,
+        reset,
+        on,
+        PHASE
+    };
+
+    console.log('Director module loaded');
+})(window.MyApp || (window.MyApp = {}));
@@ -8,35 +8,62 @@
     const Math3D = MyApp.Math3D;
     const Vector3 = Math3D.Vector3;
     const Ray = Math3D.Ray;
+    const Health = MyApp.Health.Health;
+    const Behavior = MyApp.Behavior;
+    const STATUS = Behavior.STATUS;
 
-    // Enemy types enum
+    // Built-in enemy types, more can be registered as archetypes (see Archetypes)
     const ENEMY_TYPE = {
-        BASIC: 0,
-        FAST: 1,
-        TOUGH: 2,
-        BOSS: 3
+        BASIC: 'basic',
+        FAST: 'fast',
+        TOUGH: 'tough',
+        BOSS: 'boss'
     };
 
-    // Enemy states enum
+    // Enemy states enum, set by the behavior nodes an enemy runs
     const ENEMY_STATE = {
         IDLE: 0,
         PATROL: 1,
         CHASE: 2,
         ATTACK: 3,
         STUNNED: 4,
-        DEAD: 5
+        DEAD: 5,
+        INVESTIGATE: 6,
+        FLEE: 7
     };
 
+    // Squad roles handed out when enemies are alerted together
+    const SQUAD_ROLE = {
+        RUSHER: 'rusher',         // Charges straight at the player
+        FLANKER: 'flanker',       // Swings round to the player's side first
+        SUPPRESSOR: 'suppressor'  // Holds back and shoots from range
+    };
+
+    // Distance flankers swing out to the player's side
+    const FLANK_DISTANCE = 4;
+
+    // Fraction of knockback an enemy keeps each tick
+    const KNOCKBACK_DECAY = 0.85;
+
+    // Overkill, as a fraction of max health, that blows an enemy to pieces
+    const GIB_OVERKILL = 1;
+
+    // Corpse sprite frames per enemy type: falling frames, the body at rest, then the gib pile
+    const DEATH_FRAMES = 3;
+    const CORPSE_FRAMES = DEATH_FRAMES + 1;
+
     // Enemy class
     class Enemy {
         /**
          * Create a new enemy
          * @param {Object} options - Enemy options
+         * @param {string} options.type - Registered archetype id (see ENEMY_TYPE)
          */
         constructor(options = {}) {
             // Basic properties
             this.id = Utils.createGuid();
             this.type = options.type || ENEMY_TYPE.BASIC;
+            const archetype = MyApp.Archetypes.get(this.type);
             this.position = options.position || new Vector3(0, 0, 0);
             this.rotation = options.rotation || 0; // Yaw rotation in radians
             this.direction = new Vector3(0, 0, 1); // Forward vector
@@ -46,47 +73,88 @@
             // State and behavior
             this.state = ENEMY_STATE.IDLE;
             this.stateDuration = 0; // How long in current state
-            this.stateChangeTime = Utils.randomInt(3000, 6000); // When to consider changing state
-            this.lastStateChange = Utils.now();
-            this.patrolPoints = []; // For patrol behavior
+            this.lastStateChange = Utils.gameTime();
+            this.behavior = archetype.behavior; // Behavior tree run every tick
+            this.behaviorMemory = Behavior.createMemory(); // What the tree's nodes remember between ticks
+            this.stunnedUntil = 0; // Game time a stun wears off
+            this.stunThreshold = archetype.stunThreshold; // Damage in one hit that stuns
+            this.stunTime = archetype.stunTime; // ms a stun lasts
+            this.map = null; // Map the enemy is moving through, for behavior nodes
+
+            // Path following
+            this.path = null;          // Waypoints to the current goal
+            this.pathIndex = 0;        // Next waypoint to reach
+            this.pathGoal = null;      // Goal the path was computed for
+            this.repathDistance = 1.5; // How far the goal may move before re-pathing
+            this.waypointRadius = 0.3; // Distance at which a waypoint counts as reached
 
             // Physics and movement
             this.velocity = new Vector3(0, 0, 0);
+            this.knockback = new Vector3(0, 0, 0); // Push from explosions, decays each tick
             this.speed = 0;
-            this.maxSpeed = this._getMaxSpeedForType();
+            this.strafeSpeed = 0; // Sideways speed, positive to the right
+            this.slowFactor = 1; // Speed multiplier while slowed
+            this.slowUntil = 0;  // Game time the slow wears off
+            this.maxSpeed = archetype.maxSpeed; // Units per tick
             this.acceleration = 0.01;
-            this.turnSpeed = 0.05; // Radians per frame at 60fps
+            this.turnSpeed = 0.05; // Radians per tick
             this.radius = 0.4; // Collision radius
             this.height = 1.8; // Height for collision
+            this.hitboxes = archetype.hitboxes; // Shot hit areas {name, radius, bottom, top, damageMultiplier, bonusScore, slow}
 
             // Combat stats
-            this.health = this._getHealthForType();
-            this.maxHealth = this.health;
-            this.damage = this._getDamageForType();
-            this.attackRange = 1.5;
-            this.attackCooldown = 1000; // 1 second between attacks
+            this.vitals = new Health({
+                maxHealth: archetype.health,
+                resistances: archetype.resistances
+            });
+            this.vitals.on('hurt', (amount) => this._onHurt(amount));
+            this.vitals.on('death', (info, overkill) => this._onDeath(overkill));
+            this.gibbed = false; // Killed by enough overkill to leave no body
+            this.attack = { ...archetype.attack }; // Melee attack {damage, range, cooldown, damageType}
             this.lastAttackTime = 0;
-            this.sightRange = this._getSightRangeForType();
-            this.hearingRange = this.sightRange * 0.7;
+            this.rangedAttack = archetype.rangedAttack && { ...archetype.rangedAttack }; // null for melee-only types
+            this.lastRangedAttackTime = 0;
+            this.sightRange = archetype.sightRange;
 
             // Visual properties
-            this.textureId = this.type;
+            this.textureId = archetype.textureId;
             this.animationFrame = 0;
-            this.animationSpeed = 0.1;
+            this.animationSpeed = 0.1; // Frames per tick
             this.visible = true;
 
             // AI properties
-            this.intelligence = this._getIntelligenceForType();
-            this.aggressiveness = this._getAggressivenessForType();
+            this.intelligence = archetype.intelligence;
+            this.aggressiveness = archetype.aggressiveness;
             this.canSeePlayer = false;
             this.canHearPlayer = false;
+            this.heardNoise = null; // Loudest noise reaching the enemy this tick
             this.targetPlayer = null; // Reference to player object
 
+            // Investigating noises
+            this.investigatePosition = null; // Where the noise being checked came from
+            this.lastNoiseId = null; // Last noise acted on, so each noise is followed once
+            this.investigateStartTime = null; // When the enemy set off to check it
+            this.investigateArrivalTime = null; // When the enemy got there
+
+            // Alerting and squad coordination
+            this.alertRadius = 12;    // Allies this close hear an alert, as do allies in the same room
+            this.alertInterval = 500; // ms between alerts while the player stays in sight
+            this.alertMemory = 4000;  // ms an alert keeps an enemy hunting without sensing the player
+            this.lastAlertTime = -Infinity;    // When this enemy last broadcast
+            this.lastAlertedTime = -Infinity;  // When this enemy last heard or sent an alert, or heard the player mid-hunt
+            this.alertOrigin = null;  // Where the alert came from, the squad's front
+            this.squadRole = null;    // See SQUAD_ROLE, null outside a squad
+            this.flankSide = 1;       // Side flankers swing round to, 1 or -1
+            this.flanked = false;     // Flanker has reached the player's side
+
             // Apply custom options
             if (options) {
                 Object.assign(this, options);
             }
 
+            // Position at the previous tick, for render interpolation
+            this.previousPosition = new Vector3().copy(this.position);
+
             // Set up initial direction based on rotation
             this._updateDirection();
         }
@@ -99,37 +167,38 @@
          * @param {Array} enemies - Array of all enemies
          */
         update(deltaTime, player, map, enemies) {
+            // Remember where this tick started so rendering can interpolate
+            this.previousPosition.copy(this.position);
+
             // Skip update if the enemy is dead
             if (this.state === ENEMY_STATE.DEAD) {
                 return;
             }
 
-            // Update target player reference
+            // Update target player and map references
             this.targetPlayer = player;
-
-            // Check for state timeout and transitions
-            this._updateState(deltaTime);
+            this.map = map;
 
             // Check if enemy can detect the player
             this._updateSenses(player, map);
 
-            // Update behavior based on current state
-            switch (this.state) {
-                case ENEMY_STATE.IDLE:
-                    this._updateIdle(deltaTime);
-                    break;
-                case ENEMY_STATE.PATROL:
-                    this._updatePatrol(deltaTime, map);
-                    break;
-                case ENEMY_STATE.CHASE:
-                    this._updateChase(deltaTime, player, map);
-                    break;
-                case ENEMY_STATE.ATTACK:
-                    this._updateAttack(deltaTime, player);
-                    break;
-                case ENEMY_STATE.STUNNED:
-                    this._updateStunned(deltaTime);
-                    break;
+            // Tell allies where the player is
+            if (this.canSeePlayer) {
+                this._broadcastAlert(enemies, map);
+            }
+
+            // Give up the hunt once the player is out of sight and no recent alert keeps it going
+            if (this.playerLastKnownPosition && !this.canSeePlayer && !this._isAlerted()) {
+                this.playerLastKnownPosition = null;
+                this._leaveSquad();
+            }
+
+            // Decide what to do
+            this._updateBehavior();
+
+            // Open any door in the way
+            if (this.speed > 0) {
+                this._openDoorAhead(map);
             }
 
             // Apply physics and movement
@@ -143,240 +212,267 @@
          * Damage the enemy
          * @param {number} amount - Damage amount
          * @param {Vector3} hitPos - Hit position for feedback
+         * @param {Object} hitbox - Hitbox that was hit, or null for untargeted damage like explosions
+         * @param {string} damageType - Damage type (see Health.DAMAGE_TYPE)
          * @returns {boolean} True if the enemy died
          */
-        damage(amount, hitPos) {
-            // Apply damage
-            this.health -= amount;
-
-            // Check if dead
-            if (this.health <= 0) {
-                this.health = 0;
-                this.state = ENEMY_STATE.DEAD;
-                this.velocity.set(0, 0, 0);
-                // Fall down
-                this.position.y = -0.5;
-                return true;
+        damage(amount, hitPos, hitbox = null, damageType = null) {
+            // Hitboxes scale the damage and may slow the enemy down
+            if (hitbox) {
+                amount = Math.max(1, Math.round(amount * hitbox.damageMultiplier));
+
+                if (hitbox.slow) {
+                    this.slowFactor = hitbox.slow.factor;
+                    this.slowUntil = Utils.gameTime() + hitbox.slow.duration;
+                }
             }
 
-            // Apply stun effect if hit hard enough
-            if (amount > 20) {
+            return this.vitals.damage(amount, { type: damageType, source: hitPos });
+        }
+
+        /**
+         * Run the behavior tree, unless stunned
+         * Movement is reset first, so nodes that don't move leave the enemy standing
+         */
+        _updateBehavior() {
+            const previousState = this.state;
+            this.speed = 0;
+            this.strafeSpeed = 0;
+
+            if (Utils.gameTime() < this.stunnedUntil) {
                 this.state = ENEMY_STATE.STUNNED;
-                this.stateDuration = 0;
-                this.lastStateChange = Utils.now();
+            } else {
+                // Nodes set the state they act in, standing idle if none does
+                this.state = ENEMY_STATE.IDLE;
+                Behavior.tick(this.behavior, this, this.behaviorMemory);
             }
 
-            // Alert the enemy to the player's presence
-            if (this.state !== ENEMY_STATE.CHASE && this.state !== ENEMY_STATE.ATTACK) {
-                this.state = ENEMY_STATE.CHASE;
-                this.stateDuration = 0;
-                this.lastStateChange = Utils.now();
+            // Update time in current state
+            const now = Utils.gameTime();
+            if (this.state !== previousState) {
+                this.lastStateChange = now;
             }
-
-            return false;
+            this.stateDuration = now - this.lastStateChange;
         }
 
         /**
-         * Check if the enemy is dead
-         * @returns {boolean} True if dead
+         * React to damage that got through, before any death
+         * @param {number} amount - Damage taken
          */
-        isDead() {
-            return this.state === ENEMY_STATE.DEAD;
+        _onHurt(amount) {
+            if (this.vitals.isDead()) return;
+
+            // Apply stun effect if hit hard enough
+            if (amount > this.stunThreshold) {
+                this.stunnedUntil = Math.max(this.stunnedUntil, Utils.gameTime() + this.stunTime);
+            }
+
+            // Alert the enemy to the player's presence
+            if (this.targetPlayer && this.targetPlayer.state !== 'dead') {
+                this.playerLastKnownPosition = new Vector3().copy(this.targetPlayer.position);
+                this.lastAlertedTime = Utils.gameTime();
+            }
         }
 
         /**
-         * Get initial health based on enemy type
-         * @returns {number} Health value
+         * Drop dead once health runs out
+         * The manager leaves a corpse in the enemy's place
+         * @param {number} overkill - Damage beyond what was needed to kill
          */
-        _getHealthForType() {
-            switch (this.type) {
-                case ENEMY_TYPE.BASIC:
-                    return 50;
-                case ENEMY_TYPE.FAST:
-                    return 30;
-                case ENEMY_TYPE.TOUGH:
-                    return 100;
-                case ENEMY_TYPE.BOSS:
-                    return 250;
-                default:
-                    return 50;
-            }
+        _onDeath(overkill) {
+            this.state = ENEMY_STATE.DEAD;
+            this.velocity.set(0, 0, 0);
+            this.gibbed = overkill >= this.vitals.maxHealth * GIB_OVERKILL;
         }
 
         /**
-         * Get max speed based on enemy type
-         * @returns {number} Max speed
+         * Stagger the enemy, stopping it for a while
+         * @param {number} duration - Stagger time in ms
          */
-        _getMaxSpeedForType() {
-            switch (this.type) {
-                case ENEMY_TYPE.BASIC:
-                    return 0.03;
-                case ENEMY_TYPE.FAST:
-                    return 0.05;
-                case ENEMY_TYPE.TOUGH:
-                    return 0.02;
-                case ENEMY_TYPE.BOSS:
-                    return 0.015;
-                default:
-                    return 0.03;
-            }
+        stagger(duration) {
+            if (this.state === ENEMY_STATE.DEAD) return;
+
+            this.state = ENEMY_STATE.STUNNED;
+            this.speed = 0;
+            this.strafeSpeed = 0;
+            this.stunnedUntil = Math.max(this.stunnedUntil, Utils.gameTime() + duration);
         }
 
         /**
-         * Get damage value based on enemy type
-         * @returns {number} Damage value
+         * Push the enemy, e.g. away from an explosion
+         * @param {Vector3} force - Push in units per tick
          */
-        _getDamageForType() {
-            switch (this.type) {
-                case ENEMY_TYPE.BASIC:
-                    return 10;
-                case ENEMY_TYPE.FAST:
-                    return 5;
-                case ENEMY_TYPE.TOUGH:
-                    return 15;
-                case ENEMY_TYPE.BOSS:
-                    return 25;
-                default:
-                    return 10;
-            }
+        push(force) {
+            this.knockback.add(new Vector3(force.x, 0, force.z));
         }
 
         /**
-         * Get sight range based on enemy type
-         * @returns {number} Sight range
+         * Find where a ray first hits the enemy's hitboxes
+         * @param {Ray} ray - Ray to test, with a normalized direction
+         * @param {number} maxDistance - Ignore hits further than this
+         * @returns {Object|null} Hit {distance, point, hitbox}, or null on a miss
          */
-        _getSightRangeForType() {
-            switch (this.type) {
-                case ENEMY_TYPE.BASIC:
-                    return 10;
-                case ENEMY_TYPE.FAST:
-                    return 8;
-                case ENEMY_TYPE.TOUGH:
-                    return 12;
-                case ENEMY_TYPE.BOSS:
-                    return 15;
-                default:
-                    return 10;
+        intersectRay(ray, maxDistance) {
+            let closest = null;
+
+            for (const hitbox of this.hitboxes) {
+                const distance = this._intersectHitbox(ray, hitbox);
+                if (distance !== null && distance <= maxDistance &&
+                    (!closest || distance < closest.distance)) {
+                    closest = { distance, hitbox };
+                }
             }
+
+            if (closest) {
+                closest.point = ray.at(closest.distance);
+            }
+            return closest;
         }
 
         /**
-         * Get intelligence level based on enemy type
-         * @returns {number} Intelligence (0-1)
+         * Intersect a ray with one hitbox, an upright cylinder around the enemy
+         * @param {Ray} ray - Ray to test
+         * @param {Object} hitbox - Hitbox
+         * @returns {number|null} Distance along the ray to the hitbox, or null on a miss
          */
-        _getIntelligenceForType() {
-            switch (this.type) {
-                case ENEMY_TYPE.BASIC:
-                    return 0.5;
-                case ENEMY_TYPE.FAST:
-                    return 0.7;
-                case ENEMY_TYPE.TOUGH:
-                    return 0.3;
-                case ENEMY_TYPE.BOSS:
-                    return 0.9;
-                default:
-                    return 0.5;
+        _intersectHitbox(ray, hitbox) {
+            const ox = ray.origin.x - this.position.x;
+            const oz = ray.origin.z - this.position.z;
+            const dx = ray.direction.x;
+            const dz = ray.direction.z;
+
+            // Span of the ray inside the cylinder's circle
+            let tMin = -Infinity;
+            let tMax = Infinity;
+            const a = dx * dx + dz * dz;
+            const c = ox * ox + oz * oz - hitbox.radius * hitbox.radius;
+            if (a < 1e-9) {
+                // Straight up or down
+                if (c > 0) return null;
+            } else {
+                const b = 2 * (ox * dx + oz * dz);
+                const discriminant = b * b - 4 * a * c;
+                if (discriminant < 0) return null;
+
+                const root = Math.sqrt(discriminant);
+                tMin = (-b - root) / (2 * a);
+                tMax = (-b + root) / (2 * a);
+            }
+
+            // Narrow it to the span between the cylinder's bottom and top
+            const bottom = this.position.y + hitbox.bottom;
+            const top = this.position.y + hitbox.top;
+            const oy = ray.origin.y;
+            const dy = ray.direction.y;
+            if (Math.abs(dy) < 1e-9) {
+                if (oy < bottom || oy > top) return null;
+            } else {
+                const t0 = (bottom - oy) / dy;
+                const t1 = (top - oy) / dy;
+                tMin = Math.max(tMin, Math.min(t0, t1));
+                tMax = Math.min(tMax, Math.max(t0, t1));
             }
+
+            if (tMin > tMax || tMax < 0) return null;
+            return Math.max(0, tMin);
         }
 
         /**
-         * Get aggressiveness level based on enemy type
-         * @returns {number} Aggressiveness (0-1)
+         * Hear an ally's alert, sharing where it saw the player
+         * @param {Vector3} position - Player's last known position
+         * @param {Vector3} origin - Where the alerting enemy stood
          */
-        _getAggressivenessForType() {
-            switch (this.type) {
-                case ENEMY_TYPE.BASIC:
-                    return 0.5;
-                case ENEMY_TYPE.FAST:
-                    return 0.8;
-                case ENEMY_TYPE.TOUGH:
-                    return 0.6;
-                case ENEMY_TYPE.BOSS:
-                    return 0.9;
-                default:
-                    return 0.5;
-            }
+        receiveAlert(position, origin) {
+            if (this.isDead()) return;
+
+            // Knowing where the player is sends the behavior tree after it
+            this.playerLastKnownPosition = new Vector3().copy(position);
+            this.alertOrigin = new Vector3().copy(origin);
+            this.lastAlertedTime = Utils.gameTime();
         }
 
         /**
-         * Update enemy state and handle transitions
-         * @param {number} deltaTime - Time since last update
+         * Alert allies in range or in the same room, and form them into a squad
+         * @param {Array} enemies - Array of all enemies
+         * @param {Object} map - Map for room lookups
          */
-        _updateState(deltaTime) {
-            // Update time in current state
-            const now = Utils.now();
-            this.stateDuration = now - this.lastStateChange;
+        _broadcastAlert(enemies, map) {
+            const now = Utils.gameTime();
+            if (!enemies || now - this.lastAlertTime < this.alertInterval) {
+                return;
+            }
+            this.lastAlertTime = now;
+            this.lastAlertedTime = now;
+            this.alertOrigin = new Vector3().copy(this.position);
 
-            // Check for state transitions based on duration
-            if (this.stateDuration >= this.stateChangeTime) {
-                // Consider changing state
-                switch (this.state) {
-                    case ENEMY_STATE.IDLE:
-                        // Idle -> Patrol
-                        if (Math.random() < 0.7) {
-                            this.state = ENEMY_STATE.PATROL;
-                            this._setRandomPatrolPoint();
-                        }
-                        break;
-
-                    case ENEMY_STATE.PATROL:
-                        // Patrol -> Idle
-                        if (Math.random() < 0.3) {
-                            this.state = ENEMY_STATE.IDLE;
-                        }
-                        break;
-
-                    case ENEMY_STATE.CHASE:
-                        // Chase -> Patrol (if lost player)
-                        if (!this.canSeePlayer && !this.canHearPlayer) {
-                            this.playerLastKnownPosition = null;
-                            this.state = ENEMY_STATE.PATROL;
-                            this._setRandomPatrolPoint();
-                        }
-                        break;
-
-                    case ENEMY_STATE.STUNNED:
-                        // Stunned -> Chase
-                        this.state = ENEMY_STATE.CHASE;
-                        break;
-                }
+            const roomId = typeof map.getRoomId === 'function' ?
+                map.getRoomId(this.position.x, this.position.z) : null;
 
-                // Reset state timer
-                this.lastStateChange = now;
-                this.stateChangeTime = Utils.randomInt(3000, 6000);
+            const squad = [this];
+            for (const other of enemies) {
+                if (other === this || other.isDead()) continue;
 
-                // Shorter state duration when chasing
-                if (this.state === ENEMY_STATE.CHASE) {
-                    this.stateChangeTime = 1000;
+                const inRange = other.position.distanceTo(this.position) <= this.alertRadius;
+                const sameRoom = roomId !== null && map.getRoomId(other.position.x, other.position.z) === roomId;
+                if (inRange || sameRoom) {
+                    other.receiveAlert(this.playerLastKnownPosition, this.position);
+                    squad.push(other);
                 }
             }
 
-            // Handle immediate state transitions
+            _assignSquadRoles(squad, this.playerLastKnownPosition);
+        }
 
-            // If enemy sees or hears player, start chasing
-            if ((this.canSeePlayer || this.canHearPlayer) &&
-                this.state !== ENEMY_STATE.CHASE &&
-                this.state !== ENEMY_STATE.ATTACK &&
-                this.state !== ENEMY_STATE.STUNNED) {
-                this.state = ENEMY_STATE.CHASE;
-                this.lastStateChange = now;
-            }
+        /**
+         * Drop out of the squad once the player is lost
+         */
+        _leaveSquad() {
+            this.squadRole = null;
+            this.flanked = false;
+            this.alertOrigin = null;
+        }
 
-            // If in chase mode and player is in attack range, attack
-            if (this.state === ENEMY_STATE.CHASE &&
-                this.targetPlayer &&
-                this.position.distanceTo(this.targetPlayer.position) <= this.attackRange) {
-                this.state = ENEMY_STATE.ATTACK;
-                this.lastStateChange = now;
+        /**
+         * Check if a recent alert still keeps the enemy hunting
+         * @returns {boolean} True if alerted within alertMemory
+         */
+        _isAlerted() {
+            return Utils.gameTime() - this.lastAlertedTime < this.alertMemory;
+        }
+
+        /**
+         * Get the point to head for on the way to the player, based on the squad role
+         * @param {Vector3} target - Where the player is thought to be
+         * @returns {Vector3} Goal position
+         */
+        _getSquadGoal(target) {
+            if (this.squadRole !== SQUAD_ROLE.FLANKER || this.flanked || !this.alertOrigin) {
+                return target;
             }
 
-            // If attacking and player moved out of range, go back to chase
-            if (this.state === ENEMY_STATE.ATTACK &&
-                this.targetPlayer &&
-                this.position.distanceTo(this.targetPlayer.position) > this.attackRange) {
-                this.state = ENEMY_STATE.CHASE;
-                this.lastStateChange = now;
+            // Swing round to one side of the player, across the line the alert came from
+            const front = new Vector3(this.alertOrigin.x - target.x, 0, this.alertOrigin.z - target.z).normalize();
+            const goal = new Vector3(
+                target.x - front.z * this.flankSide * FLANK_DISTANCE,
+                target.y,
+                target.z + front.x * this.flankSide * FLANK_DISTANCE
+            );
+
+            // Close in once round the side
+            if (this.position.distanceTo(goal) < 1.5) {
+                this.flanked = true;
+                return target;
             }
+
+            return goal;
+        }
+
+        /**
+         * Check if the enemy is dead
+         * @returns {boolean} True if dead
+         */
+        isDead() {
+            return this.state === ENEMY_STATE.DEAD;
         }
 
         /**
@@ -388,6 +484,7 @@
             // Reset sense flags
             this.canSeePlayer = false;
             this.canHearPlayer = false;
+            this.heardNoise = null;
 
             // Skip if no player or player is dead
             if (!player || (player.state === 'dead')) {
@@ -426,136 +523,389 @@
                 }
             }
 
-            // Check if can hear player (based on player's speed/noise)
-            if (distToPlayer <= this.hearingRange) {
-                // Basic implementation - player makes noise proportional to speed
-                const playerSpeed = player.velocity.length();
-                const hearingProbability = playerSpeed * 0.5; // 0.5 factor to reduce sensitivity
+            // Listen for noises carried through the map
+            const heard = MyApp.Noise ? MyApp.Noise.hear(this.position) : null;
+            if (heard) {
+                this.heardNoise = heard.noise;
+                this.canHearPlayer = heard.noise.source === 'player';
+
+                if (this.canHearPlayer && this.playerLastKnownPosition) {
+                    // Mid-hunt, the player's noises give away where it went
+                    this.playerLastKnownPosition = new Vector3().copy(heard.noise.position);
+                    this.lastAlertedTime = Utils.gameTime();
+                } else {
+                    this._investigate(heard.noise);
+                }
+            }
+        }
+
+        /**
+         * Note where a noise came from, for the behavior tree to go and check
+         * @param {Object} noise - Noise heard, see Noise.emit
+         */
+        _investigate(noise) {
+            if (noise.id === this.lastNoiseId) return;
+            this.lastNoiseId = noise.id;
+
+            // Keep looking around if it's the same spot
+            if (this.investigatePosition && this.investigatePosition.distanceTo(noise.position) < 1.0) {
+                return;
+            }
+
+            this.investigatePosition = new Vector3().copy(noise.position);
+            this.investigateStartTime = Utils.gameTime();
+            this.investigateArrivalTime = null;
+        }
+
+        /**
+         * Forget the noise being investigated
+         */
+        _stopInvestigating() {
+            this.investigatePosition = null;
+            this.investigateStartTime = null;
+            this.investigateArrivalTime = null;
+        }
+
+        /**
+         * Walk over to the noise being investigated, then look around for a while
+         * @param {Object} node - investigate node {speed, searchTime, timeout}
+         * @returns {string} Behavior STATUS, failing if there is nothing to check or it can't be reached
+         */
+        _updateInvestigate(node) {
+            if (!this.investigatePosition) {
+                return STATUS.FAILURE;
+            }
 
-                if (Math.random() < hearingProbability) {
-                    this.canHearPlayer = true;
-                    this.playerLastKnownPosition = new Vector3().copy(player.position);
+            this.state = ENEMY_STATE.INVESTIGATE;
+            const now = Utils.gameTime();
+
+            // Walk over to where the noise came from
+            if (this.investigateArrivalTime === null) {
+                if (this.position.distanceTo(this.investigatePosition) > 1.0) {
+                    // Give up if it takes too long to get there
+                    if (now - this.investigateStartTime > node.timeout ||
+                        !this._navigateTo(this.investigatePosition, node.speed, this.map)) {
+                        this._stopInvestigating();
+                        return STATUS.FAILURE;
+                    }
+                    return STATUS.RUNNING;
                 }
+
+                this.investigateArrivalTime = now;
+            }
+
+            // Then look around for a while
+            this.rotation += this.turnSpeed * 0.5;
+            this._updateDirection();
+
+            if (now - this.investigateArrivalTime >= node.searchTime) {
+                this._stopInvestigating();
+                return STATUS.SUCCESS;
             }
+            return STATUS.RUNNING;
         }
 
         /**
-         * Update enemy when in idle state
-         * @param {number} deltaTime - Time since last update
+         * Stand still looking around, glancing about at random or sweeping steadily
+         * @param {Object} node - lookAround node {min, max, turnSpeed}
+         * @param {Map} memory - Behavior memory
+         * @returns {string} Behavior STATUS, succeeding once the time is up
          */
-        _updateIdle(deltaTime) {
-            // In idle state, enemy just stands still or turns slightly randomly
-            this.speed = 0;
+        _updateLookAround(node, memory) {
+            this.state = ENEMY_STATE.IDLE;
 
-            // Random slight rotation
-            if (Math.random() < 0.05) {
-                this.rotation += (Math.random() - 0.5) * 0.1;
+            const now = Utils.gameTime();
+            if (!memory.has(node)) {
+                const max = node.max !== undefined ? node.max : node.min;
+                memory.set(node, now + Utils.randomInt(node.min, max, 'ai'));
+            }
+
+            if (node.turnSpeed) {
+                this.rotation += node.turnSpeed;
+                this._updateDirection();
+            } else if (Utils.random('ai') < 0.05) {
+                // Random slight rotation
+                this.rotation += (Utils.random('ai') - 0.5) * 0.1;
                 this._updateDirection();
             }
+
+            if (now < memory.get(node)) {
+                return STATUS.RUNNING;
+            }
+
+            memory.delete(node);
+            return STATUS.SUCCESS;
         }
 
         /**
-         * Update enemy when in patrol state
-         * @param {number} deltaTime - Time since last update
-         * @param {Object} map - Map for navigation
+         * Walk to the current patrol point, picking one if there is none
+         * @param {number} speedFactor - Speed multiplier (0-1)
+         * @returns {string} Behavior STATUS, succeeding on arrival and failing if it can't be reached
          */
-        _updatePatrol(deltaTime, map) {
+        _updatePatrol(speedFactor) {
+            this.state = ENEMY_STATE.PATROL;
+
             // If no target, set a random patrol point
             if (!this.targetPosition) {
                 this._setRandomPatrolPoint();
             }
 
             // Check if reached target
-            const distToTarget = this.position.distanceTo(this.targetPosition);
-            if (distToTarget < 0.5) {
-                // Set new patrol point
-                this._setRandomPatrolPoint();
-                return;
+            if (this.position.distanceTo(this.targetPosition) < 0.5) {
+                this.targetPosition = null;
+                return STATUS.SUCCESS;
             }
 
-            // Navigate to target
-            this._navigateTo(this.targetPosition, 0.6, map);
+            // Navigate to target, picking another point next time if it can't be reached
+            if (!this._navigateTo(this.targetPosition, speedFactor, this.map)) {
+                this.targetPosition = null;
+                return STATUS.FAILURE;
+            }
+            return STATUS.RUNNING;
         }
 
         /**
-         * Update enemy when in chase state
-         * @param {number} deltaTime - Time since last update
-         * @param {Object} player - Player object
-         * @param {Object} map - Map for navigation
+         * Hunt the player: head for it by squad role while in sight, otherwise for where it was last known
+         * @param {number} speedFactor - Speed multiplier (0-1)
+         * @returns {string} Behavior STATUS, succeeding on reaching the last known position and failing if there is none
          */
-        _updateChase(deltaTime, player, map) {
-            // If can see player, chase directly
+        _updateChase(speedFactor) {
+            const player = this.targetPlayer;
+            const map = this.map;
+
+            if (!this.playerLastKnownPosition) {
+                return STATUS.FAILURE;
+            }
+
+            this.state = ENEMY_STATE.CHASE;
+            this._stopInvestigating();
+
+            // If can see player, chase according to the squad role
             if (this.canSeePlayer && player) {
-                this._navigateTo(player.position, 1.0, map);
-                return;
+                // Head straight for the player if there is no route within reach
+                if (!this._navigateTo(this._getSquadGoal(player.position), speedFactor, map)) {
+                    this.flanked = true;
+                    this._steerTowards(player.position, speedFactor, map);
+                }
+                return STATUS.RUNNING;
             }
 
-            // If has last known position, move there
-            if (this.playerLastKnownPosition) {
-                // Check if reached last known position
-                const distToLastKnown = this.position.distanceTo(this.playerLastKnownPosition);
-                if (distToLastKnown < 1.0) {
-                    // Lost the player
-                    this.playerLastKnownPosition = null;
+            // Check if reached last known position
+            if (this.position.distanceTo(this.playerLastKnownPosition) < 1.0) {
+                // Lost the player
+                this.playerLastKnownPosition = null;
+                this._leaveSquad();
+
+                // Smarter enemies search around briefly before giving up
+                if (Utils.random('ai') < this.intelligence) {
+                    this._setRandomPatrolPoint(3);
+                } else {
+                    this._setRandomPatrolPoint();
+                }
+                return STATUS.SUCCESS;
+            }
 
-                    // Search around briefly before giving up
-                    if (Math.random() < this.intelligence) {
-                        // Smarter enemies will look around more
-                        this._setRandomPatrolPoint(3);
-                    } else {
-                        this.state = ENEMY_STATE.PATROL;
-                        this._setRandomPatrolPoint();
-                    }
-                    return;
+            // Navigate to last known position, giving up if it can't be reached
+            const goal = this._getSquadGoal(this.playerLastKnownPosition);
+            if (!this._navigateTo(goal, speedFactor, map)) {
+                if (goal === this.playerLastKnownPosition) {
+                    this.playerLastKnownPosition = null;
+                    this._leaveSquad();
+                    return STATUS.FAILURE;
                 }
 
-                // Navigate to last known position
-                this._navigateTo(this.playerLastKnownPosition, 1.0, map);
-            } else {
-                // No idea where player is, go back to patrol
-                this.state = ENEMY_STATE.PATROL;
-                this._setRandomPatrolPoint();
+                // Can't get round that side, go straight in
+                this.flanked = true;
             }
+            return STATUS.RUNNING;
         }
 
         /**
-         * Update enemy when in attack state
-         * @param {number} deltaTime - Time since last update
-         * @param {Object} player - Player object
+         * Hold position facing the player while it is in sight and within a distance
+         * @param {number} distance - Distance to hold within
+         * @returns {string} Behavior STATUS, failing once the player is out of sight or further away
          */
-        _updateAttack(deltaTime, player) {
-            // Stop moving while attacking
-            this.speed = 0;
+        _updateKeepDistance(distance) {
+            const player = this.targetPlayer;
+            if (!this.canSeePlayer || !player || this.position.distanceTo(player.position) > distance) {
+                return STATUS.FAILURE;
+            }
 
-            // Look at player
-            if (player) {
-                this._lookAt(player.position);
+            this.state = ENEMY_STATE.CHASE;
+            this._lookAt(player.position);
+            return STATUS.RUNNING;
+        }
+
+        /**
+         * Stand and fight once hunting: strike in melee range, otherwise shoot if the player is in ranged range
+         * @param {Object} node - attack node {shots}
+         * @param {Map} memory - Behavior memory
+         * @returns {string} Behavior STATUS, failing if the player is out of reach
+         *                   and succeeding after the node's number of shots, if it has one
+         */
+        _updateAttack(node, memory) {
+            const player = this.targetPlayer;
+            if (!player || player.state === 'dead' || !this.playerLastKnownPosition) {
+                return STATUS.FAILURE;
             }
 
-            // Check attack cooldown
-            const now = Utils.now();
-            if (now - this.lastAttackTime >= this.attackCooldown) {
-                // Can attack
-                if (player && this.position.distanceTo(player.position) <= this.attackRange) {
+            const inMeleeRange = this.position.distanceTo(player.position) <= this.attack.range;
+            if (!inMeleeRange && !this._canUseRangedAttack(player)) {
+                return STATUS.FAILURE;
+            }
+
+            // Stand still facing the player while attacking
+            this.state = ENEMY_STATE.ATTACK;
+            this._lookAt(player.position);
+
+            // Check attack cooldowns
+            const now = Utils.gameTime();
+            let attacked = false;
+            if (inMeleeRange) {
+                if (now - this.lastAttackTime >= this.attack.cooldown) {
                     // Deal damage to player
                     if (typeof MyApp.Player.damage === 'function') {
-                        MyApp.Player.damage(this.damage, this.position);
+                        MyApp.Player.damage(this.attack.damage, this.position, this.attack.damageType);
                     }
                     this.lastAttackTime = now;
+                    attacked = true;
 
                     // Randomize cooldown a bit
-                    this.attackCooldown = Utils.randomInt(800, 1200);
+                    this.attack.cooldown = Utils.randomInt(800, 1200, 'ai');
                 }
+            } else if (now - this.lastRangedAttackTime >= this.rangedAttack.cooldown) {
+                this._fireProjectile(player);
+                this.lastRangedAttackTime = now;
+                attacked = true;
             }
+
+            // Count shots towards the node's limit
+            if (attacked && node.shots) {
+                const shots = (memory.get(node) || 0) + 1;
+                if (shots >= node.shots) {
+                    memory.delete(node);
+                    return STATUS.SUCCESS;
+                }
+                memory.set(node, shots);
+            }
+            return STATUS.RUNNING;
         }
 
         /**
-         * Update enemy when in stunned state
-         * @param {number} deltaTime - Time since last update
+         * Check if the player can be shot at from here
+         * @param {Object} player - Player object
+         * @returns {boolean} True if a ranged attack is possible
          */
-        _updateStunned(deltaTime) {
-            // Can't move while stunned
-            this.speed = 0;
+        _canUseRangedAttack(player) {
+            if (!this.rangedAttack || !this.canSeePlayer || !player) {
+                return false;
+            }
+
+            const distance = this.position.distanceTo(player.position);
+            return distance >= this.rangedAttack.minDistance && distance <= this.rangedAttack.range;
+        }
+
+        /**
+         * Fire a projectile at the player
+         * @param {Object} player - Player object
+         */
+        _fireProjectile(player) {
+            if (!MyApp.Projectile) return;
+
+            const toPlayer = new Vector3()
+                .copy(player.position)
+                .subtract(this.position)
+                .normalize();
+
+            // Launch from just outside the enemy's collision radius
+            const origin = new Vector3()
+                .copy(toPlayer)
+                .multiplyScalar(this.radius + 0.1)
+                .add(this.position);
+
+            MyApp.Projectile.spawn({
+                position: origin,
+                velocity: toPlayer.multiplyScalar(this.rangedAttack.projectileSpeed),
+                owner: this,
+                damage: this.rangedAttack.damage,
+                damageType: this.rangedAttack.damageType
+            });
+        }
+
+        /**
+         * Sidestep around the player while facing it, switching sides at walls
+         * @param {Object} node - strafe node {time, speed}
+         * @param {Map} memory - Behavior memory
+         * @returns {string} Behavior STATUS, failing without the player in sight and succeeding once the time is up
+         */
+        _updateStrafe(node, memory) {
+            const player = this.targetPlayer;
+            if (!this.canSeePlayer || !player) {
+                memory.delete(node);
+                return STATUS.FAILURE;
+            }
+
+            const now = Utils.gameTime();
+            let strafe = memory.get(node);
+            if (!strafe) {
+                strafe = { side: Utils.random('ai') < 0.5 ? 1 : -1, endTime: now + node.time };
+                memory.set(node, strafe);
+            }
+
+            if (now >= strafe.endTime) {
+                memory.delete(node);
+                return STATUS.SUCCESS;
+            }
+
+            this.state = ENEMY_STATE.CHASE;
+            this._lookAt(player.position);
+
+            // Switch sides rather than run into a wall
+            const reach = (this.radius + 0.3) * strafe.side;
+            if (this.map.isWall(this.position.x + this.direction.z * reach, this.position.z - this.direction.x * reach)) {
+                strafe.side = -strafe.side;
+            }
+
+            const speedFactor = node.speed !== undefined ? node.speed : 1;
+            this.strafeSpeed = this.maxSpeed * speedFactor * strafe.side;
+            return STATUS.RUNNING;
+        }
+
+        /**
+         * Run away from where the player was last known to be
+         * @param {Object} node - flee node {distance, speed}
+         * @param {Map} memory - Behavior memory
+         * @returns {string} Behavior STATUS, failing if the player isn't known about
+         *                   and succeeding once the distance is put between them
+         */
+        _updateFlee(node, memory) {
+            const threat = this.playerLastKnownPosition;
+            if (!threat) {
+                memory.delete(node);
+                return STATUS.FAILURE;
+            }
+
+            if (this.position.distanceTo(threat) >= node.distance) {
+                memory.delete(node);
+                return STATUS.SUCCESS;
+            }
+
+            this.state = ENEMY_STATE.FLEE;
+
+            // Pick a spot directly away from the player once, so the path isn't redone every tick
+            let goal = memory.get(node);
+            if (!goal) {
+                const away = new Vector3(this.position.x - threat.x, 0, this.position.z - threat.z).normalize();
+                goal = new Vector3(threat.x + away.x * node.distance, 0, threat.z + away.z * node.distance);
+                memory.set(node, goal);
+            }
+
+            // Blunder straight away if there is no route there
+            const speedFactor = node.speed !== undefined ? node.speed : 1;
+            if (!this._navigateTo(goal, speedFactor, this.map)) {
+                this._steerTowards(goal, speedFactor, this.map);
+            }
+            return STATUS.RUNNING;
         }
 
         /**
@@ -564,9 +914,9 @@
          */
         _setRandomPatrolPoint(maxDistance = 10) {
             // Random angle
-            const angle = Math.random() * Math.PI * 2;
+            const angle = Utils.random('ai') * Math.PI * 2;
             // Random distance
-            const distance = Math.random() * maxDistance + 2;
+            const distance = Utils.random('ai') * maxDistance + 2;
 
             // Calculate target position
             this.targetPosition = new Vector3(
@@ -578,11 +928,54 @@
 
         /**
          * Navigate to a target position
+         * Follows a path around walls when the pathfinding service is available
          * @param {Vector3} target - Target position
          * @param {number} speedFactor - Speed multiplier (0-1)
          * @param {Object} map - Map for collision check
+         * @returns {boolean} False if the target can't be reached
          */
         _navigateTo(target, speedFactor, map) {
+            if (!MyApp.Pathfinding) {
+                this._steerTowards(target, speedFactor, map);
+                return true;
+            }
+
+            // Re-path when there is no path or the goal has moved too far
+            if (!this.path || !this.pathGoal ||
+                this.pathGoal.distanceTo(target) > this.repathDistance) {
+                this.path = MyApp.Pathfinding.findPath(this.position, target);
+                this.pathIndex = 0;
+                this.pathGoal = new Vector3().copy(target);
+
+                if (!this.path) {
+                    this.speed = 0;
+                    return false;
+                }
+            }
+
+            // Advance past reached waypoints
+            while (this.pathIndex < this.path.length - 1 &&
+                   this.position.distanceTo(this.path[this.pathIndex]) < this.waypointRadius) {
+                this.pathIndex++;
+            }
+
+            const waypoint = this.path[this.pathIndex] || target;
+
+            // Rotate to face the waypoint
+            this._lookAt(waypoint);
+
+            // Set speed based on speedFactor
+            this.speed = this.maxSpeed * speedFactor;
+            return true;
+        }
+
+        /**
+         * Walk straight at a target, turning randomly away from walls
+         * @param {Vector3} target - Target position
+         * @param {number} speedFactor - Speed multiplier (0-1)
+         * @param {Object} map - Map for collision check
+         */
+        _steerTowards(target, speedFactor, map) {
             // Calculate direction to target
             const toTarget = new Vector3()
                 .copy(target)
@@ -611,7 +1004,7 @@
                 // Try to navigate around obstacles
                 if (hit.distance < 0.5) {
                     // Random direction change to try and get around obstacle
-                    this.rotation += (Math.random() - 0.5) * 0.3;
+                    this.rotation += (Utils.random('ai') - 0.5) * 0.3;
                     this._updateDirection();
                 }
             }
@@ -654,6 +1047,20 @@
             this.direction.z = Math.cos(this.rotation);
         }
 
+        /**
+         * Open a door just ahead of the enemy
+         * @param {Object} map - Map with doors
+         */
+        _openDoorAhead(map) {
+            if (typeof map.openDoor !== 'function') return;
+
+            const reach = this.radius + 0.6;
+            map.openDoor(
+                this.position.x + this.direction.x * reach,
+                this.position.z + this.direction.z * reach
+            );
+        }
+
         /**
          * Apply physics and movement
          * @param {number} deltaTime - Time since last update
@@ -661,9 +1068,25 @@
          * @param {Array} enemies - Array of all enemies for collision
          */
         _updatePhysics(deltaTime, map, enemies) {
-            // Apply speed to velocity
-            this.velocity.x = this.direction.x * this.speed;
-            this.velocity.z = this.direction.z * this.speed;
+            // Slide from knockback until it dies down or hits a wall
+            if (this.knockback.lengthSquared() > 0.0001) {
+                const pushed = new Vector3().copy(this.position).add(this.knockback);
+                if (map.isWall(pushed.x, pushed.z)) {
+                    this.knockback.set(0, 0, 0);
+                } else {
+                    this.position.copy(pushed);
+                    this.knockback.multiplyScalar(KNOCKBACK_DECAY);
+                }
+            } else {
+                this.knockback.set(0, 0, 0);
+            }
+
+            // Apply forward and sideways speed to velocity, reduced while slowed
+            const slow = Utils.gameTime() < this.slowUntil ? this.slowFactor : 1;
+            const speed = this.speed * slow;
+            const strafeSpeed = this.strafeSpeed * slow;
+            this.velocity.x = this.direction.x * speed + this.direction.z * strafeSpeed;
+            this.velocity.z = this.direction.z * speed - this.direction.x * strafeSpeed;
 
             // Check for collision with walls
             const newPosition = new Vector3().copy(this.position).add(this.velocity);
@@ -702,16 +1125,17 @@
 
         /**
          * Update animation state
+         * Frames match the renderer's enemy sprite sheet: walk 0-3, attack 4-5, stunned 6, dead 7
          * @param {number} deltaTime - Time since last update
          */
         _updateAnimation(deltaTime) {
             // Basic animation based on movement
-            if (this.speed > 0) {
-                this.animationFrame += this.animationSpeed * deltaTime;
+            if (this.speed > 0 || this.strafeSpeed !== 0) {
+                this.animationFrame += this.animationSpeed;
 
-                // Loop animation frames
-                if (this.animationFrame > 4) {
-                    this.animationFrame = 0;
+                // Loop the walk frames
+                if (this.animationFrame >= 4) {
+                    this.animationFrame -= 4;
                 }
             } else {
                 this.animationFrame = 0;
@@ -731,6 +1155,153 @@
         }
     }
 
+    /**
+     * Hand out roles to squad members that don't have one yet
+     * Nearest get to rush, one ranged member suppresses and the rest flank from alternate sides
+     * @param {Array} squad - Enemies alerted together
+     * @param {Vector3} target - Where the player was seen
+     */
+    function _assignSquadRoles(squad, target) {
+        const count = (role) => squad.filter(enemy => enemy.squadRole === role).length;
+        const unassigned = squad
+            .filter(enemy => !enemy.squadRole)
+            .sort((a, b) => a.position.distanceTo(target) - b.position.distanceTo(target));
+
+        for (const enemy of unassigned) {
+            if (enemy.rangedAttack && count(SQUAD_ROLE.SUPPRESSOR) === 0) {
+                enemy.squadRole = SQUAD_ROLE.SUPPRESSOR;
+            } else if (count(SQUAD_ROLE.RUSHER) < Math.ceil(squad.length / 3)) {
+                enemy.squadRole = SQUAD_ROLE.RUSHER;
+            } else {
+                enemy.flankSide = count(SQUAD_ROLE.FLANKER) % 2 === 0 ? 1 : -1;
+                enemy.flanked = false;
+                enemy.squadRole = SQUAD_ROLE.FLANKER;
+            }
+        }
+    }
+
+    /**
+     * Check an optional speed multiplier parameter
+     * @param {Object} node - Node with an optional speed
+     * @returns {string|null} What is wrong with the speed, or null if valid
+     */
+    function _checkSpeed(node) {
+        return node.speed === undefined || (typeof node.speed === 'number' && node.speed >= 0 && node.speed <= 1) ?
+            null : 'speed must be a multiplier from 0 to 1';
+    }
+
+    /**
+     * Check a required positive distance parameter
+     * @param {Object} node - Node with a distance
+     * @returns {string|null} What is wrong with the distance, or null if valid
+     */
+    function _checkDistance(node) {
+        return typeof node.distance === 'number' && node.distance > 0 ? null : 'distance must be a positive number';
+    }
+
+    // Enemy behavior nodes, for use in archetype behavior trees alongside Behavior's composites
+
+    /**
+     * seePlayer: succeeds while the player is in sight
+     */
+    Behavior.registerNode('seePlayer', (node, enemy) =>
+        enemy.canSeePlayer ? STATUS.SUCCESS : STATUS.FAILURE);
+
+    /**
+     * hearPlayer: succeeds while a noise the player made can be heard
+     */
+    Behavior.registerNode('hearPlayer', (node, enemy) =>
+        enemy.canHearPlayer ? STATUS.SUCCESS : STATUS.FAILURE);
+
+    /**
+     * hasTarget: succeeds while the enemy knows, or thinks it knows, where the player is
+     */
+    Behavior.registerNode('hasTarget', (node, enemy) =>
+        enemy.playerLastKnownPosition ? STATUS.SUCCESS : STATUS.FAILURE);
+
+    /**
+     * playerWithin {distance}: succeeds while the player is within a distance, seen or not
+     */
+    Behavior.registerNode('playerWithin', (node, enemy) =>
+        enemy.targetPlayer && enemy.position.distanceTo(enemy.targetPlayer.position) <= node.distance ?
+            STATUS.SUCCESS : STATUS.FAILURE,
+    { check: _checkDistance });
+
+    /**
+     * healthBelow {fraction}: succeeds while health is under a fraction of the maximum
+     */
+    Behavior.registerNode('healthBelow', (node, enemy) =>
+        enemy.vitals.health < enemy.vitals.maxHealth * node.fraction ? STATUS.SUCCESS : STATUS.FAILURE,
+    {
+        check: node => typeof node.fraction === 'number' && node.fraction >= 0 && node.fraction <= 1 ?
+            null : 'fraction must be a number from 0 to 1'
+    });
+
+    /**
+     * squadRole {role}: succeeds while the enemy has a squad role
+     */
+    Behavior.registerNode('squadRole', (node, enemy) =>
+        enemy.squadRole === node.role ? STATUS.SUCCESS : STATUS.FAILURE,
+    {
+        check: node => Object.values(SQUAD_ROLE).includes(node.role) ?
+            null : `role must be one of ${Object.values(SQUAD_ROLE).join(', ')}`
+    });
+
+    /**
+     * moveTo {target, speed}: walks to the player ('player') or a patrol point ('patrol')
+     */
+    Behavior.registerNode('moveTo', (node, enemy) => {
+        const speed = node.speed !== undefined ? node.speed : 1;
+        return node.target === 'player' ? enemy._updateChase(speed) : enemy._updatePatrol(speed);
+    }, {
+        check: node => ['player', 'patrol'].includes(node.target) ?
+            _checkSpeed(node) : "target must be 'player' or 'patrol'"
+    });
+
+    /**
+     * keepDistance {distance}: holds position facing the player while it is in sight within a distance
+     */
+    Behavior.registerNode('keepDistance', (node, enemy) => enemy._updateKeepDistance(node.distance),
+        { check: _checkDistance });
+
+    /**
+     * attack {shots}: strikes or shoots at the player while in reach, succeeding after a number of shots if given
+     */
+    Behavior.registerNode('attack', (node, enemy, memory) => enemy._updateAttack(node, memory), {
+        check: node => node.shots === undefined || (Number.isInteger(node.shots) && node.shots > 0) ?
+            null : 'shots must be a positive whole number'
+    });
+
+    /**
+     * strafe {time, speed}: sidesteps around the player in sight for a while
+     */
+    Behavior.registerNode('strafe', (node, enemy, memory) =>
+        enemy._updateStrafe(node, memory),
+    {
+        check: node => typeof node.time === 'number' && node.time > 0 ?
+            _checkSpeed(node) : 'time must be a positive number of ms'
+    });
+
+    /**
+     * flee {distance, speed}: runs from the player until that far from where it was last known
+     */
+    Behavior.registerNode('flee', (node, enemy, memory) =>
+        enemy._updateFlee(node, memory),
+    { check: node => _checkDistance(node) || _checkSpeed(node) });
+
+    /**
+     * investigate {speed, searchTime, timeout}: goes to look around where the last new noise came from
+     */
+    Behavior.registerNode('investigate', (node, enemy) =>
+        enemy._updateInvestigate({ speed: 0.7, searchTime: 2500, timeout: 10000, ...node }),
+    { check: _checkSpeed });
+
+    /**
+     * lookAround {min, max, turnSpeed}: stands looking about for a fixed or random time
+     */
+    Behavior.registerNode('lookAround', (node, enemy, memory) => enemy._updateLookAround(node, memory),
+        { check: Behavior.checkTimeRange });
+
     /**
      * Manager for handling multiple enemies
      */
@@ -738,12 +1309,20 @@
         constructor() {
             this.enemies = [];
             this.maxEnemies = 20;
-            this.spawnInterval = 5000; // ms between spawns
-            this.lastSpawnTime = 0;
             this.difficulty = 1.0;
             this.playerPosition = null;
             this.activeRadius = 50; // Enemies beyond this are inactive
             this.difficultyIncreaseFactor = 0.1; // Increase per enemy killed
+
+            // Corpses left by dead enemies, oldest first
+            this.corpses = [];
+            this.corpsePool = []; // Expired corpses kept for reuse
+            this.maxCorpses = 24; // Oldest corpse is recycled beyond this
+            this.corpseTime = 30000; // ms a corpse lies around
+            this.deathFrameTime = 150; // ms per frame of the death animation
+
+            // Events for every enemy: 'spawn', 'hurt', 'death'
+            this.events = new Utils.EventEmitter();
         }
 
         /**
@@ -752,9 +1331,10 @@
          */
         init(options = {}) {
             if (options.maxEnemies) this.maxEnemies = options.maxEnemies;
-            if (options.spawnInterval) this.spawnInterval = options.spawnInterval;
             if (options.difficulty) this.difficulty = options.difficulty;
             if (options.activeRadius) this.activeRadius = options.activeRadius;
+            if (options.maxCorpses) this.maxCorpses = options.maxCorpses;
+            if (options.corpseTime) this.corpseTime = options.corpseTime;
 
             console.log('Enemy manager initialized');
         }
@@ -780,15 +1360,14 @@
                     enemy.update(deltaTime, player, map, this.enemies);
                 }
 
-                // Remove dead enemies after some time
-                if (enemy.isDead() && Utils.now() - enemy.lastStateChange > 5000) {
+                // Dead enemies have left a corpse behind
+                if (enemy.isDead()) {
                     this.enemies.splice(i, 1);
                     i--;
                 }
             }
 
-            // Check if we should spawn new enemies
-            this._checkSpawning(map);
+            this._updateCorpses();
         }
 
         /**
@@ -801,12 +1380,108 @@
                 return null;
             }
 
+            const type = options.type || ENEMY_TYPE.BASIC;
+            if (!MyApp.Archetypes || !MyApp.Archetypes.get(type)) {
+                console.error(`Unknown enemy type '${type}'`);
+                return null;
+            }
+
             const enemy = new Enemy(options);
             this.enemies.push(enemy);
 
+            // Swap in a corpse the moment it dies, so it never vanishes
+            enemy.vitals.on('death', (info, overkill) => {
+                this._addCorpse(enemy);
+                this.events.emit('death', enemy, info, overkill);
+            });
+            enemy.vitals.on('hurt', (amount, info) => this.events.emit('hurt', enemy, amount, info));
+
+            this.events.emit('spawn', enemy);
             return enemy;
         }
 
+        /**
+         * Leave a corpse where an enemy died
+         * Overkill deaths leave a gib pile and throw out gibs instead
+         * @param {Enemy} enemy - Enemy that just died
+         */
+        _addCorpse(enemy) {
+            // Recycle the oldest corpse at the limit, otherwise reuse an expired one
+            let corpse;
+            if (this.corpses.length >= this.maxCorpses) {
+                corpse = this.corpses.shift();
+            } else if (this.corpsePool.length > 0) {
+                corpse = this.corpsePool.pop();
+            } else {
+                corpse = {
+                    id: Utils.createGuid(),
+                    type: 'corpse',
+                    position: new Vector3(),
+                    spriteSet: 'corpses',
+                    textureId: 0,
+                    visible: true
+                };
+            }
+
+            corpse.enemyType = enemy.type;
+            corpse.enemyTextureId = enemy.textureId;
+            corpse.position.set(enemy.position.x, 0, enemy.position.z);
+            corpse.gibbed = enemy.gibbed;
+            corpse.deathTime = Utils.gameTime();
+            corpse.textureId = this._getCorpseTexture(corpse);
+            this.corpses.push(corpse);
+
+            // Splatter
+            if (MyApp.Particles) {
+                MyApp.Particles.burst(enemy.position, enemy.gibbed ?
+                    { count: 16, speed: 0.12, lift: 0.04, textureIds: [6, 7] } :
+                    { count: 4, speed: 0.05, textureIds: [7] });
+            }
+        }
+
+        /**
+         * Advance death animations and clear out old corpses
+         */
+        _updateCorpses() {
+            const now = Utils.gameTime();
+
+            for (let i = 0; i < this.corpses.length; i++) {
+                const corpse = this.corpses[i];
+
+                if (now - corpse.deathTime > this.corpseTime) {
+                    this.corpses.splice(i, 1);
+                    this.corpsePool.push(corpse);
+                    i--;
+                    continue;
+                }
+
+                corpse.textureId = this._getCorpseTexture(corpse);
+            }
+        }
+
+        /**
+         * Get the corpse sprite for the current point of its death animation
+         * @param {Object} corpse - Corpse
+         * @returns {number} Texture id in the 'corpses' sprite set
+         */
+        _getCorpseTexture(corpse) {
+            const first = corpse.enemyTextureId * CORPSE_FRAMES;
+            if (corpse.gibbed) {
+                return first + DEATH_FRAMES;
+            }
+
+            const frame = Math.floor((Utils.gameTime() - corpse.deathTime) / this.deathFrameTime);
+            return first + Math.min(frame, DEATH_FRAMES - 1);
+        }
+
+        /**
+         * Get all corpses, including ones still falling
+         * @returns {Array} Array of corpses
+         */
+        getCorpses() {
+            return this.corpses;
+        }
+
         /**
          * Get all enemies
          * @returns {Array} Array of enemies
@@ -824,79 +1499,39 @@
         }
 
         /**
-         * Spawn enemies based on difficulty
-         * @param {Object} map - Map for spawning positions
+         * Pick an archetype to spawn, weighted by each one's spawn weight at the current difficulty
+         * @returns {string|null} Archetype id, or null if none can spawn
          */
-        _checkSpawning(map) {
-            const now = Utils.now();
-
-            // Check if it's time to spawn
-            if (now - this.lastSpawnTime < this.spawnInterval) {
-                return;
-            }
-
-            // Don't spawn if at maximum
-            if (this.enemies.length >= this.maxEnemies) {
-                return;
+        pickSpawnType() {
+            if (!MyApp.Archetypes) return null;
+
+            const weighted = MyApp.Archetypes.list()
+                .map(id => ({ id, weight: MyApp.Archetypes.getSpawnWeight(MyApp.Archetypes.get(id), this.difficulty) }))
+                .filter(entry => entry.weight > 0);
+
+            const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+            let roll = Utils.random('ai') * total;
+            for (const entry of weighted) {
+                roll -= entry.weight;
+                if (roll < 0) return entry.id;
             }
 
-            // Chance to spawn based on difficulty
-            const spawnChance = 0.3 * this.difficulty;
-            if (Math.random() > spawnChance) {
-                return;
-            }
-
-            // Get a spawn position
-            const spawnPos = map.getRandomFreeSpace(false);
-            if (!spawnPos) {
-                return;
-            }
-
-            // Don't spawn too close to player
-            if (this.playerPosition &&
-                Utils.distance2D(spawnPos.x, spawnPos.z, this.playerPosition.x, this.playerPosition.z) < 10) {
-                return;
-            }
-
-            // Determine enemy type based on difficulty
-            let type = ENEMY_TYPE.BASIC;
-            const randValue = Math.random();
+            return null;
+        }
 
-            if (this.difficulty > 3.0) {
-                // At high difficulty, chance for boss
-                if (randValue > 0.95) {
-                    type = ENEMY_TYPE.BOSS;
-                } else if (randValue > 0.7) {
-                    type = ENEMY_TYPE.TOUGH;
-                } else if (randValue > 0.4) {
-                    type = ENEMY_TYPE.FAST;
-                }
-            } else if (this.difficulty > 2.0) {
-                // Medium difficulty
-                if (randValue > 0.8) {
-                    type = ENEMY_TYPE.TOUGH;
-                } else if (randValue > 0.5) {
-                    type = ENEMY_TYPE.FAST;
-                }
-            } else if (this.difficulty > 1.0) {
-                // Low difficulty
-                if (randValue > 0.7) {
-                    type = ENEMY_TYPE.FAST;
-                }
+        /**
+         * Register a new enemy archetype, which can be spawned straight away
+         * @param {string} id - Archetype id, used as the enemy type
+         * @param {Object} definition - Archetype definition (see Archetypes.SCHEMA)
+         * @returns {boolean} True if registered
+         */
+        registerArchetype(id, definition) {
+            if (!MyApp.Archetypes) {
+                console.error('Archetypes module not loaded');
+                return false;
             }
 
-            // Create the enemy
-            this.addEnemy({
-                type,
-                position: new Vector3(spawnPos.x, 0, spawnPos.z),
-                rotation: Math.random() * Math.PI * 2
-            });
-
-            // Update spawn time
-            this.lastSpawnTime = now;
-
-            // Adjust spawn interval based on difficulty
-            this.spawnInterval = 5000 / this.difficulty;
+            return MyApp.Archetypes.register(id, definition);
         }
 
         /**
@@ -920,6 +1555,24 @@
             return distToPlayer <= this.activeRadius;
         }
 
+        /**
+         * Register an event listener for all enemies
+         * @param {string} event - Event name ('spawn', 'hurt', 'death')
+         * @param {Function} callback - Event callback, given the enemy first
+         * @returns {Function} Unsubscribe function
+         */
+        on(event, callback) {
+            return this.events.on(event, callback);
+        }
+
+        /**
+         * Get the current difficulty
+         * @returns {number} Difficulty
+         */
+        getDifficulty() {
+            return this.difficulty;
+        }
+
         /**
          * Increase difficulty
          * @param {number} amount - Amount to increase
@@ -938,7 +1591,8 @@
          */
         reset() {
             this.enemies = [];
-            this.lastSpawnTime = 0;
+            this.corpsePool.push(...this.corpses);
+            this.corpses = [];
         }
     }
 
@@ -951,10 +1605,16 @@
         update: (deltaTime, player, map) => enemyManager.update(deltaTime, player, map),
         getEnemies: () => enemyManager.getEnemies(),
         getActiveEnemies: () => enemyManager.getActiveEnemies(),
+        getCorpses: () => enemyManager.getCorpses(),
         addEnemy: (options) => enemyManager.addEnemy(options),
+        registerArchetype: (id, definition) => enemyManager.registerArchetype(id, definition),
+        pickSpawnType: () => enemyManager.pickSpawnType(),
+        getDifficulty: () => enemyManager.getDifficulty(),
         increaseDifficulty: (amount) => enemyManager.increaseDifficulty(amount),
         reset: () => enemyManager.reset(),
-        ENEMY_TYPE
+        on: (event, callback) => enemyManager.on(event, callback),
+        ENEMY_TYPE,
+        SQUAD_ROLE
     };
 
     console.log('Enemy module loaded');
@@ -7,24 +7,61 @@
     const Utils = MyApp.Utils;
     const Math3D = MyApp.Math3D;
     const Vector3 = Math3D.Vector3;
+
+    // Game modes
+    const GAME_MODE = {
+        LEVELS: 'levels', // Procedural levels, each ending at its exit
+        WAVES: 'waves'    // Survival waves in a fixed arena
+    };
+
+    // Optional objectives that keep a level's exit sealed until done
+    const OBJECTIVE = {
+        KILLS: 'kills', // Kill a number of enemies
+        KEYS: 'keys'    // Pick up a number of keycards
+    };
+
+    // Item sprites of the level exit, after the keycards
+    const EXIT_TEXTURE = {
+        SEALED: 3,
+        OPEN: 4
+    };
+
+    // Item sprite of weapon pickups, after the exit
+    const WEAPON_TEXTURE = 5;
     
     // Private variables
     let _canvas = null;
     let _gameStartTime = 0;
     let _lastUpdateTime = 0;
+    let _accumulator = 0;      // Real time not yet simulated, in ms
+    let _tickCount = 0;        // Simulation ticks since the game started
     let _running = false;
     let _animationFrameId = null;
+    let _mode = GAME_MODE.LEVELS;
     let _currentLevel = 1;
     let _levelStartTime = 0;
     let _itemEntities = [];
+    let _exit = null;              // Exit entity of the current level
+    let _objective = null;         // Objective gating the exit {type, target, progress}, or null
+    let _foundSecrets = new Set(); // Room ids of the secrets found this level
+    let _weaponSpots = new Map();  // Weapon type lying at each "x,z" chunk weapon spot, null once taken
+    let _lastSealedMessage = -Infinity;
     let _gameSettings = {
         maxFps: 60,
         msPerFrame: 1000 / 60,
         startingDifficulty: 1.0,
         difficultyIncrease: 0.1,
-        levelDuration: 120000, // 2 minutes
-        enemySpawnInterval: 5000,
-        maxEnemies: 10
+        tickRate: 60,          // Simulation ticks per second
+        maxFrameTime: 250,     // Longest frame simulated before dropping time, in ms
+        maxEnemies: 10,
+        objectiveChance: 0.5,  // Chance of a level sealing its exit behind an objective
+        killQuota: 10,         // Kills for a kill objective on level 1
+        killQuotaIncrease: 5,  // Extra kills per level after the first
+        keyQuota: 1,           // Keycards for a key objective
+        sealedMessageInterval: 2000, // ms between reminders while touching a sealed exit
+        weaponPickups: ['shotgun', 'rifle', 'rocketLauncher', 'plasmaGun'], // Weapons found in locked rooms
+        ammoPickupShare: 0.1,  // Share of an ammo type's max in an ammo pickup
+        seed: null // Fixed run seed, null picks a new one every run
     };
 
     // Event emitter
@@ -57,8 +94,8 @@
                 health: 100,
                 maxHealth: 100,
                 armor: 0,
-                weapon: { type: 'pistol', ammo: 12, maxAmmo: 12 },
-                totalAmmo: 60,
+                weapon: { type: 'pistol', ammoType: 'bullets', ammo: 12, maxAmmo: 12 },
+                ammo: { bullets: 60 },
                 score: 0,
                 kills: 0
             };
@@ -99,24 +136,47 @@
         // Initialize map
         if (MyApp.Map) {
             MyApp.Map.init({
-                mapSize: 64,
+                chunkSize: 32,
                 seed: Date.now()
             });
         } else {
             console.error('Map module not loaded');
         }
 
+        // Initialize pathfinding on top of the map
+        if (MyApp.Pathfinding && MyApp.Map) {
+            MyApp.Pathfinding.init(MyApp.Map);
+        }
+
+        // Initialize noise propagation through the map
+        if (MyApp.Noise && MyApp.Map) {
+            MyApp.Noise.init(MyApp.Map);
+        }
+
         // Initialize enemy system
         if (MyApp.Enemy) {
             MyApp.Enemy.init({
                 maxEnemies: _gameSettings.maxEnemies,
-                spawnInterval: _gameSettings.enemySpawnInterval,
                 difficulty: _gameSettings.startingDifficulty
             });
         } else {
             console.error('Enemy module not loaded');
         }
 
+        // Initialize projectile system
+        if (MyApp.Projectile) {
+            MyApp.Projectile.init();
+        } else {
+            console.error('Projectile module not loaded');
+        }
+
+        // Initialize particle system
+        if (MyApp.Particles) {
+            MyApp.Particles.init();
+        } else {
+            console.error('Particles module not loaded');
+        }
+
         // Initialize player last (depends on other systems)
         if (MyApp.Player) {
             // Get a spawn position from the map
@@ -135,6 +195,27 @@
         } else {
             console.error('Player module not loaded');
         }
+
+        // Initialize the director, which listens to the player to pace spawns
+        if (MyApp.Director) {
+            MyApp.Director.init();
+        } else {
+            console.error('Director module not loaded');
+        }
+
+        // Initialize survival waves
+        if (MyApp.Waves) {
+            MyApp.Waves.init();
+        } else {
+            console.error('Waves module not loaded');
+        }
+
+        // Initialize stats tracking, which listens to the player and enemies
+        if (MyApp.Stats) {
+            MyApp.Stats.init();
+        } else {
+            console.error('Stats module not loaded');
+        }
     }
 
     /**
@@ -153,25 +234,64 @@
                 }
             });
 
+            // Tell the player why a door won't open
+            MyApp.Player.on('doorLocked', (color) => {
+                if (MyApp.UI) {
+                    MyApp.UI.addMessage(`Door needs ${color} key`, '#ff5555', 2000);
+                }
+            });
+
+            MyApp.Player.on('keyPickup', (color) => {
+                if (MyApp.UI) {
+                    MyApp.UI.addMessage(`Picked up ${color} key`, '#ffff00', 2000);
+                }
+                _advanceObjective(OBJECTIVE.KEYS);
+            });
+
             // Listen for kills to increase difficulty
             MyApp.Player.on('kill', (enemy) => {
                 if (MyApp.Enemy) {
                     MyApp.Enemy.increaseDifficulty(_gameSettings.difficultyIncrease);
                 }
+                _advanceObjective(OBJECTIVE.KILLS);
 
                 // Random chance to spawn a pickup
-                if (Math.random() < 0.3) {
+                if (Utils.random('loot') < 0.3) {
                     _spawnPickup(enemy.position);
                 }
             });
         }
 
+        // Director events - a player too weak to face more enemies finds supplies instead
+        if (MyApp.Director) {
+            MyApp.Director.on('supplyDrop', (position) => {
+                _spawnPickup(position, 'health');
+                _spawnPickup(position, 'ammo');
+            });
+        }
+
+        // Map events - keycards and weapons come and go with their chunk
+        if (MyApp.Map) {
+            MyApp.Map.on('chunkLoad', (chunk) => {
+                chunk.keys.forEach(key => _spawnKey(key, chunk));
+                chunk.weapons.forEach(spot => _spawnChunkWeapon(spot, chunk));
+            });
+
+            MyApp.Map.on('chunkUnload', (chunk) => {
+                _itemEntities.forEach(entity => {
+                    if (entity.chunk === chunk) {
+                        entity.active = false;
+                    }
+                });
+            });
+        }
+
         // Input events for game control
         if (MyApp.Input) {
             MyApp.Input.on('keyDown', (key) => {
                 // Listen for restart key when game over
                 if (key === 'enter' && MyApp.UI && MyApp.UI.getGameState() === 'gameover') {
-                    startGame();
+                    startGame({ mode: _mode });
                 }
             });
 
@@ -187,9 +307,19 @@
 
     /**
      * Start the game loop
+     * @param {Object} options - Optional configuration
+     * @param {string} options.mode - Game mode (see GAME_MODE), levels by default
+     * @returns {boolean} False if the mode is unknown
      */
-    function startGame() {
-        console.log('Starting game...');
+    function startGame(options = {}) {
+        const mode = options.mode || GAME_MODE.LEVELS;
+        if (!Object.values(GAME_MODE).includes(mode)) {
+            console.error(`Unknown game mode: ${mode}`);
+            return false;
+        }
+
+        console.log(`Starting game in ${mode} mode...`);
+        _mode = mode;
         
         // Clear any existing animations
         if (_animationFrameId) {
@@ -197,21 +327,44 @@
             _animationFrameId = null;
         }
 
+        // Seed every random stream so the run can be reproduced
+        const seed = _gameSettings.seed !== null ? _gameSettings.seed : Date.now();
+        Utils.seedRandom(seed);
+        console.log(`Run seed: ${seed}`);
+
         // Reset game state
         _currentLevel = 1;
-        _gameStartTime = Utils.now();
+        Utils.resetGameTime();
+        _tickCount = 0;
+        _accumulator = 0;
+        _gameStartTime = Utils.gameTime();
         _levelStartTime = _gameStartTime;
+        _exit = null;
+        _objective = null;
         _running = false;
         
-        // Clear any existing pickups
+        // Clear any existing pickups, projectiles and particles
         _itemEntities = [];
+        _weaponSpots.clear();
+        if (MyApp.Projectile) {
+            MyApp.Projectile.reset();
+        }
+        if (MyApp.Particles) {
+            MyApp.Particles.reset();
+        }
+        if (MyApp.Noise) {
+            MyApp.Noise.reset();
+        }
         
         try {
-            // Generate a new map first
+            // Generate a new map first, survival always uses the same arena
             if (MyApp.Map) {
                 console.log('Generating map...');
-                const seed = Date.now();
-                MyApp.Map.generate(seed);
+                if (_mode === GAME_MODE.WAVES) {
+                    MyApp.Map.generateArena();
+                } else {
+                    MyApp.Map.generate(seed);
+                }
             } else {
                 console.error('Map module not available!');
                 return;
@@ -230,7 +383,8 @@
                 // Get a spawn position from the map - critical step
                 let spawnPos = null;
                 if (MyApp.Map) {
-                    spawnPos = MyApp.Map.getRandomFreeSpace(true);
+                    const arena = MyApp.Map.getArenaSpawns();
+                    spawnPos = arena ? arena.player : MyApp.Map.getRandomFreeSpace(true);
                     console.log('Player spawn position:', JSON.stringify(spawnPos));
                 }
                 
@@ -261,17 +415,34 @@
                 console.log('Resetting enemies...');
                 MyApp.Enemy.reset();
             }
+            if (MyApp.Director) {
+                MyApp.Director.reset();
+            }
+            if (MyApp.Waves) {
+                MyApp.Waves.reset();
+            }
+            if (MyApp.Stats) {
+                MyApp.Stats.reset();
+            }
             
             // Add welcome messages
             if (MyApp.UI) {
                 MyApp.UI.addMessage('Game Started!', '#ffff00', 2000);
-                MyApp.UI.addMessage(`Level ${_currentLevel}`, '#00ffff', 3000);
+                if (_mode === GAME_MODE.WAVES) {
+                    MyApp.UI.addMessage('Survive the waves', '#00ffff', 3000);
+                }
+            }
+
+            // Levels end at their exit, survival never ends
+            if (_mode === GAME_MODE.LEVELS) {
+                _startLevel();
             }
             
             // Start game loop
             console.log('Starting game loop...');
             _running = true;
             _lastUpdateTime = Utils.now();
+            _accumulator = 0;
             _gameLoop();
             
             // Request pointer lock
@@ -289,7 +460,8 @@
             }
             
             console.log('Game started successfully');
-            _events.emit('gameStart');
+            _events.emit('gameStart', _mode);
+            return true;
             
         } catch (error) {
             console.error('Error starting game:', error);
@@ -298,6 +470,7 @@
                 MyApp.UI.setGameState('menu');
                 MyApp.UI.addMessage('Error starting game!', '#ff0000', 3000);
             }
+            return false;
         }
     }
     
@@ -317,8 +490,17 @@
             _animationFrameId = null;
         }
         
-        // Clear any existing pickups
+        // Clear any existing pickups, projectiles and particles
         _itemEntities = [];
+        if (MyApp.Projectile) {
+            MyApp.Projectile.reset();
+        }
+        if (MyApp.Particles) {
+            MyApp.Particles.reset();
+        }
+        if (MyApp.Noise) {
+            MyApp.Noise.reset();
+        }
         
         // Notify listeners
         _events.emit('gameStop');
@@ -353,6 +535,7 @@
         // Resume the game loop
         _running = true;
         _lastUpdateTime = Utils.now();
+        _accumulator = 0;
         _gameLoop();
         
         // Notify listeners
@@ -363,15 +546,16 @@
 
     /**
      * Main game loop
+     * Simulates in fixed ticks and renders interpolated between the last two
      */
     function _gameLoop() {
         if (!_running) return;
 
         const now = Utils.now();
-        let deltaTime = now - _lastUpdateTime;
+        let frameTime = now - _lastUpdateTime;
 
-        // Cap delta time to avoid spiral of death
-        if (deltaTime > 100) deltaTime = 100;
+        // Cap frame time to avoid spiral of death
+        if (frameTime > _gameSettings.maxFrameTime) frameTime = _gameSettings.maxFrameTime;
 
         // Schedule next frame - do this first to avoid blocking
         _animationFrameId = requestAnimationFrame(_gameLoop);
@@ -379,15 +563,17 @@
         try {
             // Update time tracking
             _lastUpdateTime = now;
+            _accumulator += frameTime;
 
-            // Update game state
-            _update(deltaTime);
-
-            // Render the scene
-            _render();
+            // Run as many fixed ticks as the elapsed time covers
+            const tickDuration = 1000 / _gameSettings.tickRate;
+            while (_accumulator >= tickDuration) {
+                _tick(tickDuration);
+                _accumulator -= tickDuration;
+            }
 
-            // Check for level transition
-            _checkLevelTransition(now);
+            // Render the scene part way between the previous and current tick
+            _render(_accumulator / tickDuration);
         } catch (error) {
             console.error('Error in game loop:', error);
             
@@ -399,9 +585,21 @@
         }
     }
 
+    /**
+     * Advance the simulation by one fixed tick
+     * @param {number} tickDuration - Tick duration in ms
+     */
+    function _tick(tickDuration) {
+        // Update game state
+        _update(tickDuration);
+
+        _tickCount++;
+        Utils.advanceGameTime(tickDuration);
+    }
+
     /**
      * Update game state
-     * @param {number} deltaTime - Time since last update
+     * @param {number} deltaTime - Tick duration in ms
      */
     function _update(deltaTime) {
         // Skip updates if game is not in playing state
@@ -413,6 +611,12 @@
             // Update player
             if (MyApp.Player) {
                 MyApp.Player.update(deltaTime, MyApp.Map, [..._itemEntities]);
+
+                // Stream world chunks around the player
+                if (MyApp.Map) {
+                    MyApp.Map.update(MyApp.Player.getState().position);
+                    _checkSecrets(MyApp.Player.getState());
+                }
             }
 
             // Update enemies - pass the player's state object
@@ -420,6 +624,37 @@
                 MyApp.Enemy.update(deltaTime, MyApp.Player.getState(), MyApp.Map);
             }
 
+            // Spawn enemies as the director sees fit, or wave by wave in survival
+            if (_mode === GAME_MODE.WAVES) {
+                if (MyApp.Waves && MyApp.Player) {
+                    MyApp.Waves.update(deltaTime, MyApp.Player.getState(), MyApp.Map);
+                }
+            } else if (MyApp.Director && MyApp.Player) {
+                MyApp.Director.update(deltaTime, MyApp.Player.getState(), MyApp.Map);
+            }
+
+            // Update doors, keeping them open while anyone stands in them
+            if (MyApp.Map) {
+                const occupants = MyApp.Enemy ? [...MyApp.Enemy.getActiveEnemies()] : [];
+                if (MyApp.Player) occupants.push(MyApp.Player.getState());
+                MyApp.Map.updateDoors(deltaTime, occupants);
+            }
+
+            // Update projectiles
+            if (MyApp.Projectile) {
+                MyApp.Projectile.update(
+                    deltaTime,
+                    MyApp.Map,
+                    MyApp.Player ? MyApp.Player.getState() : null,
+                    MyApp.Enemy ? MyApp.Enemy.getActiveEnemies() : []
+                );
+            }
+
+            // Update particles
+            if (MyApp.Particles) {
+                MyApp.Particles.update(deltaTime, MyApp.Map);
+            }
+
             // Update item entities
             _updateEntities(deltaTime);
         } catch (error) {
@@ -429,8 +664,9 @@
 
     /**
      * Render the scene
+     * @param {number} alpha - Progress from the previous to the current tick (0-1)
      */
-    function _render() {
+    function _render(alpha = 1) {
         if (MyApp.Renderer) {
             try {
                 // Get player state for camera
@@ -439,20 +675,26 @@
                 // Only render if we have valid player data
                 if (player && player.position) {
                     // Set camera position and orientation
+                    // Position is interpolated, look stays as fresh as the mouse
                     MyApp.Renderer.setCamera(
-                        player.position,
+                        _interpolate(player, alpha),
                         player.pitch,
                         player.yaw
                     );
 
-                    // Get active enemies
+                    // Get active enemies, corpses, projectiles, explosions and particles
                     const activeEnemies = MyApp.Enemy ? MyApp.Enemy.getActiveEnemies() : [];
+                    const corpses = MyApp.Enemy ? MyApp.Enemy.getCorpses() : [];
+                    const projectiles = MyApp.Projectile ? MyApp.Projectile.getProjectiles() : [];
+                    const explosions = MyApp.Projectile ? MyApp.Projectile.getExplosions() : [];
+                    const particles = MyApp.Particles ? MyApp.Particles.getParticles() : [];
 
                     // Render the scene using the Renderer module
                     MyApp.Renderer.render(
                         MyApp.Map,
-                        [...activeEnemies, ..._itemEntities],
-                        player
+                        [...activeEnemies, ...corpses, ..._itemEntities, ...projectiles, ...explosions, ...particles],
+                        player,
+                        alpha
                     );
                 } else {
                     console.warn('Missing player data for rendering');
@@ -464,46 +706,235 @@
     }
 
     /**
-     * Check if it's time for level transition
-     * @param {number} now - Current time
+     * Get an entity's position interpolated between the previous and current tick
+     * @param {Object} entity - Entity with position and optional previousPosition
+     * @param {number} alpha - Progress from the previous to the current tick (0-1)
+     * @returns {Vector3} Interpolated position
      */
-    function _checkLevelTransition(now) {
-        // Check for level transition
-        if (now - _levelStartTime >= _gameSettings.levelDuration) {
-            _currentLevel++;
-            _levelStartTime = now;
+    function _interpolate(entity, alpha) {
+        if (!entity.previousPosition) return entity.position;
+        return new Vector3().copy(entity.previousPosition).lerp(entity.position, alpha);
+    }
 
-            // Increase difficulty
-            if (MyApp.Enemy) {
-                MyApp.Enemy.increaseDifficulty(0.5);
-            }
+    /**
+     * Start the current level: count from zero, pick an objective and place the exit
+     */
+    function _startLevel() {
+        _levelStartTime = Utils.gameTime();
+        _foundSecrets.clear();
+        if (MyApp.Stats) {
+            MyApp.Stats.startLevel(_currentLevel);
+        }
+        _objective = _pickObjective();
+        _placeExit();
 
-            // Generate a new map
-            if (MyApp.Map) {
-                MyApp.Map.generate(Date.now());
-            }
+        if (MyApp.UI) {
+            MyApp.UI.addMessage(`Level ${_currentLevel}`, '#00ffff', 3000);
+            MyApp.UI.addMessage(_objective ? `Objective: ${_describeObjective()}` : 'Find the exit', '#00ffff', 3000);
+        }
+    }
 
-            // Move player to new spawn point
-            if (MyApp.Player) {
-                const spawnPos = MyApp.Map.getRandomFreeSpace(true);
+    /**
+     * Roll whether the level seals its exit behind an objective
+     * @returns {Object|null} Objective {type, target, progress}, or null for an open exit
+     */
+    function _pickObjective() {
+        if (Utils.random('map') >= _gameSettings.objectiveChance) {
+            return null;
+        }
 
-                if (spawnPos) {
-                    const player = MyApp.Player.getState();
-                    player.position.set(spawnPos.x, spawnPos.y, spawnPos.z);
-                }
+        const types = Object.values(OBJECTIVE);
+        const type = types[Utils.randomInt(0, types.length - 1, 'map')];
+        const target = type === OBJECTIVE.KILLS ?
+            _gameSettings.killQuota + (_currentLevel - 1) * _gameSettings.killQuotaIncrease :
+            _gameSettings.keyQuota;
+
+        return { type, target, progress: 0 };
+    }
+
+    /**
+     * Describe what is left of the objective
+     * @returns {string} Description
+     */
+    function _describeObjective() {
+        const remaining = _objective.target - _objective.progress;
+        if (_objective.type === OBJECTIVE.KILLS) {
+            return `kill ${remaining} more ${remaining === 1 ? 'enemy' : 'enemies'}`;
+        }
+        return `find ${remaining} more ${remaining === 1 ? 'keycard' : 'keycards'}`;
+    }
+
+    /**
+     * Check if the exit is open
+     * @returns {boolean} True once the objective is done, or if there is none
+     */
+    function _isObjectiveComplete() {
+        return !_objective || _objective.progress >= _objective.target;
+    }
+
+    /**
+     * Count progress towards the objective, opening the exit once it is done
+     * @param {string} type - Objective type the progress is for (see OBJECTIVE)
+     */
+    function _advanceObjective(type) {
+        if (!_objective || _objective.type !== type || _isObjectiveComplete()) return;
+
+        _objective.progress++;
+        if (!_isObjectiveComplete()) return;
+
+        if (_exit) {
+            _exit.textureId = EXIT_TEXTURE.OPEN;
+        }
+        if (MyApp.UI) {
+            MyApp.UI.addMessage('Objective complete, the exit is open!', '#00ff00', 3000);
+        }
+    }
+
+    /**
+     * Place the level exit at the free space furthest from the player by walking distance
+     */
+    function _placeExit() {
+        _exit = null;
+        if (!MyApp.Map || !MyApp.Player) return;
+
+        // Search the world around the player, not around wherever the map was generated from
+        const position = MyApp.Player.getState().position;
+        MyApp.Map.update(position);
+
+        const space = MyApp.Map.findFarthestSpace(position);
+        if (!space) {
+            console.error('No reachable space for the level exit');
+            return;
+        }
+
+        _exit = {
+            type: 'exit',
+            position: new Vector3(space.x, -0.1, space.z), // Standing on the floor
+            previousPosition: new Vector3(space.x, -0.1, space.z),
+            velocity: new Vector3(0, 0, 0),
+            spriteSet: 'items',
+            textureId: _isObjectiveComplete() ? EXIT_TEXTURE.OPEN : EXIT_TEXTURE.SEALED,
+            scale: 0.8,
+            active: true,
+            collidable: true,
+            visible: true,
+            radius: 0.5,
+            onCollision: _onExitReached
+        };
+        _itemEntities.push(_exit);
+    }
+
+    /**
+     * Finish the level when the player steps into an open exit
+     */
+    function _onExitReached() {
+        if (MyApp.UI && MyApp.UI.getGameState() !== 'playing') return;
+
+        const now = Utils.gameTime();
+
+        if (!_isObjectiveComplete()) {
+            if (MyApp.UI && now - _lastSealedMessage >= _gameSettings.sealedMessageInterval) {
+                _lastSealedMessage = now;
+                MyApp.UI.addMessage(`Exit sealed: ${_describeObjective()}`, '#ff5555', 2000);
             }
+            return;
+        }
 
-            // Clear pickups
-            _itemEntities = [];
+        const summary = MyApp.Stats ?
+            MyApp.Stats.endLevel() :
+            { level: _currentLevel, time: now - _levelStartTime };
 
-            // Announce new level
-            if (MyApp.UI) {
-                MyApp.UI.addMessage(`Level ${_currentLevel}`, '#00ffff', 3000);
+        console.log(`Level ${_currentLevel} complete`);
+        _events.emit('levelComplete', summary);
+
+        // Hold on the intermission until the player moves on
+        if (MyApp.UI) {
+            MyApp.UI.showIntermission(summary);
+        } else {
+            nextLevel();
+        }
+    }
+
+    /**
+     * Count the rooms behind keycard doors as secrets the first time the player enters them
+     * @param {Object} player - Player state
+     */
+    function _checkSecrets(player) {
+        if (_mode !== GAME_MODE.LEVELS || !MyApp.Map.getRoomLock(player.position.x, player.position.z)) return;
+
+        const id = MyApp.Map.getRoomId(player.position.x, player.position.z);
+        if (_foundSecrets.has(id)) return;
+
+        _foundSecrets.add(id);
+
+        if (MyApp.UI) {
+            MyApp.UI.addMessage('You found a secret!', '#ff00ff', 2000);
+        }
+        _events.emit('secretFound', id);
+    }
+
+    /**
+     * Move on to the next level on a fresh map
+     * Called once the player is done with the intermission
+     */
+    function nextLevel() {
+        if (_mode !== GAME_MODE.LEVELS) {
+            console.error('Only levels mode has levels to move on to');
+            return false;
+        }
+
+        _currentLevel++;
+
+        // Increase difficulty, the enemies and corpses stay behind on the old map
+        if (MyApp.Enemy) {
+            MyApp.Enemy.increaseDifficulty(0.5);
+            MyApp.Enemy.reset();
+        }
+
+        // Clear pickups, projectiles and particles before the new map places its keys and weapons
+        _itemEntities = [];
+        _weaponSpots.clear();
+        if (MyApp.Projectile) {
+            MyApp.Projectile.reset();
+        }
+        if (MyApp.Particles) {
+            MyApp.Particles.reset();
+        }
+        if (MyApp.Noise) {
+            MyApp.Noise.reset();
+        }
+
+        // Generate a new map, seeded from the run so levels reproduce too
+        if (MyApp.Map) {
+            MyApp.Map.generate(Utils.randomInt(1, 0x7FFFFFFF, 'map'));
+        }
+
+        // Pace the new level from a fresh build-up
+        if (MyApp.Director) {
+            MyApp.Director.reset();
+        }
+
+        // Move player to new spawn point, keycards stay behind with their doors
+        if (MyApp.Player) {
+            const spawnPos = MyApp.Map.getRandomFreeSpace(true);
+
+            if (spawnPos) {
+                const player = MyApp.Player.getState();
+                player.position.set(spawnPos.x, spawnPos.y, spawnPos.z);
+                player.previousPosition.copy(player.position);
             }
+            MyApp.Player.clearKeys();
+        }
 
-            console.log(`Advanced to level ${_currentLevel}`);
-            _events.emit('levelAdvance', _currentLevel);
+        if (MyApp.UI) {
+            MyApp.UI.setGameState('playing');
         }
+
+        _startLevel();
+
+        console.log(`Advanced to level ${_currentLevel}`);
+        _events.emit('levelAdvance', _currentLevel);
+        return true;
     }
 
     /**
@@ -521,6 +952,11 @@
                 continue;
             }
 
+            // Remember where this tick started so rendering can interpolate
+            if (entity.previousPosition) {
+                entity.previousPosition.copy(entity.position);
+            }
+
             // Update entity animation
             if (entity.animation) {
                 entity.animation.time += deltaTime;
@@ -542,13 +978,16 @@
     /**
      * Spawn a pickup item at a position
      * @param {Vector3} position - Position to spawn at
+     * @param {string} type - Pickup type ('health', 'ammo', 'armor'), random if unset
      */
-    function _spawnPickup(position) {
-        // Choose a random pickup type
-        const types = ['health', 'ammo', 'armor'];
-        const type = types[Math.floor(Math.random() * types.length)];
+    function _spawnPickup(position, type = null) {
+        // Choose a random pickup type unless one was asked for
+        if (!type) {
+            const types = ['health', 'ammo', 'armor'];
+            type = types[Utils.randomInt(0, types.length - 1, 'loot')];
+        }
 
-        let textureId, amount;
+        let textureId, amount, ammoType;
 
         switch (type) {
             case 'health':
@@ -557,7 +996,10 @@
                 break;
             case 'ammo':
                 textureId = 4; // Ammo pickup texture ID
-                amount = 20;
+                ammoType = _pickAmmoType();
+                amount = ammoType ?
+                    Math.round(MyApp.Weapons.getAmmoType(ammoType).max * _gameSettings.ammoPickupShare) :
+                    20;
                 break;
             case 'armor':
                 textureId = 5; // Armor pickup texture ID
@@ -568,36 +1010,110 @@
         // Create the pickup entity
         const pickup = {
             type,
-            position: new Vector3(position.x, 0.5, position.z),
+            position: new Vector3(position.x, 0, position.z), // Eye level, where sprites are centered
+            previousPosition: new Vector3(position.x, 0, position.z),
             velocity: new Vector3(0, 0, 0),
             textureId,
             amount,
+            ammoType, // Ammo pickups only, the current gun's ammo if unset
             active: true,
             collidable: true,
             visible: true,
             radius: 0.5,
             animation: {
                 type: 'bob',
-                time: Math.random() * 1000, // Random start time for variation
-                baseY: 0.5
+                time: Utils.random('loot') * 1000, // Random start time for variation
+                baseY: 0
             }
         };
 
         _itemEntities.push(pickup);
     }
 
+    /**
+     * Pick the ammo type of an ammo pickup, among the guns the player carries
+     * @returns {string|null} Ammo type id, or null if the player has no gun
+     */
+    function _pickAmmoType() {
+        if (!MyApp.Player || !MyApp.Weapons) return null;
+
+        const ammoTypes = [...new Set(MyApp.Player.getLoadout().weapons
+            .map(weapon => weapon.ammoType)
+            .filter(Boolean))];
+        if (ammoTypes.length === 0) return null;
+
+        return ammoTypes[Utils.randomInt(0, ammoTypes.length - 1, 'loot')];
+    }
+
+    /**
+     * Spawn a keycard pickup
+     * @param {Object} key - Key placement {color, x, z} in map cells
+     * @param {Object} chunk - Chunk the key belongs to
+     */
+    function _spawnKey(key, chunk) {
+        const cellSize = MyApp.Map.getCellSize();
+        const x = (key.x + 0.5) * cellSize;
+        const z = (key.z + 0.5) * cellSize;
+
+        _itemEntities.push({
+            type: 'key',
+            color: key.color,
+            chunk,
+            position: new Vector3(x, -0.25, z), // Low to the ground
+            previousPosition: new Vector3(x, -0.25, z),
+            velocity: new Vector3(0, 0, 0),
+            spriteSet: 'items',
+            textureId: MyApp.Map.KEY_COLORS.indexOf(key.color),
+            scale: 0.5,
+            active: true,
+            collidable: true,
+            visible: true,
+            radius: 0.5,
+            animation: {
+                type: 'bob',
+                time: 0,
+                baseY: -0.25
+            }
+        });
+    }
+
+    /**
+     * Spawn the weapon lying at a chunk's weapon spot, unless it was taken already
+     * The weapon is picked the first time its chunk loads and stays the same when it reloads
+     * @param {Object} spot - Weapon spot {x, z} in map cells
+     * @param {Object} chunk - Chunk the spot belongs to
+     */
+    function _spawnChunkWeapon(spot, chunk) {
+        const key = `${spot.x},${spot.z}`;
+        if (!_weaponSpots.has(key)) {
+            const types = _gameSettings.weaponPickups;
+            _weaponSpots.set(key, types[Utils.randomInt(0, types.length - 1, 'loot')]);
+        }
+
+        const weaponType = _weaponSpots.get(key);
+        if (!weaponType) return;
+
+        const cellSize = MyApp.Map.getCellSize();
+        const weapon = spawnWeapon(weaponType, new Vector3((spot.x + 0.5) * cellSize, 0, (spot.z + 0.5) * cellSize));
+        weapon.chunk = chunk;
+        weapon.onCollision = () => _weaponSpots.set(key, null);
+    }
+
     /**
      * Spawn a weapon pickup
      * @param {string} weaponType - Type of weapon
      * @param {Vector3} position - Position to spawn at
+     * @returns {Object} Weapon pickup entity
      */
     function spawnWeapon(weaponType, position) {
         const weapon = {
             type: 'weapon',
             weaponType,
-            position: new Vector3(position.x, 0.5, position.z),
+            position: new Vector3(position.x, 0, position.z), // Eye level, where sprites are centered
+            previousPosition: new Vector3(position.x, 0, position.z),
             velocity: new Vector3(0, 0, 0),
-            textureId: 6, // Weapon pickup texture ID
+            spriteSet: 'items',
+            textureId: WEAPON_TEXTURE,
             active: true,
             collidable: true,
             visible: true,
@@ -609,6 +1125,15 @@
         };
 
         _itemEntities.push(weapon);
+        return weapon;
+    }
+
+    /**
+     * Get the mode of the current or last game
+     * @returns {string} Game mode (see GAME_MODE)
+     */
+    function getMode() {
+        return _mode;
     }
 
     /**
@@ -628,7 +1153,10 @@
         pauseGame,
         resumeGame,
         spawnWeapon,
-        on
+        nextLevel,
+        getMode,
+        on,
+        GAME_MODE
     };
 
     console.log('Game module loaded');
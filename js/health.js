@@ -0,0 +1,160 @@
+/**
+ * Health module for the FPS game
+ * Reusable health component with armor, resistances, invulnerability and hurt/death callbacks
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+
+    // Damage types, used to look up resistances
+    const DAMAGE_TYPE = {
+        BULLET: 'bullet',
+        MELEE: 'melee',
+        EXPLOSION: 'explosion',
+        ENERGY: 'energy',
+        FIRE: 'fire'
+    };
+
+    /**
+     * Health of a player or enemy
+     * Emits 'hurt' (amount, info) when damage gets through and 'death' (info, overkill) when health runs out
+     */
+    class Health {
+        /**
+         * Create a health component
+         * @param {Object} options - Health options
+         * @param {number} options.maxHealth - Maximum health
+         * @param {number} options.health - Starting health, defaults to the maximum
+         * @param {number} options.maxArmor - Maximum armor
+         * @param {number} options.armor - Starting armor
+         * @param {number} options.armorAbsorption - Fraction of damage armor soaks up while it lasts
+         * @param {Object} options.resistances - Damage multiplier per damage type, e.g. {explosion: 0.5}
+         * @param {number} options.invulnerabilityTime - Invulnerable time after each hit, in ms
+         */
+        constructor(options = {}) {
+            this.maxHealth = options.maxHealth || 100;
+            this.health = options.health !== undefined ? options.health : this.maxHealth;
+            this.maxArmor = options.maxArmor || 0;
+            this.armor = options.armor || 0;
+            this.armorAbsorption = options.armorAbsorption !== undefined ? options.armorAbsorption : 0.6;
+            this.resistances = { ...options.resistances };
+            this.invulnerabilityTime = options.invulnerabilityTime || 0;
+            this.invulnerableUntil = 0; // Game time the current invulnerability window ends
+
+            this._events = new Utils.EventEmitter();
+        }
+
+        /**
+         * Apply damage, after resistances and armor
+         * @param {number} amount - Damage amount
+         * @param {Object} info - Damage details passed on to listeners
+         * @param {string} info.type - Damage type (see DAMAGE_TYPE)
+         * @param {Vector3} info.source - Where the damage came from
+         * @returns {boolean} True if this damage was fatal
+         */
+        damage(amount, info = {}) {
+            if (this.isDead() || this.isInvulnerable()) {
+                return false;
+            }
+
+            // Scale by resistance to this damage type
+            if (info.type && this.resistances[info.type] !== undefined) {
+                amount *= this.resistances[info.type];
+            }
+            if (amount <= 0) return false;
+
+            // Try to absorb with armor first
+            if (this.armor > 0) {
+                const absorbed = Math.min(this.armor, amount * this.armorAbsorption);
+                this.armor -= absorbed;
+                amount -= absorbed;
+            }
+
+            // Apply remaining damage to health
+            this.health -= amount;
+
+            if (this.invulnerabilityTime > 0) {
+                this.setInvulnerable(this.invulnerabilityTime);
+            }
+
+            this._events.emit('hurt', amount, info);
+
+            // Check if dead
+            if (this.health <= 0) {
+                const overkill = -this.health; // Damage beyond what was needed to kill
+                this.health = 0;
+                this._events.emit('death', info, overkill);
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+         * Restore health, up to the maximum
+         * @param {number} amount - Amount to heal
+         * @returns {number} Health actually restored
+         */
+        heal(amount) {
+            if (this.isDead()) return 0;
+
+            const oldHealth = this.health;
+            this.health = Math.min(this.health + amount, this.maxHealth);
+            return this.health - oldHealth;
+        }
+
+        /**
+         * Add armor, up to the maximum
+         * @param {number} amount - Amount of armor to add
+         * @returns {number} Armor actually added
+         */
+        addArmor(amount) {
+            const oldArmor = this.armor;
+            this.armor = Math.min(this.armor + amount, this.maxArmor);
+            return this.armor - oldArmor;
+        }
+
+        /**
+         * Ignore all damage for a while
+         * Extends, never shortens, a window already running
+         * @param {number} duration - Invulnerable time in ms
+         */
+        setInvulnerable(duration) {
+            this.invulnerableUntil = Math.max(this.invulnerableUntil, Utils.gameTime() + duration);
+        }
+
+        /**
+         * Check if damage is currently ignored
+         * @returns {boolean} True if invulnerable
+         */
+        isInvulnerable() {
+            return Utils.gameTime() < this.invulnerableUntil;
+        }
+
+        /**
+         * Check if health has run out
+         * @returns {boolean} True if dead
+         */
+        isDead() {
+            return this.health <= 0;
+        }
+
+        /**
+         * Register an event listener
+         * @param {string} event - Event name ('hurt', 'death')
+         * @param {Function} callback - Event callback
+         * @returns {Function} Unsubscribe function
+         */
+        on(event, callback) {
+            return this._events.on(event, callback);
+        }
+    }
+
+    // Export the public API
+    MyApp.Health = {
+        Health,
+        DAMAGE_TYPE
+    };
+
+    console.log('Health module loaded');
+})(window.MyApp || (window.MyApp = {}));
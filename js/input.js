@@ -50,7 +50,8 @@
             },
             actions: {
                 shoot: ['Space', 'mouse0'],
-                reload: ['r']
+                reload: ['r'],
+                use: ['e']
             }
         },
         mouseSensitivity: 0.15,
@@ -476,6 +477,14 @@
         return isPressed(_config.keyMapping.actions.reload) || _touch.action.reloading;
     }
 
+    /**
+     * Check if the use action is currently active
+     * @returns {boolean} True if using
+     */
+    function isUsing() {
+        return isPressed(_config.keyMapping.actions.use);
+    }
+
     /**
      * Get the current mouse look delta
      * @returns {Object} dx,dy mouse movement delta
@@ -506,6 +515,7 @@
         getMovementVector,
         isShooting,
         isReloading,
+        isUsing,
         getMouseLookDelta,
         on: (event, listener) => _events.on(event, listener),
         off: (event, listener) => _events.off(event, listener),
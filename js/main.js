@@ -18,7 +18,7 @@
             }
         },
         map: {
-            mapSize: 64,
+            chunkSize: 32,
             seed: Date.now(),
             settings: {
                 roomDensity: 0.6,
@@ -28,7 +28,6 @@
         },
         enemies: {
             maxEnemies: 15,
-            spawnInterval: 5000,
             difficulty: 1.0
         },
         player: {
@@ -42,9 +41,10 @@
         },
         game: {
             maxFps: 60,
-            levelDuration: 120000,
+            objectiveChance: 0.5,
             enemySpawnInterval: 5000,
-            maxEnemies: 15
+            maxEnemies: 15,
+            seed: null // Set a number to replay the same run
         }
     };
 
@@ -181,7 +181,7 @@
         // Initialize map
         if (MyApp.Map) {
             MyApp.Map.init({
-                mapSize: CONFIG.map.mapSize,
+                chunkSize: CONFIG.map.chunkSize,
                 seed: CONFIG.map.seed,
                 settings: CONFIG.map.settings
             });
@@ -190,6 +190,20 @@
             return;
         }
 
+        // Initialize pathfinding on top of the map
+        if (MyApp.Pathfinding) {
+            MyApp.Pathfinding.init(MyApp.Map);
+        } else {
+            console.error('Pathfinding module not loaded');
+        }
+
+        // Initialize noise propagation through the map
+        if (MyApp.Noise) {
+            MyApp.Noise.init(MyApp.Map);
+        } else {
+            console.error('Noise module not loaded');
+        }
+
         // Initialize UI
         if (MyApp.UI) {
             MyApp.UI.init(canvas);
@@ -224,7 +238,6 @@
         if (MyApp.Enemy) {
             MyApp.Enemy.init({
                 maxEnemies: CONFIG.enemies.maxEnemies,
-                spawnInterval: CONFIG.enemies.spawnInterval,
                 difficulty: CONFIG.enemies.difficulty
             });
         } else {
@@ -232,6 +245,41 @@
             return;
         }
 
+        // Initialize the director, which paces enemy spawns
+        if (MyApp.Director) {
+            MyApp.Director.init();
+        } else {
+            console.error('Director module not loaded');
+        }
+
+        // Initialize survival waves
+        if (MyApp.Waves) {
+            MyApp.Waves.init();
+        } else {
+            console.error('Waves module not loaded');
+        }
+
+        // Initialize stats tracking
+        if (MyApp.Stats) {
+            MyApp.Stats.init();
+        } else {
+            console.error('Stats module not loaded');
+        }
+
+        // Initialize projectile system
+        if (MyApp.Projectile) {
+            MyApp.Projectile.init();
+        } else {
+            console.error('Projectile module not loaded');
+        }
+
+        // Initialize particle system
+        if (MyApp.Particles) {
+            MyApp.Particles.init();
+        } else {
+            console.error('Particles module not loaded');
+        }
+
         // Last, initialize the Game module which will control everything
         if (MyApp.Game) {
             MyApp.Game.init(canvas, {
@@ -247,6 +295,10 @@
                 console.log('Game stopped');
             });
 
+            MyApp.Game.on('levelComplete', (summary) => {
+                console.log(`Level ${summary.level} complete in ${Math.round(summary.time / 1000)}s`);
+            });
+
             MyApp.Game.on('levelAdvance', (level) => {
                 console.log(`Advanced to level ${level}`);
             });
@@ -269,8 +321,8 @@
                 health: 100,
                 maxHealth: 100,
                 armor: 0,
-                weapon: { type: 'pistol', ammo: 12, maxAmmo: 12 },
-                totalAmmo: 60,
+                weapon: { type: 'pistol', ammoType: 'bullets', ammo: 12, maxAmmo: 12 },
+                ammo: { bullets: 60 },
                 score: 0,
                 kills: 0
             }, canvas.width, canvas.height);
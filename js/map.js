@@ -1,6 +1,11 @@
 /**
  * Map module for the FPS game
  * Handles procedural map generation and raycasting
+ *
+ * The world is infinite: it is split into fixed-size chunks that are generated
+ * deterministically from the world seed and the chunk coordinates, streamed in
+ * ahead of the player and evicted once far away. All public queries take world
+ * coordinates, including negative ones.
  */
 (function (MyApp) {
     // Dependencies
@@ -10,12 +15,17 @@
     const Ray = Math3D.Ray;
 
     // Private variables
-    let _mapData = [];         // 2D grid of map cells
-    let _mapSize = 64;         // Size of the initially generated map
-    let _mapSeed = 0;          // Seed for procedural generation
+    let _chunks = {};          // Loaded chunks keyed by "cx,cz"
+    let _lastChunk = null;     // Most recently accessed chunk, lookups are very local
+    let _chunkSize = 32;       // Size of a chunk in cells
+    let _mapSeed = 0;          // World seed for procedural generation
     let _cellSize = 1.0;       // Size of each cell in world units
-    let _boundaryWalls = true; // Whether to add boundary walls
-    let _freeSpaces = [];      // List of free spaces for spawning
+    let _centerChunk = { x: 0, z: 0 }; // Chunk the streaming window is centered on
+    let _activeDoors = new Set(); // Doors that are not fully closed
+    let _arena = false;        // Whether the world is the fixed arena instead of procedural chunks
+
+    // Event emitter
+    const _events = new Utils.EventEmitter();
 
     // Map generation settings
     const _settings = {
@@ -23,7 +33,15 @@
         maxRoomSize: 8,
         roomDensity: 0.6,        // Higher = more rooms
         corridorWidth: 1,
-        extraConnections: 0.2    // Chance of adding extra corridors between rooms
+        extraConnections: 0.2,   // Chance of adding extra corridors between rooms
+        flatTextureCount: 4,     // Number of floor/ceiling textures to pick from
+        openSkyChance: 0.25,     // Chance of a room having no ceiling
+        generateRadius: 2,       // Chunks kept generated around the player
+        evictRadius: 4,          // Chunks further than this are unloaded
+        doorOpenTime: 500,       // Time for a door to slide fully open or closed, in ms
+        doorAutoCloseDelay: 3000, // Time a door stays open before closing, in ms
+        doorPassableAmount: 0.9, // How far a door must be open to walk through
+        lockedRoomChance: 0.5    // Chance of a chunk having a room behind locked doors
     };
 
     /**
@@ -36,115 +54,436 @@
         ITEM: 3
     };
 
+    /**
+     * Door states
+     */
+    const DOOR_STATE = {
+        CLOSED: 0,
+        OPENING: 1,
+        OPEN: 2,
+        CLOSING: 3
+    };
+
+    /**
+     * Keycard colors, in door texture order
+     */
+    const KEY_COLORS = ['red', 'blue', 'yellow'];
+
+    /**
+     * Ceiling texture id marking a cell as open to the sky
+     */
+    const OPEN_SKY = -1;
+
+    // Default surfaces: open ground outside, a plain floor/ceiling in corridors
+    const SURFACE = {
+        OUTDOOR_FLOOR: 0,
+        CORRIDOR_FLOOR: 1,
+        CORRIDOR_CEILING: 1,
+        ARENA_FLOOR: 2
+    };
+
+    // Cover blocks in the arena, as cell offsets {x, z, width, depth} from its center
+    const ARENA_COVER = [
+        { x: -8, z: -8, width: 2, depth: 2 },
+        { x: 6, z: -8, width: 2, depth: 2 },
+        { x: -8, z: 6, width: 2, depth: 2 },
+        { x: 6, z: 6, width: 2, depth: 2 },
+        { x: -1, z: -11, width: 3, depth: 1 },
+        { x: -1, z: 10, width: 3, depth: 1 },
+        { x: -11, z: -1, width: 1, depth: 3 },
+        { x: 10, z: -1, width: 1, depth: 3 }
+    ];
+
+    // Chunk offsets for each expansion direction (north is towards negative z)
+    const DIRECTIONS = {
+        north: { x: 0, z: -1 },
+        south: { x: 0, z: 1 },
+        west: { x: -1, z: 0 },
+        east: { x: 1, z: 0 }
+    };
+
+    // Salts keeping the different hashes of the same coordinates independent
+    const HASH_SALT = {
+        CHUNK: 1,
+        PORTAL_WEST: 2,  // Portal on the border between chunk x - 1 and x
+        PORTAL_NORTH: 3  // Portal on the border between chunk z - 1 and z
+    };
+
     /**
      * Initialize the map
      * @param {Object} options - Optional configuration
      */
     function init(options = {}) {
         // Apply options
-        if (options.mapSize) _mapSize = options.mapSize;
+        if (options.chunkSize) _chunkSize = options.chunkSize;
         if (options.seed) _mapSeed = options.seed;
         if (options.cellSize) _cellSize = options.cellSize;
         if (options.settings) Object.assign(_settings, options.settings);
 
         // Generate the map
-        generate();
+        generate(_mapSeed || Date.now());
         console.log('Map initialized');
     }
 
     /**
-     * Generate a new procedural map
+     * Start a new procedural world
+     * Chunks around the origin are generated immediately, the rest streams in
      * @param {number} seed - Optional seed for generation
      */
     function generate(seed = Date.now()) {
         // Set seed for deterministic generation
         _mapSeed = seed;
-        
-        // Initialize seedrandom library if it exists
-        if (typeof Math.seedrandom === 'function') {
-            Math.seedrandom(_mapSeed.toString());
-        }
-        
+        _arena = false;
+
         console.log(`Generating map with seed: ${_mapSeed}`);
+        _resetWorld();
+    }
 
-        // Initialize map data with empty cells
-        _mapData = Array(_mapSize).fill().map(() => Array(_mapSize).fill(CELL_TYPE.EMPTY));
+    /**
+     * Start the fixed arena
+     * The origin chunk is a walled arena with cover, every other chunk is solid wall
+     */
+    function generateArena() {
+        _mapSeed = 0;
+        _arena = true;
 
-        // Clear existing free spaces
-        _freeSpaces = [];
+        console.log('Generating arena');
+        _resetWorld();
+    }
 
-        // Add boundary walls if enabled
-        if (_boundaryWalls) {
-            _addBoundaryWalls();
+    /**
+     * Drop the loaded world and generate the streaming window around the origin
+     */
+    function _resetWorld() {
+        // Drop the previous world
+        for (const key of Object.keys(_chunks)) {
+            _events.emit('chunkUnload', _chunks[key]);
         }
+        _chunks = {};
+        _lastChunk = null;
+        _activeDoors.clear();
+
+        // Generate the streaming window around the origin
+        _centerChunk = { x: 0, z: 0 };
+        _loadChunksAround(_centerChunk.x, _centerChunk.z);
+
+        // Debug output
+        console.log(`Map generated: ${Object.keys(_chunks).length} chunks of ${_chunkSize}x${_chunkSize}`);
+    }
+
+    /**
+     * Stream chunks around a world position
+     * Call every update with the player position
+     * @param {Vector3} position - World position to keep generated around
+     */
+    function update(position) {
+        if (!position) return;
+
+        const chunkX = Math.floor(position.x / _cellSize / _chunkSize);
+        const chunkZ = Math.floor(position.z / _cellSize / _chunkSize);
+
+        // Shift the window one chunk at a time towards the position
+        while (_centerChunk.x < chunkX) expandMap('east');
+        while (_centerChunk.x > chunkX) expandMap('west');
+        while (_centerChunk.z < chunkZ) expandMap('south');
+        while (_centerChunk.z > chunkZ) expandMap('north');
+    }
+
+    /**
+     * Expand the map in a given direction
+     * Moves the streaming window one chunk and generates the chunks entering it ahead
+     * @param {string} direction - Direction to expand ('north', 'east', 'south', 'west')
+     */
+    function expandMap(direction) {
+        const offset = DIRECTIONS[direction];
+        if (!offset) {
+            console.error(`Unknown map expansion direction: ${direction}`);
+            return;
+        }
+
+        _centerChunk.x += offset.x;
+        _centerChunk.z += offset.z;
+
+        // Generate the row or column of chunks at the leading edge of the window
+        const radius = _settings.generateRadius;
+        for (let i = -radius; i <= radius; i++) {
+            const chunkX = _centerChunk.x + (offset.x !== 0 ? offset.x * radius : i);
+            const chunkZ = _centerChunk.z + (offset.z !== 0 ? offset.z * radius : i);
+            _getChunk(chunkX, chunkZ);
+        }
+
+        // Unload what the player left behind
+        _evictDistantChunks();
+    }
+
+    /**
+     * Generate all chunks within the generate radius of a chunk
+     * @param {number} centerX - Chunk x
+     * @param {number} centerZ - Chunk z
+     */
+    function _loadChunksAround(centerX, centerZ) {
+        const radius = _settings.generateRadius;
+        for (let z = centerZ - radius; z <= centerZ + radius; z++) {
+            for (let x = centerX - radius; x <= centerX + radius; x++) {
+                _getChunk(x, z);
+            }
+        }
+    }
+
+    /**
+     * Unload chunks outside the eviction radius of the window center
+     */
+    function _evictDistantChunks() {
+        for (const key of Object.keys(_chunks)) {
+            const chunk = _chunks[key];
+            const distance = Math.max(
+                Math.abs(chunk.x - _centerChunk.x),
+                Math.abs(chunk.z - _centerChunk.z)
+            );
+
+            if (distance > _settings.evictRadius) {
+                delete _chunks[key];
+                for (const door of Object.values(chunk.doors)) {
+                    _activeDoors.delete(door);
+                }
+                if (_lastChunk === chunk) _lastChunk = null;
+                _events.emit('chunkUnload', chunk);
+            }
+        }
+    }
+
+    /**
+     * Get a chunk, generating it if it is not loaded
+     * @param {number} chunkX - Chunk x
+     * @param {number} chunkZ - Chunk z
+     * @returns {Object} Chunk
+     */
+    function _getChunk(chunkX, chunkZ) {
+        if (_lastChunk && _lastChunk.x === chunkX && _lastChunk.z === chunkZ) {
+            return _lastChunk;
+        }
+
+        const key = `${chunkX},${chunkZ}`;
+        let chunk = _chunks[key];
+
+        if (!chunk) {
+            chunk = _generateChunk(chunkX, chunkZ);
+            _chunks[key] = chunk;
+            _events.emit('chunkLoad', chunk);
+        }
+
+        _lastChunk = chunk;
+        return chunk;
+    }
+
+    /**
+     * Hash integer coordinates with the world seed
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @param {number} salt - Salt separating independent hashes
+     * @returns {number} Unsigned 32-bit hash
+     */
+    function _hashCoords(x, z, salt) {
+        return Utils.hashSeed(_mapSeed, salt, x, z);
+    }
+
+    /**
+     * Random integer between min and max (inclusive) from a chunk's generator
+     * @param {Object} chunk - Chunk being generated
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    function _randomInt(chunk, min, max) {
+        return Math.floor(chunk.random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Get the portal row on the border between chunk x - 1 and chunk x
+     * Both neighbours compute the same value, so their corridors line up
+     * @param {number} chunkX - Chunk x east of the border
+     * @param {number} chunkZ - Chunk z
+     * @returns {number} Local row of the portal
+     */
+    function _getWestPortal(chunkX, chunkZ) {
+        return 2 + _hashCoords(chunkX, chunkZ, HASH_SALT.PORTAL_WEST) % (_chunkSize - 4);
+    }
+
+    /**
+     * Get the portal column on the border between chunk z - 1 and chunk z
+     * @param {number} chunkX - Chunk x
+     * @param {number} chunkZ - Chunk z south of the border
+     * @returns {number} Local column of the portal
+     */
+    function _getNorthPortal(chunkX, chunkZ) {
+        return 2 + _hashCoords(chunkX, chunkZ, HASH_SALT.PORTAL_NORTH) % (_chunkSize - 4);
+    }
+
+    /**
+     * Generate a chunk
+     * @param {number} chunkX - Chunk x
+     * @param {number} chunkZ - Chunk z
+     * @returns {Object} Generated chunk
+     */
+    function _generateChunk(chunkX, chunkZ) {
+        if (_arena) {
+            return _generateArenaChunk(chunkX, chunkZ);
+        }
+
+        const size = _chunkSize;
+
+        // Cells start outdoors: bare ground under open sky
+        const chunk = {
+            x: chunkX,
+            z: chunkZ,
+            originX: chunkX * size, // World cell of the chunk's top-left corner
+            originZ: chunkZ * size,
+            cells: Array(size).fill().map(() => Array(size).fill(CELL_TYPE.EMPTY)),
+            floors: Array(size).fill().map(() => Array(size).fill(SURFACE.OUTDOOR_FLOOR)),
+            ceilings: Array(size).fill().map(() => Array(size).fill(OPEN_SKY)),
+            rooms: [],
+            doors: {}, // Door state keyed by local cell index
+            keys: [],  // Keycards {color, x, z} opening this chunk's locked doors
+            weapons: [], // Weapon pickup spots {x, z}, the game picks what lies there
+            freeSpaces: [],
+            random: Utils.createRandom(_hashCoords(chunkX, chunkZ, HASH_SALT.CHUNK))
+        };
 
         // Generate rooms and corridors
-        _generateRooms();
+        _generateRooms(chunk);
+
+        // Connect the rooms to the chunk borders so corridors continue across chunks
+        _connectPortals(chunk);
 
         // Add some random walls for variety
-        _addRandomWalls();
+        _addRandomWalls(chunk);
 
-        // Find and store all free spaces for entity spawning
-        _findFreeSpaces();
+        // Turn doorways into working doors
+        _placeDoors(chunk);
 
-        // Debug output
-        console.log(`Map generated: ${_mapSize}x${_mapSize}, free spaces: ${_freeSpaces.length}`);
-        
-        // Force regeneration of free spaces if none are found
-        if (_freeSpaces.length === 0) {
-            console.warn('No free spaces found in map! Generating fallback spaces...');
-            // Create some guaranteed free spaces
-            for (let x = 5; x < _mapSize - 5; x += 10) {
-                for (let y = 5; y < _mapSize - 5; y += 10) {
-                    // Create a small free area
-                    for (let dx = -1; dx <= 1; dx++) {
-                        for (let dy = -1; dy <= 1; dy++) {
-                            if (x + dx >= 0 && x + dx < _mapSize && y + dy >= 0 && y + dy < _mapSize) {
-                                _mapData[y + dy][x + dx] = CELL_TYPE.EMPTY;
-                            }
-                        }
-                    }
-                    // Add to free spaces
-                    _freeSpaces.push({ x, y });
+        // Find and store all free spaces for entity spawning
+        _findFreeSpaces(chunk);
+
+        // Make sure every chunk can host spawns
+        if (chunk.freeSpaces.length === 0) {
+            const center = Math.floor(size / 2);
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    chunk.cells[center + dz][center + dx] = CELL_TYPE.EMPTY;
                 }
             }
-            console.log('Generated fallback spaces:', _freeSpaces.length);
+            chunk.freeSpaces.push({ x: chunk.originX + center, z: chunk.originZ + center });
         }
 
-        return _mapData;
+        // Lock a room away behind a keycard
+        _lockRoom(chunk);
+
+        // The generator is only needed while building the chunk
+        delete chunk.random;
+
+        return chunk;
     }
 
     /**
-     * Add walls around the map boundary
+     * Generate a chunk of the arena world
+     * The origin chunk is one big room walled in on its border, the rest is solid
+     * @param {number} chunkX - Chunk x
+     * @param {number} chunkZ - Chunk z
+     * @returns {Object} Generated chunk
      */
-    function _addBoundaryWalls() {
-        // Top and bottom walls
-        for (let x = 0; x < _mapSize; x++) {
-            _mapData[0][x] = CELL_TYPE.WALL;
-            _mapData[_mapSize - 1][x] = CELL_TYPE.WALL;
-        }
+    function _generateArenaChunk(chunkX, chunkZ) {
+        const size = _chunkSize;
+        const isArena = chunkX === 0 && chunkZ === 0;
+
+        const chunk = {
+            x: chunkX,
+            z: chunkZ,
+            originX: chunkX * size,
+            originZ: chunkZ * size,
+            cells: Array(size).fill().map(() => Array(size).fill(CELL_TYPE.WALL)),
+            floors: Array(size).fill().map(() => Array(size).fill(SURFACE.CORRIDOR_FLOOR)),
+            ceilings: Array(size).fill().map(() => Array(size).fill(SURFACE.CORRIDOR_CEILING)),
+            rooms: [],
+            doors: {},
+            keys: [],
+            weapons: [],
+            freeSpaces: []
+        };
+
+        if (!isArena) return chunk;
 
-        // Left and right walls
-        for (let y = 0; y < _mapSize; y++) {
-            _mapData[y][0] = CELL_TYPE.WALL;
-            _mapData[y][_mapSize - 1] = CELL_TYPE.WALL;
+        // Open floor under the sky inside the border wall
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                chunk.cells[y][x] = CELL_TYPE.EMPTY;
+                chunk.floors[y][x] = SURFACE.ARENA_FLOOR;
+                chunk.ceilings[y][x] = OPEN_SKY;
+            }
+        }
+        chunk.rooms.push({ x: 0, y: 0, width: size, height: size });
+
+        // Cover blocks, skipping any that would not fit a smaller chunk
+        const center = Math.floor(size / 2);
+        for (const block of ARENA_COVER) {
+            for (let dz = 0; dz < block.depth; dz++) {
+                for (let dx = 0; dx < block.width; dx++) {
+                    const x = center + block.x + dx;
+                    const y = center + block.z + dz;
+                    if (x > 1 && x < size - 2 && y > 1 && y < size - 2) {
+                        chunk.cells[y][x] = CELL_TYPE.WALL;
+                    }
+                }
+            }
         }
+
+        _findFreeSpaces(chunk);
+        return chunk;
+    }
+
+    /**
+     * Get the fixed spawn points of the arena
+     * The player starts in the middle, enemies come in at the corners and wall midpoints
+     * @returns {Object|null} {player, enemies} world positions, or null outside the arena
+     */
+    function getArenaSpawns() {
+        if (!_arena) return null;
+
+        const center = Math.floor(_chunkSize / 2);
+        const reach = center - 3;
+        const toWorld = (x, z) => ({
+            x: (center + x + 0.5) * _cellSize,
+            y: 0,
+            z: (center + z + 0.5) * _cellSize
+        });
+
+        return {
+            player: toWorld(0, 0),
+            enemies: [
+                toWorld(-reach, -reach), toWorld(reach, -reach),
+                toWorld(-reach, reach), toWorld(reach, reach),
+                toWorld(0, -reach), toWorld(0, reach),
+                toWorld(-reach, 0), toWorld(reach, 0)
+            ]
+        };
     }
 
     /**
      * Generate rooms and connect them with corridors
+     * @param {Object} chunk - Chunk being generated
      */
-    function _generateRooms() {
-        const rooms = [];
+    function _generateRooms(chunk) {
+        const rooms = chunk.rooms;
+        const cells = chunk.cells;
+        const size = _chunkSize;
         const maxAttempts = 100;
-        const targetRoomCount = Math.floor(_mapSize * _mapSize * 0.01 * _settings.roomDensity);
+        const targetRoomCount = Math.floor(size * size * 0.01 * _settings.roomDensity);
 
-        // Try to place rooms
+        // Try to place rooms, keeping them off the chunk border
         for (let i = 0; i < maxAttempts && rooms.length < targetRoomCount; i++) {
-            const width = Utils.randomInt(_settings.minRoomSize, _settings.maxRoomSize);
-            const height = Utils.randomInt(_settings.minRoomSize, _settings.maxRoomSize);
-            const x = Utils.randomInt(1, _mapSize - width - 1);
-            const y = Utils.randomInt(1, _mapSize - height - 1);
+            const width = _randomInt(chunk, _settings.minRoomSize, _settings.maxRoomSize);
+            const height = _randomInt(chunk, _settings.minRoomSize, _settings.maxRoomSize);
+            const x = _randomInt(chunk, 1, size - width - 1);
+            const y = _randomInt(chunk, 1, size - height - 1);
 
             // Check if the room overlaps with any existing room
             let overlaps = false;
@@ -159,41 +498,49 @@
             if (!overlaps) {
                 rooms.push({ x, y, width, height });
 
+                // Each room gets its own floor and ceiling, some are open to the sky
+                const floorTexture = _randomInt(chunk, 0, _settings.flatTextureCount - 1);
+                const ceilingTexture = chunk.random() < _settings.openSkyChance ?
+                    OPEN_SKY :
+                    _randomInt(chunk, 0, _settings.flatTextureCount - 1);
+
                 // Create the room by adding walls
                 for (let ry = y; ry < y + height; ry++) {
                     for (let rx = x; rx < x + width; rx++) {
                         if (ry === y || ry === y + height - 1 || rx === x || rx === x + width - 1) {
-                            _mapData[ry][rx] = CELL_TYPE.WALL;
+                            cells[ry][rx] = CELL_TYPE.WALL;
                         } else {
-                            _mapData[ry][rx] = CELL_TYPE.EMPTY;
+                            cells[ry][rx] = CELL_TYPE.EMPTY;
                         }
+                        chunk.floors[ry][rx] = floorTexture;
+                        chunk.ceilings[ry][rx] = ceilingTexture;
                     }
                 }
 
                 // Add a door in a random wall
-                const doorWall = Utils.randomInt(0, 3); // 0=top, 1=right, 2=bottom, 3=left
+                const doorWall = _randomInt(chunk, 0, 3); // 0=top, 1=right, 2=bottom, 3=left
                 let doorX = 0, doorY = 0;
 
                 switch (doorWall) {
                     case 0: // Top
-                        doorX = Utils.randomInt(x + 1, x + width - 2);
+                        doorX = _randomInt(chunk, x + 1, x + width - 2);
                         doorY = y;
                         break;
                     case 1: // Right
                         doorX = x + width - 1;
-                        doorY = Utils.randomInt(y + 1, y + height - 2);
+                        doorY = _randomInt(chunk, y + 1, y + height - 2);
                         break;
                     case 2: // Bottom
-                        doorX = Utils.randomInt(x + 1, x + width - 2);
+                        doorX = _randomInt(chunk, x + 1, x + width - 2);
                         doorY = y + height - 1;
                         break;
                     case 3: // Left
                         doorX = x;
-                        doorY = Utils.randomInt(y + 1, y + height - 2);
+                        doorY = _randomInt(chunk, y + 1, y + height - 2);
                         break;
                 }
 
-                _mapData[doorY][doorX] = CELL_TYPE.DOOR;
+                cells[doorY][doorX] = CELL_TYPE.DOOR;
             }
         }
 
@@ -203,14 +550,14 @@
                 const roomA = rooms[i];
                 const roomB = rooms[i + 1];
 
-                _connectRooms(roomA, roomB);
+                _connectRooms(chunk, roomA, roomB);
             }
 
             // Add some extra connections for complexity
             for (let i = 0; i < rooms.length; i++) {
                 for (let j = i + 2; j < rooms.length; j++) {
-                    if (Math.random() < _settings.extraConnections) {
-                        _connectRooms(rooms[i], rooms[j]);
+                    if (chunk.random() < _settings.extraConnections) {
+                        _connectRooms(chunk, rooms[i], rooms[j]);
                     }
                 }
             }
@@ -239,113 +586,161 @@
         );
     }
 
+    /**
+     * Get the center cell of a room
+     * @param {Object} room - Room
+     * @returns {Object} Local cell {x, y}
+     */
+    function _getRoomCenter(room) {
+        return {
+            x: Math.floor(room.x + room.width / 2),
+            y: Math.floor(room.y + room.height / 2)
+        };
+    }
+
     /**
      * Connect two rooms with a corridor
+     * @param {Object} chunk - Chunk being generated
      * @param {Object} roomA - First room
      * @param {Object} roomB - Second room
      */
-    function _connectRooms(roomA, roomB) {
+    function _connectRooms(chunk, roomA, roomB) {
         // Get center points of each room
-        const centerA = {
-            x: Math.floor(roomA.x + roomA.width / 2),
-            y: Math.floor(roomA.y + roomA.height / 2)
-        };
-
-        const centerB = {
-            x: Math.floor(roomB.x + roomB.width / 2),
-            y: Math.floor(roomB.y + roomB.height / 2)
-        };
+        const centerA = _getRoomCenter(roomA);
+        const centerB = _getRoomCenter(roomB);
 
         // Randomly decide whether to go horizontal first or vertical first
-        if (Math.random() < 0.5) {
+        if (chunk.random() < 0.5) {
             // Horizontal first, then vertical
-            _createHorizontalCorridor(centerA.x, centerB.x, centerA.y);
-            _createVerticalCorridor(centerA.y, centerB.y, centerB.x);
+            _createHorizontalCorridor(chunk, centerA.x, centerB.x, centerA.y);
+            _createVerticalCorridor(chunk, centerA.y, centerB.y, centerB.x);
         } else {
             // Vertical first, then horizontal
-            _createVerticalCorridor(centerA.y, centerB.y, centerA.x);
-            _createHorizontalCorridor(centerA.x, centerB.x, centerB.y);
+            _createVerticalCorridor(chunk, centerA.y, centerB.y, centerA.x);
+            _createHorizontalCorridor(chunk, centerA.x, centerB.x, centerB.y);
+        }
+    }
+
+    /**
+     * Run a corridor from each of the chunk's four border portals to the nearest room
+     * Corridors leave the border straight, so they meet the neighbour's corridor
+     * @param {Object} chunk - Chunk being generated
+     */
+    function _connectPortals(chunk) {
+        const last = _chunkSize - 1;
+        const portals = [
+            { x: 0, y: _getWestPortal(chunk.x, chunk.z), horizontal: true },
+            { x: last, y: _getWestPortal(chunk.x + 1, chunk.z), horizontal: true },
+            { x: _getNorthPortal(chunk.x, chunk.z), y: 0, horizontal: false },
+            { x: _getNorthPortal(chunk.x, chunk.z + 1), y: last, horizontal: false }
+        ];
+
+        for (const portal of portals) {
+            // Head for the nearest room, or the chunk center if there is none
+            let target = { x: Math.floor(_chunkSize / 2), y: Math.floor(_chunkSize / 2) };
+            let bestDistance = Infinity;
+
+            for (const room of chunk.rooms) {
+                const center = _getRoomCenter(room);
+                const distance = Math.abs(center.x - portal.x) + Math.abs(center.y - portal.y);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    target = center;
+                }
+            }
+
+            if (portal.horizontal) {
+                _createHorizontalCorridor(chunk, portal.x, target.x, portal.y);
+                _createVerticalCorridor(chunk, portal.y, target.y, target.x);
+            } else {
+                _createVerticalCorridor(chunk, portal.y, target.y, portal.x);
+                _createHorizontalCorridor(chunk, portal.x, target.x, target.y);
+            }
         }
     }
 
     /**
      * Create a horizontal corridor
+     * @param {Object} chunk - Chunk being generated
      * @param {number} x1 - Start x
      * @param {number} x2 - End x
      * @param {number} y - Y position
      */
-    function _createHorizontalCorridor(x1, x2, y) {
+    function _createHorizontalCorridor(chunk, x1, x2, y) {
         const start = Math.min(x1, x2);
         const end = Math.max(x1, x2);
         const width = _settings.corridorWidth;
 
         for (let x = start; x <= end; x++) {
             for (let dy = -Math.floor(width / 2); dy <= Math.floor(width / 2); dy++) {
-                const cy = y + dy;
-
-                // Make sure we're within map bounds
-                if (cy > 0 && cy < _mapSize - 1) {
-                    // If it's a wall, make it a door (unless it's a boundary wall)
-                    if (_mapData[cy][x] === CELL_TYPE.WALL &&
-                        cy > 0 && cy < _mapSize - 1 &&
-                        x > 0 && x < _mapSize - 1) {
-                        _mapData[cy][x] = CELL_TYPE.DOOR;
-                    } else if (_mapData[cy][x] !== CELL_TYPE.DOOR) {
-                        _mapData[cy][x] = CELL_TYPE.EMPTY;
-                    }
-                }
+                _carveCorridorCell(chunk, x, y + dy);
             }
         }
     }
 
     /**
      * Create a vertical corridor
+     * @param {Object} chunk - Chunk being generated
      * @param {number} y1 - Start y
      * @param {number} y2 - End y
      * @param {number} x - X position
      */
-    function _createVerticalCorridor(y1, y2, x) {
+    function _createVerticalCorridor(chunk, y1, y2, x) {
         const start = Math.min(y1, y2);
         const end = Math.max(y1, y2);
         const width = _settings.corridorWidth;
 
         for (let y = start; y <= end; y++) {
             for (let dx = -Math.floor(width / 2); dx <= Math.floor(width / 2); dx++) {
-                const cx = x + dx;
-
-                // Make sure we're within map bounds
-                if (cx > 0 && cx < _mapSize - 1) {
-                    // If it's a wall, make it a door (unless it's a boundary wall)
-                    if (_mapData[y][cx] === CELL_TYPE.WALL &&
-                        y > 0 && y < _mapSize - 1 &&
-                        cx > 0 && cx < _mapSize - 1) {
-                        _mapData[y][cx] = CELL_TYPE.DOOR;
-                    } else if (_mapData[y][cx] !== CELL_TYPE.DOOR) {
-                        _mapData[y][cx] = CELL_TYPE.EMPTY;
-                    }
-                }
+                _carveCorridorCell(chunk, x + dx, y);
             }
         }
     }
 
+    /**
+     * Carve a single corridor cell
+     * @param {Object} chunk - Chunk being generated
+     * @param {number} x - Local x
+     * @param {number} y - Local y
+     */
+    function _carveCorridorCell(chunk, x, y) {
+        // Make sure we're within chunk bounds
+        if (x < 0 || x >= _chunkSize || y < 0 || y >= _chunkSize) return;
+
+        // If it's a wall, make it a door
+        if (chunk.cells[y][x] === CELL_TYPE.WALL) {
+            chunk.cells[y][x] = CELL_TYPE.DOOR;
+        } else if (chunk.cells[y][x] !== CELL_TYPE.DOOR) {
+            chunk.cells[y][x] = CELL_TYPE.EMPTY;
+        }
+
+        // Give the corridor a roof, unless it runs through a room
+        if (chunk.ceilings[y][x] === OPEN_SKY && chunk.floors[y][x] === SURFACE.OUTDOOR_FLOOR) {
+            chunk.floors[y][x] = SURFACE.CORRIDOR_FLOOR;
+            chunk.ceilings[y][x] = SURFACE.CORRIDOR_CEILING;
+        }
+    }
+
     /**
      * Add random walls for variety
+     * @param {Object} chunk - Chunk being generated
      */
-    function _addRandomWalls() {
-        const wallCount = Math.floor(_mapSize * _mapSize * 0.01);
+    function _addRandomWalls(chunk) {
+        const cells = chunk.cells;
+        const wallCount = Math.floor(_chunkSize * _chunkSize * 0.01);
 
         for (let i = 0; i < wallCount; i++) {
-            const x = Utils.randomInt(1, _mapSize - 2);
-            const y = Utils.randomInt(1, _mapSize - 2);
+            const x = _randomInt(chunk, 1, _chunkSize - 2);
+            const y = _randomInt(chunk, 1, _chunkSize - 2);
 
             // Only place a wall if the cell and its neighbors are empty
-            if (_mapData[y][x] === CELL_TYPE.EMPTY) {
+            if (cells[y][x] === CELL_TYPE.EMPTY) {
                 let hasNeighborWall = false;
 
                 // Check immediate neighbors
                 for (let dy = -1; dy <= 1; dy++) {
                     for (let dx = -1; dx <= 1; dx++) {
-                        if (_mapData[y + dy][x + dx] === CELL_TYPE.WALL) {
+                        if (cells[y + dy][x + dx] === CELL_TYPE.WALL) {
                             hasNeighborWall = true;
                             break;
                         }
@@ -355,26 +750,208 @@
 
                 // Add wall if there's a neighbor wall
                 if (hasNeighborWall) {
-                    _mapData[y][x] = CELL_TYPE.WALL;
+                    cells[y][x] = CELL_TYPE.WALL;
+                }
+            }
+        }
+    }
+
+    /**
+     * Create door state for every door cell that sits between two walls
+     * Door cells without a clear frame (e.g. where a corridor ran along a wall) become open floor
+     * @param {Object} chunk - Chunk being generated
+     */
+    function _placeDoors(chunk) {
+        const cells = chunk.cells;
+        const isWallAt = (x, y) =>
+            x >= 0 && y >= 0 && x < _chunkSize && y < _chunkSize && cells[y][x] === CELL_TYPE.WALL;
+
+        for (let y = 0; y < _chunkSize; y++) {
+            for (let x = 0; x < _chunkSize; x++) {
+                if (cells[y][x] !== CELL_TYPE.DOOR) continue;
+
+                const wallsWestEast = isWallAt(x - 1, y) && isWallAt(x + 1, y);
+                const wallsNorthSouth = isWallAt(x, y - 1) && isWallAt(x, y + 1);
+
+                // The door is passed through along the axis without walls
+                let axis = null;
+                if (wallsWestEast && !isWallAt(x, y - 1) && !isWallAt(x, y + 1)) {
+                    axis = 'z';
+                } else if (wallsNorthSouth && !isWallAt(x - 1, y) && !isWallAt(x + 1, y)) {
+                    axis = 'x';
                 }
+
+                if (!axis) {
+                    cells[y][x] = CELL_TYPE.EMPTY;
+                    continue;
+                }
+
+                chunk.doors[y * _chunkSize + x] = {
+                    x: chunk.originX + x,
+                    z: chunk.originZ + y,
+                    axis,
+                    state: DOOR_STATE.CLOSED,
+                    lock: null,    // Key color needed to open, null if unlocked
+                    openAmount: 0, // 0 = closed, 1 = fully slid open
+                    openTimer: 0   // Time spent fully open
+                };
+            }
+        }
+    }
+
+    /**
+     * Maybe lock one room behind doors of a key color and place the key, with a weapon inside
+     * The key always lands where it can be reached from the chunk borders without
+     * passing a locked door, and locking never cuts the borders off from each other
+     * @param {Object} chunk - Chunk being generated
+     */
+    function _lockRoom(chunk) {
+        if (chunk.rooms.length === 0 || chunk.random() >= _settings.lockedRoomChance) {
+            return;
+        }
+
+        const color = KEY_COLORS[_randomInt(chunk, 0, KEY_COLORS.length - 1)];
+        const first = _randomInt(chunk, 0, chunk.rooms.length - 1);
+
+        for (let i = 0; i < chunk.rooms.length; i++) {
+            const room = chunk.rooms[(first + i) % chunk.rooms.length];
+
+            // Only rooms fully sealed by walls and doors can be locked
+            const doors = _getRoomDoors(chunk, room);
+            if (!doors || doors.length === 0) continue;
+
+            doors.forEach(door => { door.lock = color; });
+            room.lock = color;
+
+            // Keep the key somewhere reachable from the borders, outside the room
+            const reachable = _floodFromPortals(chunk);
+            const candidates = reachable ? chunk.freeSpaces.filter(space =>
+                reachable[(space.z - chunk.originZ) * _chunkSize + (space.x - chunk.originX)] &&
+                !_isInsideRoom(chunk, room, space)) : [];
+
+            if (candidates.length === 0) {
+                doors.forEach(door => { door.lock = null; });
+                room.lock = null;
+                continue;
+            }
+
+            const keySpace = candidates[_randomInt(chunk, 0, candidates.length - 1)];
+            chunk.keys.push({ color, x: keySpace.x, z: keySpace.z });
+
+            // A weapon waits inside as the reward for finding the key
+            const inside = chunk.freeSpaces.filter(space => _isInsideRoom(chunk, room, space));
+            if (inside.length > 0) {
+                const weaponSpace = inside[_randomInt(chunk, 0, inside.length - 1)];
+                chunk.weapons.push({ x: weaponSpace.x, z: weaponSpace.z });
+            }
+
+            // Nothing spawns inside, so the player can't start locked in
+            chunk.freeSpaces = chunk.freeSpaces.filter(space => !_isInsideRoom(chunk, room, space));
+            return;
+        }
+    }
+
+    /**
+     * Get the doors in a room's walls
+     * @param {Object} chunk - Chunk being generated
+     * @param {Object} room - Room
+     * @returns {Array|null} Doors, or null if the walls have an open gap
+     */
+    function _getRoomDoors(chunk, room) {
+        const doors = [];
+
+        for (let y = room.y; y < room.y + room.height; y++) {
+            for (let x = room.x; x < room.x + room.width; x++) {
+                const onEdge = y === room.y || y === room.y + room.height - 1 ||
+                    x === room.x || x === room.x + room.width - 1;
+                if (!onEdge || chunk.cells[y][x] === CELL_TYPE.WALL) continue;
+
+                const door = chunk.doors[y * _chunkSize + x];
+                if (!door) return null;
+                doors.push(door);
+            }
+        }
+
+        return doors;
+    }
+
+    /**
+     * Check if a world cell lies inside a room of a chunk
+     * @param {Object} chunk - Chunk
+     * @param {Object} room - Room in local coordinates
+     * @param {Object} space - World cell {x, z}
+     * @returns {boolean} True if inside the room's walls
+     */
+    function _isInsideRoom(chunk, room, space) {
+        const x = space.x - chunk.originX;
+        const y = space.z - chunk.originZ;
+        return x > room.x && x < room.x + room.width - 1 &&
+            y > room.y && y < room.y + room.height - 1;
+    }
+
+    /**
+     * Flood fill the chunk from its west portal, treating locked doors as walls
+     * @param {Object} chunk - Chunk being generated
+     * @returns {Uint8Array|null} Reached cells by local index, or null if any portal is cut off
+     */
+    function _floodFromPortals(chunk) {
+        const size = _chunkSize;
+        const last = size - 1;
+        const portals = [
+            { x: 0, y: _getWestPortal(chunk.x, chunk.z) },
+            { x: last, y: _getWestPortal(chunk.x + 1, chunk.z) },
+            { x: _getNorthPortal(chunk.x, chunk.z), y: 0 },
+            { x: _getNorthPortal(chunk.x, chunk.z + 1), y: last }
+        ];
+
+        const isBlocked = (x, y) => {
+            const cellType = chunk.cells[y][x];
+            if (cellType === CELL_TYPE.WALL) return true;
+            const door = cellType === CELL_TYPE.DOOR ? chunk.doors[y * size + x] : null;
+            return !!(door && door.lock);
+        };
+
+        const reached = new Uint8Array(size * size);
+        const stack = [portals[0]];
+        reached[portals[0].y * size + portals[0].x] = 1;
+
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            const neighbors = [
+                { x: cell.x + 1, y: cell.y },
+                { x: cell.x - 1, y: cell.y },
+                { x: cell.x, y: cell.y + 1 },
+                { x: cell.x, y: cell.y - 1 }
+            ];
+
+            for (const next of neighbors) {
+                if (next.x < 0 || next.y < 0 || next.x > last || next.y > last) continue;
+                const index = next.y * size + next.x;
+                if (reached[index] || isBlocked(next.x, next.y)) continue;
+                reached[index] = 1;
+                stack.push(next);
             }
         }
+
+        return portals.every(portal => reached[portal.y * size + portal.x]) ? reached : null;
     }
 
     /**
-     * Find all free spaces in the map for entity spawning
+     * Find all free spaces in a chunk for entity spawning
+     * @param {Object} chunk - Chunk being generated
      */
-    function _findFreeSpaces() {
-        _freeSpaces = [];
+    function _findFreeSpaces(chunk) {
+        const cells = chunk.cells;
+        chunk.freeSpaces = [];
 
-        for (let y = 1; y < _mapSize - 1; y++) {
-            for (let x = 1; x < _mapSize - 1; x++) {
-                if (_mapData[y][x] === CELL_TYPE.EMPTY) {
+        for (let y = 1; y < _chunkSize - 1; y++) {
+            for (let x = 1; x < _chunkSize - 1; x++) {
+                if (cells[y][x] === CELL_TYPE.EMPTY) {
                     // Check all 8 neighbors to ensure it's not too close to a wall
                     let isClear = true;
                     for (let dy = -1; dy <= 1 && isClear; dy++) {
                         for (let dx = -1; dx <= 1; dx++) {
-                            if (_mapData[y + dy][x + dx] === CELL_TYPE.WALL) {
+                            if (cells[y + dy][x + dx] === CELL_TYPE.WALL) {
                                 isClear = false;
                                 break;
                             }
@@ -382,7 +959,7 @@
                     }
 
                     if (isClear) {
-                        _freeSpaces.push({ x, y });
+                        chunk.freeSpaces.push({ x: chunk.originX + x, z: chunk.originZ + y });
                     }
                 }
             }
@@ -391,43 +968,79 @@
 
     /**
      * Get a random free space for entity spawning
+     * Picks among the chunks within the generate radius of the player
      * @param {boolean} remove - Whether to remove the space from available spaces
      * @returns {Object|null} Free space coordinates or null if none available
      */
     function getRandomFreeSpace(remove = false) {
-        if (_freeSpaces.length === 0) {
+        const radius = _settings.generateRadius;
+        const candidates = [];
+
+        for (let z = _centerChunk.z - radius; z <= _centerChunk.z + radius; z++) {
+            for (let x = _centerChunk.x - radius; x <= _centerChunk.x + radius; x++) {
+                const chunk = _getChunk(x, z);
+                if (chunk.freeSpaces.length > 0) {
+                    candidates.push(chunk);
+                }
+            }
+        }
+
+        if (candidates.length === 0) {
             console.warn('No free spaces available for spawning!');
-            
-            // Create a default spawn point in a safe location
-            const defaultSpace = { 
-                x: _cellSize * Math.floor(_mapSize / 2), 
-                y: 0, 
-                z: _cellSize * Math.floor(_mapSize / 2) 
+
+            // Create a default spawn point in the middle of the current chunk
+            const defaultSpace = {
+                x: _cellSize * ((_centerChunk.x + 0.5) * _chunkSize),
+                y: 0,
+                z: _cellSize * ((_centerChunk.z + 0.5) * _chunkSize)
             };
-            
+
             console.log('Using default spawn position:', defaultSpace);
             return defaultSpace;
         }
-        
-        const index = Utils.randomInt(0, _freeSpaces.length - 1);
-        const space = _freeSpaces[index];
-        
+
+        const chunk = candidates[Utils.randomInt(0, candidates.length - 1, 'map')];
+        const index = Utils.randomInt(0, chunk.freeSpaces.length - 1, 'map');
+        const space = chunk.freeSpaces[index];
+
         // Create the world position
         const worldPos = {
             x: space.x * _cellSize,
             y: 0, // Ground level
-            z: space.y * _cellSize
+            z: space.z * _cellSize
         };
-        
+
         console.log('Selected spawn position:', worldPos);
-        
+
         if (remove) {
-            _freeSpaces.splice(index, 1);
+            chunk.freeSpaces.splice(index, 1);
         }
-        
+
         return worldPos;
     }
 
+    /**
+     * Get the chunk and local coordinates of a map cell
+     * @param {number} mapX - Map cell x
+     * @param {number} mapZ - Map cell z
+     * @returns {Object} {chunk, x, y} with local coordinates
+     */
+    function _locateCell(mapX, mapZ) {
+        const chunk = _getChunk(Math.floor(mapX / _chunkSize), Math.floor(mapZ / _chunkSize));
+        return { chunk, x: mapX - chunk.originX, y: mapZ - chunk.originZ };
+    }
+
+    /**
+     * Get the cell type of a map cell
+     * @param {number} mapX - Map cell x
+     * @param {number} mapZ - Map cell z
+     * @returns {number} Cell type
+     */
+    function _getCell(mapX, mapZ) {
+        const cell = _locateCell(mapX, mapZ);
+        return cell.chunk.cells[cell.y][cell.x];
+    }
+
     /**
      * Check if a world position is a wall
      * @param {number} x - World X coordinate
@@ -439,13 +1052,121 @@
         const mapX = Math.floor(x / _cellSize);
         const mapZ = Math.floor(z / _cellSize);
 
-        // Check if within map bounds
-        if (mapX < 0 || mapX >= _mapSize || mapZ < 0 || mapZ >= _mapSize) {
-            return true; // Out of bounds is considered a wall
+        // Check if the cell is a wall or a door that isn't open enough to pass
+        const cellType = _getCell(mapX, mapZ);
+        if (cellType === CELL_TYPE.DOOR) {
+            const door = _getDoor(mapX, mapZ);
+            return !!door && door.openAmount < _settings.doorPassableAmount;
         }
+        return cellType === CELL_TYPE.WALL;
+    }
 
-        // Check if the cell is a wall
-        return _mapData[mapZ][mapX] === CELL_TYPE.WALL;
+    /**
+     * Get the room a world position is inside
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {string|null} Id shared by all positions in the same room, or null outside rooms
+     */
+    function getRoomId(x, z) {
+        const space = { x: Math.floor(x / _cellSize), z: Math.floor(z / _cellSize) };
+        const chunk = _locateCell(space.x, space.z).chunk;
+
+        const index = chunk.rooms.findIndex(room => _isInsideRoom(chunk, room, space));
+        return index === -1 ? null : `${chunk.x},${chunk.z}:${index}`;
+    }
+
+    /**
+     * Get the keycard the room at a world position is locked behind
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {string|null} Key color, or null outside locked rooms
+     */
+    function getRoomLock(x, z) {
+        const space = { x: Math.floor(x / _cellSize), z: Math.floor(z / _cellSize) };
+        const chunk = _locateCell(space.x, space.z).chunk;
+
+        const room = chunk.rooms.find(room => room.lock && _isInsideRoom(chunk, room, space));
+        return room ? room.lock : null;
+    }
+
+    /**
+     * Find the free space furthest from a position by walking distance
+     * Searches the streaming window, going around walls and locked doors
+     * @param {Vector3} position - World position to measure from
+     * @returns {Object|null} World position {x, y, z} in the middle of the cell, or null if none is reachable
+     */
+    function findFarthestSpace(position) {
+        const bounds = getWindowBounds();
+        const width = bounds.width;
+        const height = bounds.height;
+        const startX = Math.floor(position.x / _cellSize) - bounds.x;
+        const startZ = Math.floor(position.z / _cellSize) - bounds.z;
+        if (startX < 0 || startZ < 0 || startX >= width || startZ >= height) {
+            return null;
+        }
+
+        // Mark the free spaces of the window by local index
+        const isFree = new Uint8Array(width * height);
+        for (const chunk of Object.values(_chunks)) {
+            for (const space of chunk.freeSpaces) {
+                const x = space.x - bounds.x;
+                const z = space.z - bounds.z;
+                if (x >= 0 && z >= 0 && x < width && z < height) {
+                    isFree[z * width + x] = 1;
+                }
+            }
+        }
+
+        // Breadth-first flood from the start, counting steps
+        const distance = new Int32Array(width * height).fill(-1);
+        const queue = new Int32Array(width * height);
+        let head = 0;
+        let tail = 0;
+        let best = -1;
+
+        distance[startZ * width + startX] = 0;
+        queue[tail++] = startZ * width + startX;
+
+        while (head < tail) {
+            const index = queue[head++];
+            const x = index % width;
+            const z = (index - x) / width;
+
+            if (isFree[index] && (best === -1 || distance[index] > distance[best])) {
+                best = index;
+            }
+
+            for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = x + dx;
+                const nz = z + dz;
+                if (nx < 0 || nz < 0 || nx >= width || nz >= height) continue;
+
+                const next = nz * width + nx;
+                if (distance[next] !== -1) continue;
+
+                const mapX = bounds.x + nx;
+                const mapZ = bounds.z + nz;
+                const cellType = _getCell(mapX, mapZ);
+                if (cellType === CELL_TYPE.WALL) continue;
+                if (cellType === CELL_TYPE.DOOR) {
+                    const door = _getDoor(mapX, mapZ);
+                    if (door && door.lock) continue;
+                }
+
+                distance[next] = distance[index] + 1;
+                queue[tail++] = next;
+            }
+        }
+
+        if (best === -1) return null;
+
+        const bestX = best % width;
+        const bestZ = (best - bestX) / width;
+        return {
+            x: (bounds.x + bestX + 0.5) * _cellSize,
+            y: 0,
+            z: (bounds.z + bestZ + 0.5) * _cellSize
+        };
     }
 
     /**
@@ -459,12 +1180,29 @@
         const mapX = Math.floor(x / _cellSize);
         const mapZ = Math.floor(z / _cellSize);
 
-        // Check if within map bounds
-        if (mapX < 0 || mapX >= _mapSize || mapZ < 0 || mapZ >= _mapSize) {
-            return CELL_TYPE.WALL; // Out of bounds is considered a wall
-        }
+        return _getCell(mapX, mapZ);
+    }
 
-        return _mapData[mapZ][mapX];
+    /**
+     * Get the floor texture id at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} Floor texture id
+     */
+    function getFloorTexture(x, z) {
+        const cell = _locateCell(Math.floor(x / _cellSize), Math.floor(z / _cellSize));
+        return cell.chunk.floors[cell.y][cell.x];
+    }
+
+    /**
+     * Get the ceiling texture id at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} Ceiling texture id, or OPEN_SKY
+     */
+    function getCeilingTexture(x, z) {
+        const cell = _locateCell(Math.floor(x / _cellSize), Math.floor(z / _cellSize));
+        return cell.chunk.ceilings[cell.y][cell.x];
     }
 
     /**
@@ -528,11 +1266,15 @@
             }
 
             // Check if ray has hit a wall
-            if (mapPos.x < 0 || mapPos.x >= _mapSize || mapPos.z < 0 || mapPos.z >= _mapSize) {
-                // Out of map bounds
-                hit = true;
-            } else if (_mapData[mapPos.z][mapPos.x] === CELL_TYPE.WALL) {
+            const cellType = _getCell(mapPos.x, mapPos.z);
+            if (cellType === CELL_TYPE.WALL) {
                 hit = true;
+            } else if (cellType === CELL_TYPE.DOOR) {
+                // Doors are panels recessed to the middle of their cell
+                const doorHit = _intersectDoor(ray, mapPos.x, mapPos.z);
+                if (doorHit) {
+                    return doorHit.distance < maxDistance ? doorHit : null;
+                }
             }
 
             // Calculate distance along the ray
@@ -548,7 +1290,8 @@
 
         if (hit && hitDistance < maxDistance) {
             // Determine which wall texture to use (can be based on position, orientation, etc.)
-            const textureId = (mapPos.x + mapPos.z) % 4;
+            // Coordinates can be negative, so keep the id positive
+            const textureId = (((mapPos.x + mapPos.z) % 4) + 4) % 4;
 
             return {
                 hit: true,
@@ -564,206 +1307,263 @@
     }
 
     /**
-     * Get the map size
-     * @returns {number} Map size
+     * Intersect a ray with the door panel in a cell
+     * The panel sits across the middle of the cell and slides sideways as it opens
+     * @param {Ray} ray - Ray being cast
+     * @param {number} mapX - Door cell x
+     * @param {number} mapZ - Door cell z
+     * @returns {Object|null} Hit information, or null if the ray passes
      */
-    function getMapSize() {
-        return _mapSize;
+    function _intersectDoor(ray, mapX, mapZ) {
+        const door = _getDoor(mapX, mapZ);
+        if (!door) return null;
+
+        const origin = ray.origin;
+        const dir = ray.direction;
+
+        // Distance to the panel plane, and where along the panel the ray crosses it
+        let t, offset;
+        if (door.axis === 'z') {
+            if (dir.z === 0) return null;
+            t = ((mapZ + 0.5) * _cellSize - origin.z) / dir.z;
+            offset = (origin.x + dir.x * t) / _cellSize - mapX;
+        } else {
+            if (dir.x === 0) return null;
+            t = ((mapX + 0.5) * _cellSize - origin.x) / dir.x;
+            offset = (origin.z + dir.z * t) / _cellSize - mapZ;
+        }
+
+        // Behind the ray, leaving the cell sideways, or through the open gap
+        if (t < 0 || offset < 0 || offset >= 1 || offset < door.openAmount) {
+            return null;
+        }
+
+        return {
+            hit: true,
+            distance: t,
+            side: door.axis === 'z' ? 1 : 0,
+            mapX: mapX,
+            mapZ: mapZ,
+            textureId: door.lock ? KEY_COLORS.indexOf(door.lock) + 1 : 0, // Locked doors show their color
+            door: true,
+            textureX: offset - door.openAmount // Panel texture slides with the door
+        };
     }
 
     /**
-     * Get the cell size
-     * @returns {number} Cell size
+     * Get the door in a map cell
+     * @param {number} mapX - Map cell x
+     * @param {number} mapZ - Map cell z
+     * @returns {Object|null} Door or null
      */
-    function getCellSize() {
-        return _cellSize;
+    function _getDoor(mapX, mapZ) {
+        const cell = _locateCell(mapX, mapZ);
+        return cell.chunk.doors[cell.y * _chunkSize + cell.x] || null;
     }
 
     /**
-     * Get the raw map data array
-     * @returns {Array} 2D array of map data
+     * Get the door at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Object|null} Door {x, z, axis, state, lock, openAmount} or null
      */
-    function getMapData() {
-        return _mapData;
+    function getDoor(x, z) {
+        return _getDoor(Math.floor(x / _cellSize), Math.floor(z / _cellSize));
     }
 
     /**
-     * Expand the map in a given direction
-     * This adds more procedurally generated content as the player explores
-     * @param {string} direction - Direction to expand ('north', 'east', 'south', 'west')
+     * Open the door at a world position
+     * An open door has its auto-close timer restarted. A locked door opens only
+     * for the matching key, and stays unlocked afterwards
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @param {Array} keys - Key colors held by whoever is opening it
+     * @returns {boolean} True if the door is opening or open
      */
-    function expandMap(direction) {
-        // Save the current size
-        const oldSize = _mapSize;
-        let newMapData = [];
-
-        // Create a new larger map data array
-        switch (direction) {
-            case 'north':
-                // Add new rows at the beginning
-                _mapSize += _settings.maxRoomSize;
-                newMapData = Array(_mapSize).fill().map(() => Array(oldSize).fill(CELL_TYPE.EMPTY));
-
-                // Copy existing data to the bottom of the new map
-                for (let y = 0; y < oldSize; y++) {
-                    for (let x = 0; x < oldSize; x++) {
-                        newMapData[y + _settings.maxRoomSize][x] = _mapData[y][x];
-                    }
-                }
-                break;
+    function openDoor(x, z, keys = []) {
+        const door = getDoor(x, z);
+        if (!door) return false;
+
+        if (door.lock) {
+            if (!keys.includes(door.lock)) {
+                _events.emit('doorLocked', door);
+                return false;
+            }
 
-            case 'south':
-                // Add new rows at the end
-                _mapSize += _settings.maxRoomSize;
-                newMapData = Array(_mapSize).fill().map(() => Array(oldSize).fill(CELL_TYPE.EMPTY));
+            door.lock = null;
+            _events.emit('doorUnlock', door);
+        }
 
-                // Copy existing data to the top of the new map
-                for (let y = 0; y < oldSize; y++) {
-                    for (let x = 0; x < oldSize; x++) {
-                        newMapData[y][x] = _mapData[y][x];
-                    }
-                }
-                break;
+        if (door.state === DOOR_STATE.CLOSED || door.state === DOOR_STATE.CLOSING) {
+            door.state = DOOR_STATE.OPENING;
+            _activeDoors.add(door);
+            _events.emit('doorOpen', door);
+        }
+        door.openTimer = 0;
 
-            case 'west':
-                // Add new columns at the beginning
-                newMapData = Array(oldSize).fill().map(() => Array(oldSize + _settings.maxRoomSize).fill(CELL_TYPE.EMPTY));
+        return true;
+    }
 
-                // Copy existing data to the right side of the new map
-                for (let y = 0; y < oldSize; y++) {
-                    for (let x = 0; x < oldSize; x++) {
-                        newMapData[y][x + _settings.maxRoomSize] = _mapData[y][x];
+    /**
+     * Advance opening, closing and auto-closing doors
+     * @param {number} deltaTime - Tick duration in ms
+     * @param {Array} occupants - Entities with position and radius that keep doors from closing
+     */
+    function updateDoors(deltaTime, occupants = []) {
+        const slide = deltaTime / _settings.doorOpenTime;
+
+        for (const door of _activeDoors) {
+            switch (door.state) {
+                case DOOR_STATE.OPENING:
+                    door.openAmount = Math.min(1, door.openAmount + slide);
+                    if (door.openAmount === 1) {
+                        door.state = DOOR_STATE.OPEN;
+                        door.openTimer = 0;
                     }
-                }
-
-                // Update map size
-                _mapSize = oldSize + _settings.maxRoomSize;
-                break;
+                    break;
 
-            case 'east':
-                // Add new columns at the end
-                newMapData = Array(oldSize).fill().map(() => Array(oldSize + _settings.maxRoomSize).fill(CELL_TYPE.EMPTY));
+                case DOOR_STATE.OPEN:
+                    door.openTimer += deltaTime;
+                    if (door.openTimer >= _settings.doorAutoCloseDelay && !_isDoorOccupied(door, occupants)) {
+                        door.state = DOOR_STATE.CLOSING;
+                        _events.emit('doorClose', door);
+                    }
+                    break;
 
-                // Copy existing data to the left side of the new map
-                for (let y = 0; y < oldSize; y++) {
-                    for (let x = 0; x < oldSize; x++) {
-                        newMapData[y][x] = _mapData[y][x];
+                case DOOR_STATE.CLOSING:
+                    // Never close on someone standing in the doorway
+                    if (_isDoorOccupied(door, occupants)) {
+                        door.state = DOOR_STATE.OPENING;
+                        break;
                     }
-                }
 
-                // Update map size
-                _mapSize = oldSize + _settings.maxRoomSize;
-                break;
+                    door.openAmount = Math.max(0, door.openAmount - slide);
+                    if (door.openAmount === 0) {
+                        door.state = DOOR_STATE.CLOSED;
+                        _activeDoors.delete(door);
+                    }
+                    break;
+            }
         }
+    }
 
-        // Replace the map data
-        _mapData = newMapData;
-
-        // Generate new content in the expanded area
-        _generateExtraContent(direction, oldSize);
+    /**
+     * Check if any occupant overlaps a door cell
+     * @param {Object} door - Door
+     * @param {Array} occupants - Entities with position and radius
+     * @returns {boolean} True if occupied
+     */
+    function _isDoorOccupied(door, occupants) {
+        const centerX = (door.x + 0.5) * _cellSize;
+        const centerZ = (door.z + 0.5) * _cellSize;
+        const halfCell = _cellSize / 2;
+
+        return occupants.some(occupant => {
+            if (!occupant || !occupant.position) return false;
+            const reach = halfCell + (occupant.radius || 0);
+            return Math.abs(occupant.position.x - centerX) < reach &&
+                Math.abs(occupant.position.z - centerZ) < reach;
+        });
+    }
 
-        // Update free spaces
-        _findFreeSpaces();
+    /**
+     * Get the chunk size
+     * @returns {number} Chunk size in cells
+     */
+    function getChunkSize() {
+        return _chunkSize;
+    }
 
-        console.log(`Map expanded ${direction} to ${_mapSize}x${_mapSize}`);
+    /**
+     * Get the cell size
+     * @returns {number} Cell size
+     */
+    function getCellSize() {
+        return _cellSize;
     }
 
     /**
-     * Generate new content in the expanded map area
-     * @param {string} direction - Direction that was expanded
-     * @param {number} oldSize - Previous map size
+     * Get the bounds of the streaming window (the generated area around the player)
+     * @returns {Object} Bounds in map cells {x, z, width, height}
      */
-    function _generateExtraContent(direction, oldSize) {
-        // Generate walls and rooms based on direction
-        switch (direction) {
-            case 'north':
-                // Generate content in the top rows
-                for (let y = 0; y < _settings.maxRoomSize; y++) {
-                    for (let x = 0; x < oldSize; x++) {
-                        if (y === 0 || y === _settings.maxRoomSize - 1 || x === 0 || x === oldSize - 1) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        } else if (Math.random() < 0.2) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        }
-                    }
-                }
+    function getWindowBounds() {
+        const radius = _settings.generateRadius;
+        const span = (radius * 2 + 1) * _chunkSize;
+
+        return {
+            x: (_centerChunk.x - radius) * _chunkSize,
+            z: (_centerChunk.z - radius) * _chunkSize,
+            width: span,
+            height: span
+        };
+    }
 
-                // Connect to existing map
-                for (let x = 1; x < oldSize - 1; x += 10) {
-                    _mapData[_settings.maxRoomSize - 1][x] = CELL_TYPE.EMPTY;
-                }
-                break;
-
-            case 'south':
-                // Generate content in the bottom rows
-                for (let y = oldSize; y < _mapSize; y++) {
-                    for (let x = 0; x < oldSize; x++) {
-                        if (y === oldSize || y === _mapSize - 1 || x === 0 || x === oldSize - 1) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        } else if (Math.random() < 0.2) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        }
-                    }
-                }
+    /**
+     * Get the cell types of a region of the map
+     * Defaults to the streaming window
+     * @param {number} x - First map cell x
+     * @param {number} z - First map cell z
+     * @param {number} width - Width in cells
+     * @param {number} height - Height in cells
+     * @returns {Array} 2D array of cell types, indexed [z - regionZ][x - regionX]
+     */
+    function getMapData(x, z, width, height) {
+        if (x === undefined) {
+            ({ x, z, width, height } = getWindowBounds());
+        }
 
-                // Connect to existing map
-                for (let x = 1; x < oldSize - 1; x += 10) {
-                    _mapData[oldSize][x] = CELL_TYPE.EMPTY;
-                }
-                break;
-
-            case 'west':
-                // Generate content in the left columns
-                for (let y = 0; y < oldSize; y++) {
-                    for (let x = 0; x < _settings.maxRoomSize; x++) {
-                        if (y === 0 || y === oldSize - 1 || x === 0 || x === _settings.maxRoomSize - 1) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        } else if (Math.random() < 0.2) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        }
-                    }
-                }
+        const data = [];
+        for (let row = 0; row < height; row++) {
+            const line = new Array(width);
+            for (let col = 0; col < width; col++) {
+                line[col] = _getCell(x + col, z + row);
+            }
+            data.push(line);
+        }
 
-                // Connect to existing map
-                for (let y = 1; y < oldSize - 1; y += 10) {
-                    _mapData[y][_settings.maxRoomSize - 1] = CELL_TYPE.EMPTY;
-                }
-                break;
-
-            case 'east':
-                // Generate content in the right columns
-                for (let y = 0; y < oldSize; y++) {
-                    for (let x = oldSize; x < _mapSize; x++) {
-                        if (y === 0 || y === oldSize - 1 || x === oldSize || x === _mapSize - 1) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        } else if (Math.random() < 0.2) {
-                            _mapData[y][x] = CELL_TYPE.WALL;
-                        }
-                    }
-                }
+        return data;
+    }
 
-                // Connect to existing map
-                for (let y = 1; y < oldSize - 1; y += 10) {
-                    _mapData[y][oldSize] = CELL_TYPE.EMPTY;
-                }
-                break;
-        }
+    /**
+     * Register an event listener
+     * @param {string} event - Event name ('chunkLoad', 'chunkUnload', 'doorOpen', 'doorClose',
+     *                         'doorLocked', 'doorUnlock')
+     * @param {Function} callback - Event callback
+     */
+    function on(event, callback) {
+        return _events.on(event, callback);
     }
 
     // Export the public API
     MyApp.Map = {
         init,
         generate,
+        generateArena,
+        update,
         getRandomFreeSpace,
+        getArenaSpawns,
         isWall,
         getCellType,
+        getRoomId,
+        getRoomLock,
+        findFarthestSpace,
+        getFloorTexture,
+        getCeilingTexture,
         castRay,
-        getMapSize,
+        getDoor,
+        openDoor,
+        updateDoors,
+        getChunkSize,
         getCellSize,
+        getWindowBounds,
         getMapData,
         expandMap,
-        CELL_TYPE
+        on,
+        CELL_TYPE,
+        DOOR_STATE,
+        KEY_COLORS,
+        OPEN_SKY
     };
 
     console.log('Map module loaded');
-})(window.MyApp || (window.MyApp = {}));
\ No newline at end of file
+})(window.MyApp || (window.MyApp = {}));
@@ -0,0 +1,243 @@
+/**
+ * Noise module for the FPS game
+ * Noise events that flood out through the map, muffled by walls and closed doors
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+    const Math3D = MyApp.Math3D;
+    const Vector3 = Math3D.Vector3;
+
+    // Private variables
+    let _map = null;
+    let _noises = []; // Recent noises with the level they reached in each cell
+    let _unsubscribers = [];
+
+    // Noise settings, loudness is measured in cells a noise carries through open space
+    const _settings = {
+        lifetime: 250,       // ms a noise can still be heard after it was made
+        maxLoudness: 40,     // Loudest noise, bounds the flooded area
+        wallAttenuation: 10, // Extra loudness lost passing through a wall
+        doorAttenuation: 5,  // Extra loudness lost passing through a closed door
+        doorNoise: 8         // Loudness of a door starting to open or close
+    };
+
+    // Neighbour offsets noise spreads along
+    const NEIGHBORS = [
+        { x: 1, z: 0 },
+        { x: -1, z: 0 },
+        { x: 0, z: 1 },
+        { x: 0, z: -1 }
+    ];
+
+    // Event emitter
+    const _events = new Utils.EventEmitter();
+
+    /**
+     * Initialize the noise system
+     * @param {Object} map - Map module noise spreads through
+     * @param {Object} options - Optional configuration
+     */
+    function init(map, options = {}) {
+        if (!map) {
+            console.error('Noise requires a map');
+            return false;
+        }
+
+        if (options.settings) Object.assign(_settings, options.settings);
+
+        // Drop listeners from a previous init
+        _unsubscribers.forEach(unsubscribe => unsubscribe());
+        _unsubscribers = [];
+
+        _map = map;
+        _noises = [];
+
+        // Doors rumble as they start moving
+        if (typeof map.on === 'function') {
+            const doorNoise = door => {
+                const cellSize = map.getCellSize();
+                emit(new Vector3((door.x + 0.5) * cellSize, 0, (door.z + 0.5) * cellSize), _settings.doorNoise);
+            };
+            _unsubscribers.push(map.on('doorOpen', doorNoise));
+            _unsubscribers.push(map.on('doorClose', doorNoise));
+        }
+
+        console.log('Noise system initialized');
+        return true;
+    }
+
+    /**
+     * Make a noise
+     * @param {Vector3} position - Where the noise comes from
+     * @param {number} loudness - Cells it carries through open space
+     * @param {string} source - Who made it: 'player', 'enemy', or null for the world
+     * @returns {Object|null} The noise, or null if nothing could hear it
+     */
+    function emit(position, loudness, source = null) {
+        if (!_map) {
+            console.error('Noise not initialized');
+            return null;
+        }
+
+        loudness = Math.min(loudness, _settings.maxLoudness);
+        if (loudness <= 0) return null;
+
+        _prune();
+
+        const noise = {
+            id: Utils.createGuid(),
+            position: new Vector3().copy(position),
+            loudness,
+            source,
+            time: Utils.gameTime(),
+            ..._flood(position, loudness)
+        };
+
+        _noises.push(noise);
+        _events.emit('noise', noise);
+
+        return noise;
+    }
+
+    /**
+     * Find the loudest recent noise that reaches a position
+     * @param {Vector3} position - Listening position
+     * @returns {Object|null} {noise, level} with the loudness left on arrival, or null if all is quiet
+     */
+    function hear(position) {
+        _prune();
+
+        const cellSize = _map ? _map.getCellSize() : 1;
+        const x = Math.floor(position.x / cellSize);
+        const z = Math.floor(position.z / cellSize);
+
+        let loudest = null;
+        for (const noise of _noises) {
+            const col = x - noise.region.x;
+            const row = z - noise.region.z;
+            if (col < 0 || row < 0 || col >= noise.region.width || row >= noise.region.height) {
+                continue;
+            }
+
+            const level = noise.levels[row * noise.region.width + col];
+            if (level > 0 && (!loudest || level > loudest.level)) {
+                loudest = { noise, level };
+            }
+        }
+
+        return loudest;
+    }
+
+    /**
+     * Spread a noise out from its origin, cheapest route first
+     * Each cell costs one loudness to cross, walls and closed doors cost extra
+     * @param {Vector3} position - Noise origin
+     * @param {number} loudness - Starting loudness
+     * @returns {Object} {region, levels} with the loudness left in each region cell
+     */
+    function _flood(position, loudness) {
+        const cellSize = _map.getCellSize();
+        const radius = Math.ceil(loudness);
+        const region = {
+            x: Math.floor(position.x / cellSize) - radius,
+            z: Math.floor(position.z / cellSize) - radius,
+            width: radius * 2 + 1,
+            height: radius * 2 + 1
+        };
+        const data = _map.getMapData(region.x, region.z, region.width, region.height);
+
+        const width = region.width;
+        const levels = new Float32Array(width * region.height);
+        const start = radius * width + radius;
+        levels[start] = loudness;
+
+        // Costs are whole numbers, so cells are expanded from buckets of loudness spent
+        const buckets = [[start]];
+        for (let spent = 0; spent < buckets.length; spent++) {
+            if (!buckets[spent]) continue;
+
+            for (const index of buckets[spent]) {
+                // Skip cells reached more cheaply since they were queued
+                if (levels[index] > loudness - spent) continue;
+
+                const x = index % width;
+                const z = Math.floor(index / width);
+                for (const neighbor of NEIGHBORS) {
+                    const nx = x + neighbor.x;
+                    const nz = z + neighbor.z;
+                    if (nx < 0 || nz < 0 || nx >= width || nz >= region.height) continue;
+
+                    const cost = spent + _getCellCost(region, data, nx, nz);
+                    const nIndex = nz * width + nx;
+                    if (loudness - cost <= levels[nIndex]) continue;
+
+                    levels[nIndex] = loudness - cost;
+                    (buckets[cost] || (buckets[cost] = [])).push(nIndex);
+                }
+            }
+        }
+
+        return { region, levels };
+    }
+
+    /**
+     * Get the loudness lost crossing a cell
+     * @param {Object} region - Flooded region
+     * @param {Array} data - Cell types of the region
+     * @param {number} col - Region column
+     * @param {number} row - Region row
+     * @returns {number} Loudness cost
+     */
+    function _getCellCost(region, data, col, row) {
+        const cellType = data[row][col];
+        if (cellType === _map.CELL_TYPE.WALL) {
+            return 1 + _settings.wallAttenuation;
+        }
+
+        if (cellType === _map.CELL_TYPE.DOOR) {
+            // Doors only muffle noise while shut
+            const cellSize = _map.getCellSize();
+            if (_map.isWall((region.x + col + 0.5) * cellSize, (region.z + row + 0.5) * cellSize)) {
+                return 1 + _settings.doorAttenuation;
+            }
+        }
+
+        return 1;
+    }
+
+    /**
+     * Forget noises too old to be heard
+     */
+    function _prune() {
+        const now = Utils.gameTime();
+        _noises = _noises.filter(noise => now - noise.time <= _settings.lifetime);
+    }
+
+    /**
+     * Forget all noises
+     */
+    function reset() {
+        _noises = [];
+    }
+
+    /**
+     * Register an event listener
+     * @param {string} event - Event name ('noise')
+     * @param {Function} callback - Event callback
+     */
+    function on(event, callback) {
+        return _events.on(event, callback);
+    }
+
+    // Export the public API
+    MyApp.Noise = {
+        init,
+        emit,
+        hear,
+        reset,
+        on
+    };
+
+    console.log('Noise module loaded');
+})(window.MyApp || (window.MyApp = {}));
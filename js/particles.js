@@ -0,0 +1,201 @@
+/**
+ * Particles module for the FPS game
+ * Short-lived debris sprites, such as gibs and blood, thrown out in bursts
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+    const Math3D = MyApp.Math3D;
+    const Vector3 = Math3D.Vector3;
+
+    // Private variables
+    let _particles = []; // Live particles, oldest first
+    let _pool = [];      // Spent particles kept for reuse
+
+    // Particle defaults
+    const _settings = {
+        maxParticles: 200,
+        lifetime: 1500,    // ms
+        gravity: 0.006,    // Fall acceleration, units per tick per tick
+        floorHeight: -0.5, // World height of the floor, eye level is 0
+        bounce: 0.3,       // Fraction of fall speed kept when hitting the floor
+        friction: 0.8,     // Fraction of sliding speed kept each tick on the floor
+        scale: 0.12        // Sprite size relative to a cell
+    };
+
+    /**
+     * Initialize the particle system
+     * @param {Object} options - Optional configuration
+     */
+    function init(options = {}) {
+        if (options.settings) Object.assign(_settings, options.settings);
+
+        reset();
+        console.log('Particle system initialized');
+    }
+
+    /**
+     * Throw out a burst of particles
+     * @param {Vector3} position - Burst center
+     * @param {Object} options - Burst options
+     * @param {number} options.count - Number of particles
+     * @param {number} options.speed - Top launch speed, units per tick
+     * @param {number} options.lift - Extra upward launch speed, units per tick
+     * @param {Array} options.textureIds - Effect sprites to pick from
+     * @param {number} options.lifetime - Time each particle lasts, in ms
+     * @param {number} options.scale - Sprite size relative to a cell
+     * @returns {Array} The spawned particles
+     */
+    function burst(position, options = {}) {
+        const count = options.count || 8;
+        const speed = options.speed || 0.08;
+        const lift = options.lift || 0;
+        const textureIds = options.textureIds || [0];
+        const spawned = [];
+
+        for (let i = 0; i < count; i++) {
+            const particle = _acquire();
+
+            // Random direction over the upper half of a sphere
+            const angle = Utils.random('effects') * Math.PI * 2;
+            const launch = Utils.randomFloat(0.3, 1, 'effects') * speed;
+            const up = Utils.random('effects');
+            const across = Math.sqrt(1 - up * up);
+
+            particle.position.copy(position);
+            particle.previousPosition.copy(position);
+            particle.velocity.set(
+                Math.cos(angle) * across * launch,
+                up * launch + lift,
+                Math.sin(angle) * across * launch
+            );
+            particle.age = 0;
+            particle.lifetime = (options.lifetime || _settings.lifetime) * Utils.randomFloat(0.7, 1, 'effects');
+            particle.textureId = textureIds[Utils.randomInt(0, textureIds.length - 1, 'effects')];
+            particle.scale = (options.scale || _settings.scale) * Utils.randomFloat(0.6, 1.2, 'effects');
+            particle.active = true;
+
+            _particles.push(particle);
+            spawned.push(particle);
+        }
+
+        return spawned;
+    }
+
+    /**
+     * Take a particle from the pool, recycling the oldest live one at the limit
+     * @returns {Object} Particle ready to be filled in
+     */
+    function _acquire() {
+        if (_particles.length >= _settings.maxParticles) {
+            return _particles.shift();
+        }
+
+        if (_pool.length > 0) {
+            return _pool.pop();
+        }
+
+        return {
+            id: Utils.createGuid(),
+            type: 'particle',
+            position: new Vector3(),
+            previousPosition: new Vector3(),
+            velocity: new Vector3(),
+            age: 0,
+            lifetime: 0,
+
+            // Rendering
+            spriteSet: 'effects',
+            textureId: 0,
+            scale: _settings.scale,
+            visible: true,
+            active: false
+        };
+    }
+
+    /**
+     * Update all particles
+     * @param {number} deltaTime - Tick duration in ms
+     * @param {Object} map - Map for wall collision
+     */
+    function update(deltaTime, map) {
+        for (let i = 0; i < _particles.length; i++) {
+            const particle = _particles[i];
+
+            particle.age += deltaTime;
+            if (particle.age >= particle.lifetime) {
+                particle.active = false;
+                _particles.splice(i, 1);
+                _pool.push(particle);
+                i--;
+                continue;
+            }
+
+            _updateParticle(particle, map);
+        }
+    }
+
+    /**
+     * Move a particle one tick, falling under gravity and settling on the floor
+     * @param {Object} particle - Particle to update
+     * @param {Object} map - Map for wall collision
+     */
+    function _updateParticle(particle, map) {
+        // Remember where this tick started so rendering can interpolate
+        particle.previousPosition.copy(particle.position);
+
+        const velocity = particle.velocity;
+        velocity.y -= _settings.gravity;
+
+        // Walls stop sideways movement
+        const x = particle.position.x + velocity.x;
+        const z = particle.position.z + velocity.z;
+        if (map && map.isWall(x, z)) {
+            velocity.x = 0;
+            velocity.z = 0;
+        } else {
+            particle.position.x = x;
+            particle.position.z = z;
+        }
+
+        // Rest on the floor by the bottom of the sprite
+        particle.position.y += velocity.y;
+        const restHeight = _settings.floorHeight + particle.scale / 2;
+        if (particle.position.y <= restHeight) {
+            particle.position.y = restHeight;
+            velocity.y = -velocity.y * _settings.bounce;
+            velocity.x *= _settings.friction;
+            velocity.z *= _settings.friction;
+        }
+    }
+
+    /**
+     * Get all live particles
+     * @returns {Array} Particles
+     */
+    function getParticles() {
+        return _particles;
+    }
+
+    /**
+     * Remove all particles
+     */
+    function reset() {
+        for (const particle of _particles) {
+            particle.active = false;
+            _pool.push(particle);
+        }
+        _particles = [];
+    }
+
+    // Export the public API
+    MyApp.Particles = {
+        init,
+        burst,
+        update,
+        getParticles,
+        reset
+    };
+
+    console.log('Particles module loaded');
+})(window.MyApp || (window.MyApp = {}));
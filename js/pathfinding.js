@@ -0,0 +1,364 @@
+/**
+ * Pathfinding module for the FPS game
+ * A* search over the map grid with path smoothing and a result cache
+ */
+(function (MyApp) {
+    // Dependencies
+    const Math3D = MyApp.Math3D;
+    const Vector3 = Math3D.Vector3;
+
+    // Private variables
+    let _map = null;
+    let _cache = new Map(); // Path results keyed by start and goal cell
+    let _unsubscribers = [];
+
+    // Pathfinding settings
+    const _settings = {
+        searchMargin: 8,      // Cells searched beyond the start/goal bounding box
+        maxSearchRadius: 48,  // Furthest a goal may be from the start, in cells
+        maxIterations: 4000,  // Nodes expanded before giving up
+        cacheSize: 64,        // Paths kept in the cache
+        clearance: 0.35,      // Distance smoothed paths keep from walls, in cells
+        sampleStep: 0.25      // Step used to check smoothed segments, in cells
+    };
+
+    // Neighbour offsets with their move cost (diagonals last)
+    const NEIGHBORS = [
+        { x: 1, z: 0, cost: 1 },
+        { x: -1, z: 0, cost: 1 },
+        { x: 0, z: 1, cost: 1 },
+        { x: 0, z: -1, cost: 1 },
+        { x: 1, z: 1, cost: Math.SQRT2 },
+        { x: -1, z: 1, cost: Math.SQRT2 },
+        { x: 1, z: -1, cost: Math.SQRT2 },
+        { x: -1, z: -1, cost: Math.SQRT2 }
+    ];
+
+    /**
+     * Initialize the pathfinding service
+     * @param {Object} map - Map module to search on
+     * @param {Object} options - Optional configuration
+     */
+    function init(map, options = {}) {
+        if (!map) {
+            console.error('Pathfinding requires a map');
+            return false;
+        }
+
+        if (options.settings) Object.assign(_settings, options.settings);
+
+        // Drop listeners from a previous init
+        _unsubscribers.forEach(unsubscribe => unsubscribe());
+        _unsubscribers = [];
+
+        _map = map;
+        _cache.clear();
+
+        // Any change to the loaded world can open or close routes
+        if (typeof map.on === 'function') {
+            _unsubscribers.push(map.on('chunkLoad', invalidate));
+            _unsubscribers.push(map.on('chunkUnload', invalidate));
+            _unsubscribers.push(map.on('doorUnlock', invalidate));
+        }
+
+        console.log('Pathfinding initialized');
+        return true;
+    }
+
+    /**
+     * Clear all cached paths
+     * Call when the map changes
+     */
+    function invalidate() {
+        _cache.clear();
+    }
+
+    /**
+     * Find a path between two world positions
+     * @param {Vector3} start - Start position
+     * @param {Vector3} goal - Goal position
+     * @returns {Array|null} Smoothed list of world waypoints, excluding the start, or null if unreachable
+     */
+    function findPath(start, goal) {
+        if (!_map) {
+            console.error('Pathfinding not initialized');
+            return null;
+        }
+
+        const cellSize = _map.getCellSize();
+        const startCell = { x: Math.floor(start.x / cellSize), z: Math.floor(start.z / cellSize) };
+        const goalCell = { x: Math.floor(goal.x / cellSize), z: Math.floor(goal.z / cellSize) };
+
+        // Refuse goals too far away to search cheaply
+        if (Math.abs(goalCell.x - startCell.x) > _settings.maxSearchRadius ||
+            Math.abs(goalCell.z - startCell.z) > _settings.maxSearchRadius) {
+            return null;
+        }
+
+        // Serve repeated queries from the cache
+        const key = `${startCell.x},${startCell.z}>${goalCell.x},${goalCell.z}`;
+        let cells;
+        if (_cache.has(key)) {
+            cells = _cache.get(key);
+
+            // Refresh its position so the least recently used path is evicted first
+            _cache.delete(key);
+            _cache.set(key, cells);
+        } else {
+            cells = _search(startCell, goalCell);
+            _cache.set(key, cells);
+            if (_cache.size > _settings.cacheSize) {
+                _cache.delete(_cache.keys().next().value);
+            }
+        }
+
+        if (!cells) return null;
+
+        // Convert cells to world waypoints at the cell centers, ending on the exact goal
+        const waypoints = cells.map(cell => new Vector3(
+            (cell.x + 0.5) * cellSize,
+            goal.y,
+            (cell.z + 0.5) * cellSize
+        ));
+        if (waypoints.length > 0) {
+            waypoints[waypoints.length - 1] = new Vector3().copy(goal);
+        }
+
+        return waypoints;
+    }
+
+    /**
+     * Run A* between two cells and smooth the result
+     * @param {Object} startCell - Start cell {x, z}
+     * @param {Object} goalCell - Goal cell {x, z}
+     * @returns {Array|null} Smoothed cells excluding the start, or null if unreachable
+     */
+    function _search(startCell, goalCell) {
+        // Fetch the region covering both ends plus a margin for detours
+        const margin = _settings.searchMargin;
+        const region = {
+            x: Math.min(startCell.x, goalCell.x) - margin,
+            z: Math.min(startCell.z, goalCell.z) - margin
+        };
+        region.width = Math.max(startCell.x, goalCell.x) + margin - region.x + 1;
+        region.height = Math.max(startCell.z, goalCell.z) + margin - region.z + 1;
+        region.data = _map.getMapData(region.x, region.z, region.width, region.height);
+
+        if (!_isWalkable(region, goalCell.x, goalCell.z)) {
+            return null;
+        }
+
+        const width = region.width;
+        const toIndex = (x, z) => (z - region.z) * width + (x - region.x);
+        const startIndex = toIndex(startCell.x, startCell.z);
+        const goalIndex = toIndex(goalCell.x, goalCell.z);
+
+        const size = width * region.height;
+        const gScore = new Float64Array(size).fill(Infinity);
+        const cameFrom = new Int32Array(size).fill(-1);
+        const closed = new Uint8Array(size);
+        const open = [];
+
+        gScore[startIndex] = 0;
+        _pushNode(open, { index: startIndex, x: startCell.x, z: startCell.z, f: _heuristic(startCell, goalCell) });
+
+        let iterations = 0;
+        while (open.length > 0 && iterations < _settings.maxIterations) {
+            const current = _popNode(open);
+            if (closed[current.index]) continue;
+            closed[current.index] = 1;
+            iterations++;
+
+            if (current.index === goalIndex) {
+                return _smoothPath(region, _reconstructPath(cameFrom, goalIndex, region));
+            }
+
+            for (const neighbor of NEIGHBORS) {
+                const nx = current.x + neighbor.x;
+                const nz = current.z + neighbor.z;
+                if (!_isWalkable(region, nx, nz)) continue;
+
+                // Don't cut wall corners diagonally
+                if (neighbor.x !== 0 && neighbor.z !== 0 &&
+                    (!_isWalkable(region, current.x + neighbor.x, current.z) ||
+                     !_isWalkable(region, current.x, current.z + neighbor.z))) {
+                    continue;
+                }
+
+                const index = toIndex(nx, nz);
+                if (closed[index]) continue;
+
+                const g = gScore[current.index] + neighbor.cost;
+                if (g < gScore[index]) {
+                    gScore[index] = g;
+                    cameFrom[index] = current.index;
+                    _pushNode(open, { index, x: nx, z: nz, f: g + _heuristic({ x: nx, z: nz }, goalCell) });
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Octile distance between two cells
+     * @param {Object} a - First cell
+     * @param {Object} b - Second cell
+     * @returns {number} Estimated cost
+     */
+    function _heuristic(a, b) {
+        const dx = Math.abs(a.x - b.x);
+        const dz = Math.abs(a.z - b.z);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    }
+
+    /**
+     * Check if a cell inside the search region can be walked through
+     * @param {Object} region - Search region
+     * @param {number} x - Map cell x
+     * @param {number} z - Map cell z
+     * @returns {boolean} True if walkable
+     */
+    function _isWalkable(region, x, z) {
+        const col = x - region.x;
+        const row = z - region.z;
+        if (col < 0 || row < 0 || col >= region.width || row >= region.height) {
+            return false;
+        }
+        const cellType = region.data[row][col];
+        if (cellType === _map.CELL_TYPE.DOOR) {
+            // Locked doors can't be opened along the way
+            const door = _map.getDoor((x + 0.5) * _map.getCellSize(), (z + 0.5) * _map.getCellSize());
+            return !door || !door.lock;
+        }
+        return cellType !== _map.CELL_TYPE.WALL;
+    }
+
+    /**
+     * Walk the parent links back from the goal
+     * @param {Int32Array} cameFrom - Parent index per node
+     * @param {number} goalIndex - Goal node index
+     * @param {Object} region - Search region
+     * @returns {Array} Cells from start to goal, inclusive
+     */
+    function _reconstructPath(cameFrom, goalIndex, region) {
+        const cells = [];
+        for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+            cells.push({
+                x: region.x + index % region.width,
+                z: region.z + Math.floor(index / region.width)
+            });
+        }
+        return cells.reverse();
+    }
+
+    /**
+     * Drop waypoints that can be skipped by walking straight
+     * @param {Object} region - Search region
+     * @param {Array} cells - Cells from start to goal, inclusive
+     * @returns {Array} Smoothed cells excluding the start
+     */
+    function _smoothPath(region, cells) {
+        const smoothed = [];
+        let anchor = 0;
+
+        while (anchor < cells.length - 1) {
+            // Find the furthest cell reachable in a straight line from the anchor
+            let next = anchor + 1;
+            for (let i = cells.length - 1; i > next; i--) {
+                if (_hasClearLine(region, cells[anchor], cells[i])) {
+                    next = i;
+                    break;
+                }
+            }
+
+            smoothed.push(cells[next]);
+            anchor = next;
+        }
+
+        return smoothed;
+    }
+
+    /**
+     * Check that a straight walk between two cell centers stays clear of walls
+     * @param {Object} region - Search region
+     * @param {Object} a - From cell
+     * @param {Object} b - To cell
+     * @returns {boolean} True if the line keeps its clearance
+     */
+    function _hasClearLine(region, a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        if (length === 0) return true;
+
+        // Perpendicular offset for the clearance on both sides of the line
+        const offsetX = -dz / length * _settings.clearance;
+        const offsetZ = dx / length * _settings.clearance;
+        const steps = Math.ceil(length / _settings.sampleStep);
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const x = a.x + 0.5 + dx * t;
+            const z = a.z + 0.5 + dz * t;
+
+            if (!_isWalkable(region, Math.floor(x), Math.floor(z)) ||
+                !_isWalkable(region, Math.floor(x + offsetX), Math.floor(z + offsetZ)) ||
+                !_isWalkable(region, Math.floor(x - offsetX), Math.floor(z - offsetZ))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Push a node onto the open list (binary min-heap on f)
+     * @param {Array} heap - Open list
+     * @param {Object} node - Node to push
+     */
+    function _pushNode(heap, node) {
+        heap.push(node);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].f <= heap[i].f) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Pop the node with the lowest f from the open list
+     * @param {Array} heap - Open list
+     * @returns {Object} Node
+     */
+    function _popNode(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+                if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    // Export the public API
+    MyApp.Pathfinding = {
+        init,
+        findPath,
+        invalidate
+    };
+
+    console.log('Pathfinding module loaded');
+})(window.MyApp || (window.MyApp = {}));
@@ -8,17 +8,32 @@
     const Math3D = MyApp.Math3D;
     const Vector3 = Math3D.Vector3;
     const Ray = Math3D.Ray;
+    const Weapons = MyApp.Weapons;
+    const Health = MyApp.Health.Health;
+
+    // Time to lower the old weapon and raise the new one when switching
+    const WEAPON_SWITCH = {
+        lowerTime: 200, // ms
+        raiseTime: 250  // ms
+    };
+
+    // Footstep noise while moving at full speed, quieter when slower or ducking
+    const FOOTSTEPS = {
+        interval: 400, // ms between steps
+        loudness: 8    // See Noise
+    };
 
     // Private variables
     let _player = {
         // Position and movement
         position: new Vector3(0, 0, 0),
+        previousPosition: new Vector3(0, 0, 0), // Position at the previous tick, for interpolation
         velocity: new Vector3(0, 0, 0),
         direction: new Vector3(0, 0, 1), // Forward vector
         pitch: 0, // Looking up/down
         yaw: 0,   // Looking left/right
 
-        // Physics constants
+        // Physics constants (per 60 Hz tick)
         height: 1.8,
         radius: 0.4,
         speed: 0.08,
@@ -26,80 +41,56 @@
         lookSpeed: 1.0,
         friction: 0.9,
         gravity: 0.01,
+        useRange: 1.5, // How far away doors can be used
+        spawnProtection: 1000, // ms of invulnerability after a reset
 
         // State
-        state: 'alive', // 'alive', 'dead', 'invulnerable'
-        health: 100,
-        maxHealth: 100,
-        armor: 0,
-        maxArmor: 100,
+        state: 'alive', // 'alive', 'dead'
+        vitals: _createVitals(), // Health and armor
         isDucking: false,
         isJumping: false,
         jumpVelocity: 0,
 
         // Weapon state
-        weapon: {
-            type: 'pistol',
-            textureId: 0,
-            ammo: 12,
-            maxAmmo: 12,
-            damage: 25,
-            accuracy: 0.95,
-            range: 50,
-            cooldown: 500, // ms
-            lastFired: 0,
-            isReloading: false,
-            reloadTime: 1500, // ms
-            reloadStartTime: 0,
-            bobbing: 0
+        weapons: { // Owned weapons by type, each with its own magazine
+            fist: _createWeaponState('fist'),
+            pistol: _createWeaponState('pistol')
+        },
+        weapon: null,     // Current weapon, one of weapons
+        lastWeapon: null, // Weapon type to toggle back to
+        weaponSwitch: {
+            state: 'ready', // 'ready', 'lowering', 'raising'
+            target: null,   // Weapon type being switched to
+            startTime: 0
         },
 
         // Inventory & stats
         score: 0,
         kills: 0,
-        totalAmmo: 60,
-        keys: 0,
+        ammo: { bullets: 60, shells: 0, rockets: 0, cells: 0 }, // Reserve ammo by type
+        keys: [], // Keycard colors held
         items: []
     };
+    _player.weapon = _player.weapons.pistol;
+
+    // Whether the use key was held last tick, so holding it uses once
+    let _useHeld = false;
+
+    // Whether the trigger was held last tick, so semi and burst weapons fire once per pull
+    let _triggerHeld = false;
+
+    // Game time of the last footstep noise
+    let _lastFootstepTime = -Infinity;
+
+    // Removes the projectile kill listener from a previous init
+    let _unsubscribeProjectileKill = null;
+
+    // Removes the input listeners from a previous init
+    let _unsubscribers = [];
 
     // Event emitter
     const _events = new Utils.EventEmitter();
 
-    // Available weapons
-    const WEAPONS = {
-        pistol: {
-            textureId: 0,
-            ammo: 12,
-            maxAmmo: 12,
-            damage: 25,
-            accuracy: 0.95,
-            range: 50,
-            cooldown: 500,
-            reloadTime: 1500
-        },
-        shotgun: {
-            textureId: 1,
-            ammo: 8,
-            maxAmmo: 8,
-            damage: 15, // Per pellet, fires multiple
-            accuracy: 0.85,
-            range: 30,
-            pellets: 6,
-            cooldown: 900,
-            reloadTime: 2000
-        },
-        rifle: {
-            textureId: 2,
-            ammo: 30,
-            maxAmmo: 30,
-            damage: 35,
-            accuracy: 0.97,
-            range: 100,
-            cooldown: 100,
-            reloadTime: 2500
-        }
-    };
-
     /**
      * Initialize the player
      * @param {Object} options - Optional configuration
@@ -108,12 +99,35 @@
         // Apply options
         if (options.position) _player.position.copy(options.position);
         if (options.direction) _player.direction.copy(options.direction);
-        if (options.health) _player.health = options.health;
-        if (options.weapon) _player.weapon = { ..._player.weapon, ...options.weapon };
+        _player.previousPosition.copy(_player.position);
+        if (options.health) _player.vitals.health = options.health;
+        if (options.weapon) {
+            // Start with the configured weapon, overriding its defaults
+            const type = options.weapon.type || _player.weapon.type;
+            if (Weapons.get(type)) {
+                if (!_player.weapons[type]) _player.weapons[type] = _createWeaponState(type);
+                Object.assign(_player.weapons[type], options.weapon);
+                _player.weapon = _player.weapons[type];
+            } else {
+                console.error(`Unknown weapon type: ${type}`);
+            }
+        }
+
+        // Drop listeners from a previous init
+        _unsubscribers.forEach(unsubscribe => unsubscribe());
+        _unsubscribers = [];
 
         // Setup input handlers
         _setupInput();
 
+        // Kills made by the player's projectiles count like shots
+        if (_unsubscribeProjectileKill) _unsubscribeProjectileKill();
+        if (MyApp.Projectile) {
+            _unsubscribeProjectileKill = MyApp.Projectile.on('kill', (enemy, projectile) => {
+                if (projectile.faction === 'player') _registerKill(enemy);
+            });
+        }
+
         console.log('Player initialized');
     }
 
@@ -129,12 +143,13 @@
         _player = {
             // Position and movement
             position: new Vector3(0, 0, 0),
+            previousPosition: new Vector3(0, 0, 0),
             velocity: new Vector3(0, 0, 0),
             direction: new Vector3(0, 0, 1),
             pitch: 0,
             yaw: 0,
 
-            // Physics constants
+            // Physics constants (per 60 Hz tick)
             height: 1.8,
             radius: 0.4,
             speed: 0.08,
@@ -142,45 +157,43 @@
             lookSpeed: 1.0,
             friction: 0.9,
             gravity: 0.01,
+            useRange: 1.5,
+            spawnProtection: 1000,
 
             // State
             state: wasAlive ? 'alive' : 'dead',
-            health: 100,
-            maxHealth: 100,
-            armor: 0,
-            maxArmor: 100,
+            vitals: _createVitals(),
             isDucking: false,
             isJumping: false,
             jumpVelocity: 0,
 
             // Weapon state
-            weapon: {
-                type: 'pistol',
-                textureId: 0,
-                ammo: 12,
-                maxAmmo: 12,
-                damage: 25,
-                accuracy: 0.95,
-                range: 50,
-                cooldown: 500,
-                lastFired: 0,
-                isReloading: false,
-                reloadTime: 1500,
-                reloadStartTime: 0,
-                bobbing: 0
+            weapons: {
+                fist: _createWeaponState('fist'),
+                pistol: _createWeaponState('pistol')
+            },
+            weapon: null,
+            lastWeapon: null,
+            weaponSwitch: {
+                state: 'ready',
+                target: null,
+                startTime: 0
             },
 
             // Inventory & stats
             score: 0,
             kills: 0,
-            totalAmmo: 60,
-            keys: 0,
+            ammo: { bullets: 60, shells: 0, rockets: 0, cells: 0 },
+            keys: [],
             items: []
         };
+        _player.weapon = _player.weapons.pistol;
+        _player.vitals.setInvulnerable(_player.spawnProtection);
 
         // Apply options
         if (options.position) _player.position.copy(options.position);
         if (options.direction) _player.direction.copy(options.direction);
+        _player.previousPosition.copy(_player.position);
 
         // Validate position
         if (_player.position.y === undefined || isNaN(_player.position.y)) {
@@ -208,11 +221,12 @@
         }
 
         // Handle mouse look events
-        MyApp.Input.on('mouseLook', (dx, dy) => {
+        _unsubscribers.push(MyApp.Input.on('mouseLook', (dx, dy) => {
             if (_player.state === 'dead') return;
 
             // Update pitch (up/down) with limits
-            _player.pitch -= dy * _player.lookSpeed;
+            // Positive pitch looks down (see Math3D.eulerToDirection), so moving the mouse up lowers it
+            _player.pitch += dy * _player.lookSpeed;
             _player.pitch = Utils.clamp(_player.pitch, -Math.PI / 2.5, Math.PI / 2.5);
 
             // Update yaw (left/right)
@@ -224,21 +238,86 @@
 
             // Update direction vector
             _player.direction = Math3D.eulerToDirection(_player.pitch, _player.yaw);
-        });
+        }));
 
         // Handle shooting
-        MyApp.Input.on('mouseDown', (button) => {
+        _unsubscribers.push(MyApp.Input.on('mouseDown', (button) => {
             if (button === 'left') {
                 shoot();
             }
-        });
+        }));
 
-        // Handle reload action
-        MyApp.Input.on('keyDown', (key) => {
+        // Handle reload and weapon selection keys
+        _unsubscribers.push(MyApp.Input.on('keyDown', (key) => {
             if (key === 'r') {
                 reload();
+            } else if (key === 'x') {
+                // Toggle back to the previous weapon
+                if (_player.lastWeapon) changeWeapon(_player.lastWeapon);
+            } else if (key >= '1' && key <= '9') {
+                _selectSlot(parseInt(key, 10));
             }
+        }));
+
+        // Handle weapon cycling
+        _unsubscribers.push(MyApp.Input.on('mouseWheel', (delta) => {
+            if (delta !== 0) cycleWeapon(delta);
+        }));
+    }
+
+    /**
+     * Create the player's health component
+     * @returns {Health} Health component reporting damage and death as player events
+     */
+    function _createVitals() {
+        const vitals = new Health({
+            maxHealth: 100,
+            maxArmor: 100,
+            armorAbsorption: 0.6 // Armor absorbs 60% of damage
+        });
+
+        vitals.on('hurt', (amount, info) => {
+            // Calculate direction of damage for screen effect
+            const damageDirection = new Vector3()
+                .copy(info.source || _player.position)
+                .subtract(_player.position)
+                .normalize();
+
+            // Emit damage event
+            _events.emit('damage', amount, damageDirection);
+        });
+
+        vitals.on('death', () => {
+            _player.state = 'dead';
+
+            // Emit death event
+            _events.emit('death');
         });
+
+        return vitals;
+    }
+
+    /**
+     * Create the state for a newly acquired weapon
+     * @param {string} weaponType - Type of weapon
+     * @returns {Object} Weapon state with a full magazine
+     */
+    function _createWeaponState(weaponType) {
+        const definition = Weapons.get(weaponType);
+        return {
+            ...definition,
+            type: weaponType,
+            ammo: definition.magazineSize,
+            maxAmmo: definition.magazineSize,
+            burstRemaining: 0, // Shots left in the current burst
+            lastFired: -Infinity, // Never fired, so the first shot isn't held back by the cooldown
+            isReloading: false,
+            reloadStartTime: 0,
+            bobbing: 0,
+            lowered: 0, // 0 when raised, 1 when fully lowered
+            isSwinging: false, // Melee swing waiting to land
+            swing: 0 // Melee swing animation progress (0-1)
+        };
     }
 
     /**
@@ -248,6 +327,9 @@
      * @param {Array} entities - Game entities for collision
      */
     function update(deltaTime, map, entities) {
+        // Remember where this tick started so rendering can interpolate
+        _player.previousPosition.copy(_player.position);
+
         if (_player.state === 'dead') {
             // Dead players don't move
             return;
@@ -259,18 +341,29 @@
         // Update weapon state
         _updateWeapon(deltaTime);
 
+        // Use doors on a fresh press of the use key
+        const using = MyApp.Input ? MyApp.Input.isUsing() : false;
+        if (using && !_useHeld) {
+            use(map);
+        }
+        _useHeld = using;
+
         // Check for entity collisions
         _checkEntityCollisions(entities);
 
-        // Auto-reload if empty
+        // Auto-reload if empty, or fall back to another weapon when out of ammo
         if (_player.weapon.ammo === 0 && !_player.weapon.isReloading) {
-            reload();
+            if (_player.ammo[_player.weapon.ammoType] > 0) {
+                reload();
+            } else if (_player.weaponSwitch.state === 'ready') {
+                _switchFromEmptyWeapon();
+            }
         }
 
         // Weapon bobbing based on movement
         const speed = _player.velocity.length();
         if (speed > 0.01) {
-            _player.weapon.bobbing = 3 * Math.sin(Date.now() / 150) * speed / _player.speed;
+            _player.weapon.bobbing = 3 * Math.sin(Utils.gameTime() / 150) * speed / _player.speed;
         } else {
             _player.weapon.bobbing = 0;
         }
@@ -335,6 +428,29 @@
         // Emit movement event for sound effects, etc.
         if (_player.velocity.lengthSquared() > 0.001) {
             _events.emit('move', _player.velocity.length());
+            _makeFootstep();
+        }
+    }
+
+    /**
+     * Make footstep noise every few hundred ms while moving
+     */
+    function _makeFootstep() {
+        const now = Utils.gameTime();
+        if (now - _lastFootstepTime < FOOTSTEPS.interval) return;
+        _lastFootstepTime = now;
+
+        const pace = Math.min(1, _player.velocity.length() / _player.speed);
+        _makeNoise(FOOTSTEPS.loudness * pace * (_player.isDucking ? 0.5 : 1));
+    }
+
+    /**
+     * Make a noise enemies can hear
+     * @param {number} loudness - Cells it carries through open space
+     */
+    function _makeNoise(loudness) {
+        if (MyApp.Noise) {
+            MyApp.Noise.emit(_player.position, loudness, 'player');
         }
     }
 
@@ -343,23 +459,46 @@
      * @param {number} deltaTime - Time since last update
      */
     function _updateWeapon(deltaTime) {
-        const now = Utils.now();
+        const now = Utils.gameTime();
 
-        // Check for shooting input
-        if (MyApp.Input.isShooting()) {
+        // Check for shooting input, holding the trigger only keeps automatic weapons firing
+        const triggerDown = MyApp.Input.isShooting();
+        if (triggerDown && (!_triggerHeld || _player.weapon.fireMode === Weapons.FIRE_MODE.AUTO)) {
             shoot();
         }
+        _triggerHeld = triggerDown;
+
+        // Fire the rest of a burst
+        if (_player.weapon.burstRemaining > 0 &&
+            now - _player.weapon.lastFired >= _player.weapon.burstDelay) {
+            _continueBurst(now);
+        }
 
         // Check for reload input
         if (MyApp.Input.isReloading()) {
             reload();
         }
 
+        // Land a melee swing once it has wound up
+        if (_player.weapon.isSwinging && now - _player.weapon.lastFired >= _player.weapon.swingTime) {
+            _player.weapon.isSwinging = false;
+            _resolveMelee(_player.weapon);
+        }
+
+        // Melee swings animate until the weapon can swing again
+        if (_player.weapon.melee) {
+            const sinceSwing = now - _player.weapon.lastFired;
+            _player.weapon.swing = sinceSwing < _player.weapon.cooldown ? sinceSwing / _player.weapon.cooldown : 0;
+        }
+
+        // Handle raising and lowering while switching weapons
+        _updateWeaponSwitch(now);
+
         // Handle reload completion
         if (_player.weapon.isReloading) {
             if (now - _player.weapon.reloadStartTime >= _player.weapon.reloadTime) {
                 // Reload complete
-                _completeReload();
+                _completeReload(now);
             }
         }
 
@@ -369,6 +508,58 @@
         }
     }
 
+    /**
+     * Use whatever is in front of the player (opens doors)
+     * @param {Object} map - Map object
+     * @returns {boolean} True if something was used
+     */
+    function use(map = MyApp.Map) {
+        if (!map || _player.state === 'dead') return false;
+
+        // Look straight ahead along the floor
+        const ray = new Ray(
+            new Vector3().copy(_player.position),
+            new Vector3(Math.sin(_player.yaw), 0, Math.cos(_player.yaw))
+        );
+
+        const hit = map.castRay(ray, _player.useRange);
+        if (!hit || !hit.door) return false;
+
+        const cellSize = map.getCellSize();
+        const doorX = (hit.mapX + 0.5) * cellSize;
+        const doorZ = (hit.mapZ + 0.5) * cellSize;
+        const door = map.getDoor(doorX, doorZ);
+
+        // Locked doors need the matching keycard
+        if (door && door.lock && !hasKey(door.lock)) {
+            _events.emit('doorLocked', door.lock);
+            return false;
+        }
+
+        const used = map.openDoor(doorX, doorZ, _player.keys);
+        if (used) {
+            _events.emit('use', hit);
+        }
+        return used;
+    }
+
+    /**
+     * Check if the player holds a keycard
+     * @param {string} color - Key color
+     * @returns {boolean} True if held
+     */
+    function hasKey(color) {
+        return _player.keys.includes(color);
+    }
+
+    /**
+     * Drop all held keycards
+     * Keycards only open the doors of the level they were found on
+     */
+    function clearKeys() {
+        _player.keys = [];
+    }
+
     /**
      * Check for collisions with game entities
      * @param {Array} entities - Game entities
@@ -377,8 +568,8 @@
         if (!entities) return;
 
         for (const entity of entities) {
-            // Skip non-collidable entities
-            if (!entity.collidable) continue;
+            // Skip non-collidable and used up entities
+            if (!entity.collidable || !entity.active) continue;
 
             // Calculate distance from entity center
             const dx = entity.position.x - _player.position.x;
@@ -403,160 +594,300 @@
                     addArmor(entity.amount || 25);
                     entity.active = false;
                 } else if (entity.type === 'ammo') {
-                    // Ammo pickup
-                    addAmmo(entity.amount || 20);
+                    // Ammo pickup, for the current gun unless it names an ammo type
+                    addAmmo(entity.amount || 20, entity.ammoType);
                     entity.active = false;
                 } else if (entity.type === 'weapon') {
                     // Weapon pickup
-                    changeWeapon(entity.weaponType);
+                    giveWeapon(entity.weaponType);
                     entity.active = false;
                 } else if (entity.type === 'key') {
-                    // Key pickup
-                    _player.keys++;
+                    // Keycard pickup
+                    if (!hasKey(entity.color)) {
+                        _player.keys.push(entity.color);
+                        _events.emit('keyPickup', entity.color);
+                    }
                     entity.active = false;
                 }
+
+                // Anything used up was picked up
+                if (!entity.active) {
+                    _events.emit('pickup', entity.type, entity);
+                }
             }
         }
     }
 
     /**
-     * Shoot the current weapon
+     * Pull the trigger of the current weapon
+     * @returns {boolean} True if the first shot hit something, or for melee weapons if a swing started
      */
     function shoot() {
-        const now = Utils.now();
+        const now = Utils.gameTime();
+        const weapon = _player.weapon;
 
         // Check if can shoot
-        if (_player.weapon.isReloading ||
-            _player.weapon.ammo <= 0 ||
-            now - _player.weapon.lastFired < _player.weapon.cooldown ||
+        if (weapon.burstRemaining > 0 ||
+            (!weapon.melee && weapon.ammo <= 0) ||
+            now - weapon.lastFired < weapon.cooldown ||
+            _player.weaponSwitch.state !== 'ready' ||
             _player.state === 'dead') {
             return false;
         }
 
+        // Rounds already loaded by a shell-by-shell reload can be fired right away
+        if (weapon.isReloading) {
+            if (weapon.reloadType !== Weapons.RELOAD_TYPE.SHELL) return false;
+            weapon.isReloading = false;
+        }
+
+        if (weapon.melee) {
+            // The hit lands once the swing has wound up
+            weapon.lastFired = now;
+            weapon.isSwinging = true;
+            _events.emit('shoot', weapon.type);
+            _makeNoise(weapon.noise);
+            return true;
+        }
+
+        if (weapon.fireMode === Weapons.FIRE_MODE.BURST) {
+            weapon.burstRemaining = weapon.burstCount - 1;
+        }
+
+        return _fire(now);
+    }
+
+    /**
+     * Hit the closest enemy in the cone in front of the player
+     * Enemies hit from behind take extra damage, survivors are staggered
+     * @param {Object} weapon - Melee weapon
+     * @returns {boolean} True if something was hit
+     */
+    function _resolveMelee(weapon) {
+        if (_player.state === 'dead' || !MyApp.Enemy) return false;
+
+        const map = MyApp.Map;
+        const forwardX = Math.sin(_player.yaw);
+        const forwardZ = Math.cos(_player.yaw);
+        const minCos = Math.cos(weapon.meleeAngle);
+
+        let target = null;
+        let targetDistance = Infinity;
+
+        for (const enemy of MyApp.Enemy.getActiveEnemies()) {
+            if (enemy.isDead()) continue;
+
+            const dx = enemy.position.x - _player.position.x;
+            const dz = enemy.position.z - _player.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance > weapon.range + enemy.radius || distance >= targetDistance) continue;
+
+            if (distance > 0) {
+                // Inside the cone
+                if ((dx * forwardX + dz * forwardZ) / distance < minCos) continue;
+
+                // Not through a wall
+                const ray = new Ray(new Vector3().copy(_player.position), new Vector3(dx, 0, dz).normalize());
+                if (map && map.castRay(ray, distance)) continue;
+            }
+
+            target = enemy;
+            targetDistance = distance;
+        }
+
+        if (!target) return false;
+
+        // From behind when the enemy faces away from the player
+        const toTarget = new Vector3(
+            target.position.x - _player.position.x, 0, target.position.z - _player.position.z
+        ).normalize();
+        const fromBehind = target.direction.x * toTarget.x + target.direction.z * toTarget.z > 0.5;
+        const amount = weapon.damage * (fromBehind ? weapon.backstabMultiplier : 1);
+
+        const killed = target.damage(amount, _player.position, null, weapon.damageType);
+        if (killed) {
+            _registerKill(target);
+        } else if (weapon.stagger > 0) {
+            target.stagger(weapon.stagger);
+        }
+
+        _events.emit('meleeHit', target, fromBehind);
+        return true;
+    }
+
+    /**
+     * Fire the next shot of a burst
+     * @param {number} now - Current game time
+     */
+    function _continueBurst(now) {
+        const weapon = _player.weapon;
+
+        // Bursts stop early when the magazine runs dry or the weapon is put away
+        if (weapon.ammo <= 0 || weapon.isReloading ||
+            _player.weaponSwitch.state !== 'ready' || _player.state === 'dead') {
+            weapon.burstRemaining = 0;
+            return;
+        }
+
+        weapon.burstRemaining--;
+        _fire(now);
+    }
+
+    /**
+     * Fire one shot of the current weapon, one ray per pellet
+     * @param {number} now - Current game time
+     * @returns {boolean} True if any pellet hit something
+     */
+    function _fire(now) {
+        const weapon = _player.weapon;
+
         // Update weapon state
-        _player.weapon.lastFired = now;
-        _player.weapon.ammo--;
-        _player.weapon.isShooting = true;
+        weapon.lastFired = now;
+        weapon.ammo--;
+        weapon.isShooting = true;
 
         // Emit shoot event
-        _events.emit('shoot', _player.weapon.type);
-
-        // Handle different weapon types
-        if (_player.weapon.type === 'shotgun') {
-            // Shotgun fires multiple pellets
-            const pellets = _player.weapon.pellets || 6;
-            let hits = 0;
-
-            for (let i = 0; i < pellets; i++) {
-                // Add random spread to direction
-                const spread = (1 - _player.weapon.accuracy) * 0.05;
-                const dir = new Vector3().copy(_player.direction);
-
-                // Random spread
-                dir.x += (Math.random() - 0.5) * spread;
-                dir.y += (Math.random() - 0.5) * spread;
-                dir.z += (Math.random() - 0.5) * spread;
-                dir.normalize();
-
-                // Create ray and check for hits
-                const ray = new Ray(_player.position, dir);
-                if (_checkShootHit(ray, _player.weapon.range, _player.weapon.damage)) {
-                    hits++;
-                }
+        _events.emit('shoot', weapon.type);
+        _makeNoise(weapon.noise);
+
+        let hits = 0;
+        for (let i = 0; i < weapon.pellets; i++) {
+            const direction = _getSpreadDirection(weapon.spread);
+
+            if (weapon.projectileSpeed > 0) {
+                _launchProjectile(direction, weapon);
+            } else if (_checkShootHit(new Ray(_player.position, direction), weapon)) {
+                hits++;
             }
+        }
 
-            return hits > 0;
-        } else {
-            // Regular gun shoots a single bullet
-            // Apply accuracy - slight deviation from center
-            const spread = (1 - _player.weapon.accuracy) * 0.02;
-            const dir = new Vector3().copy(_player.direction);
+        // Kick the view up
+        if (weapon.recoil > 0) {
+            _player.pitch = Utils.clamp(_player.pitch - weapon.recoil, -Math.PI / 2.5, Math.PI / 2.5);
+            _player.direction = Math3D.eulerToDirection(_player.pitch, _player.yaw);
+        }
+
+        return hits > 0;
+    }
 
-            // Random spread
-            dir.x += (Math.random() - 0.5) * spread;
-            dir.y += (Math.random() - 0.5) * spread;
-            dir.z += (Math.random() - 0.5) * spread;
-            dir.normalize();
+    /**
+     * Launch a projectile from the current weapon
+     * @param {Vector3} direction - Shot direction
+     * @param {Object} weapon - Weapon that fired it
+     */
+    function _launchProjectile(direction, weapon) {
+        if (!MyApp.Projectile) return;
+
+        // Projectiles travel along the floor plane, like the walls they collide with
+        const velocity = new Vector3(direction.x, 0, direction.z)
+            .normalize()
+            .multiplyScalar(weapon.projectileSpeed);
+
+        MyApp.Projectile.spawn({
+            position: _player.position,
+            velocity,
+            owner: _player,
+            faction: 'player',
+            damage: weapon.damage,
+            damageType: weapon.damageType,
+            splashRadius: weapon.splashRadius,
+            splashDamage: weapon.splashDamage,
+            knockback: weapon.knockback,
+            textureId: weapon.projectileTextureId
+        });
+    }
 
-            // Create ray and check for hits
-            const ray = new Ray(_player.position, dir);
-            return _checkShootHit(ray, _player.weapon.range, _player.weapon.damage);
+    /**
+     * Pick a random direction inside the aiming cone
+     * @param {number} spread - Cone half-angle in radians
+     * @returns {Vector3} Shot direction
+     */
+    function _getSpreadDirection(spread) {
+        if (spread <= 0) {
+            return new Vector3().copy(_player.direction);
         }
+
+        // Uniform point on the cone's cross-section
+        const { pitch, yaw } = Math3D.directionToEuler(_player.direction);
+        const radius = spread * Math.sqrt(Utils.random('weapons'));
+        const angle = Utils.random('weapons') * Math.PI * 2;
+
+        return Math3D.eulerToDirection(pitch + radius * Math.sin(angle), yaw + radius * Math.cos(angle));
     }
 
     /**
      * Check if a shot hits anything
      * @param {Ray} ray - Ray representing the shot
-     * @param {number} range - Maximum range
-     * @param {number} damage - Damage amount
+     * @param {Object} weapon - Weapon that fired it
      * @returns {boolean} True if hit something
      */
-    function _checkShootHit(ray, range, damage) {
+    function _checkShootHit(ray, weapon) {
+        const range = weapon.range;
+
         // Check for wall hit
         const map = MyApp.Map;
         const mapHit = map.castRay(ray, range);
         let hitDistance = mapHit ? mapHit.distance : range;
 
-        // Check for entity hits
-        let entityHit = false;
+        // Find the closest enemy hitbox in front of the wall
+        let target = null;
+        let targetHit = null;
         const enemies = MyApp.Enemy.getActiveEnemies();
 
         for (const enemy of enemies) {
             // Skip dead enemies
             if (enemy.isDead()) continue;
 
-            // Calculate closest point on ray to enemy
-            const toEnemy = new Vector3().copy(enemy.position).subtract(ray.origin);
-            const rayLength = ray.direction.dot(toEnemy);
-
-            // Skip if behind the ray or beyond range
-            if (rayLength < 0 || rayLength > hitDistance) continue;
-
-            // Calculate closest point on ray
-            const closestPoint = new Vector3()
-                .copy(ray.origin)
-                .add(new Vector3().copy(ray.direction).multiplyScalar(rayLength));
-
-            // Check if within enemy's radius
-            const distToEnemy = closestPoint.distanceTo(enemy.position);
-            if (distToEnemy <= enemy.radius) {
-                // Hit enemy
-                entityHit = true;
+            const hit = enemy.intersectRay(ray, hitDistance);
+            if (hit) {
+                target = enemy;
+                targetHit = hit;
+                hitDistance = hit.distance;
+            }
+        }
 
-                // Calculate damage with distance falloff
-                const falloff = 1 - (rayLength / range);
-                const actualDamage = Math.max(1, Math.floor(damage * falloff));
+        if (!target) return false;
 
-                // Apply damage to enemy
-                const killed = enemy.damage(actualDamage, closestPoint);
+        // Calculate damage with distance falloff, the enemy scales it by hitbox
+        const falloff = Weapons.sampleFalloff(weapon.falloff, targetHit.distance / range);
+        const actualDamage = Math.max(1, Math.floor(weapon.damage * falloff));
 
-                // Update player stats
-                if (killed) {
-                    _player.kills++;
-                    _player.score += 100;
+        // Apply damage to enemy
+        const killed = target.damage(actualDamage, targetHit.point, targetHit.hitbox, weapon.damageType);
+        if (killed) {
+            _registerKill(target, targetHit.hitbox);
+        }
 
-                    // Emit kill event
-                    _events.emit('kill', enemy);
-                }
+        _events.emit('hit', target, targetHit.hitbox.name);
+        return true;
+    }
 
-                // Only hit the closest enemy
-                hitDistance = rayLength;
-            }
-        }
+    /**
+     * Credit the player with a kill
+     * @param {Object} enemy - Enemy killed
+     * @param {Object} hitbox - Hitbox the killing blow landed on, or null
+     */
+    function _registerKill(enemy, hitbox = null) {
+        // Update player stats, with a bonus for kills like headshots
+        _player.kills++;
+        _player.score += 100 + (hitbox ? hitbox.bonusScore : 0);
 
-        return entityHit;
+        // Emit kill event with the hit location
+        _events.emit('kill', enemy, hitbox ? hitbox.name : null);
     }
 
     /**
      * Reload the current weapon
      */
     function reload() {
-        const now = Utils.now();
+        const now = Utils.gameTime();
 
         // Check if can reload
-        if (_player.weapon.isReloading ||
+        if (_player.weapon.melee ||
+            _player.weapon.isReloading ||
+            _player.weaponSwitch.state !== 'ready' ||
             _player.weapon.ammo >= _player.weapon.maxAmmo ||
-            _player.totalAmmo <= 0 ||
+            _player.ammo[_player.weapon.ammoType] <= 0 ||
             _player.state === 'dead') {
             return false;
         }
@@ -572,16 +903,27 @@
     }
 
     /**
-     * Complete the reload process
+     * Complete a reload step
+     * Magazine reloads fill up at once, shell reloads load one round per step
+     * @param {number} now - Current game time
      */
-    function _completeReload() {
+    function _completeReload(now) {
+        const weapon = _player.weapon;
+        const perShell = weapon.reloadType === Weapons.RELOAD_TYPE.SHELL;
+
         // Calculate ammo to reload
-        const ammoNeeded = _player.weapon.maxAmmo - _player.weapon.ammo;
-        const ammoToUse = Math.min(ammoNeeded, _player.totalAmmo);
+        const ammoNeeded = perShell ? 1 : weapon.maxAmmo - weapon.ammo;
+        const ammoToUse = Math.min(ammoNeeded, _player.ammo[weapon.ammoType]);
 
         // Add ammo to weapon, remove from reserve
-        _player.weapon.ammo += ammoToUse;
-        _player.totalAmmo -= ammoToUse;
+        weapon.ammo += ammoToUse;
+        _player.ammo[weapon.ammoType] -= ammoToUse;
+
+        // Keep loading shells until full or out of reserve
+        if (perShell && weapon.ammo < weapon.maxAmmo && _player.ammo[weapon.ammoType] > 0) {
+            weapon.reloadStartTime = now;
+            return;
+        }
 
         // Reset reloading state
         _player.weapon.isReloading = false;
@@ -591,49 +933,221 @@
     }
 
     /**
-     * Change to a different weapon
+     * Start switching to an owned weapon
+     * The current weapon is lowered, then the new one raised before it can fire
      * @param {string} weaponType - Type of weapon to switch to
+     * @returns {boolean} True if the switch started
      */
     function changeWeapon(weaponType) {
         // Check if weapon type exists
-        if (!WEAPONS[weaponType]) {
+        if (!Weapons.get(weaponType)) {
             console.error(`Unknown weapon type: ${weaponType}`);
             return false;
         }
 
-        // Check if already using this weapon
-        if (_player.weapon.type === weaponType) {
-            // Just add ammo
-            addAmmo(20);
-            return true;
+        if (!_player.weapons[weaponType] || _player.state === 'dead') {
+            return false;
         }
 
-        // Store old weapon data
-        const oldType = _player.weapon.type;
+        const weaponSwitch = _player.weaponSwitch;
+        const currentTarget = weaponSwitch.state === 'lowering' ? weaponSwitch.target : _player.weapon.type;
+        if (currentTarget === weaponType) {
+            return false;
+        }
 
-        // Change to new weapon
-        _player.weapon = {
-            ..._player.weapon,
-            ...WEAPONS[weaponType],
-            type: weaponType,
-            isReloading: false
-        };
+        const now = Utils.gameTime();
+        if (weaponSwitch.state === 'raising') {
+            // Lower from wherever the current raise got to
+            weaponSwitch.startTime = now - _player.weapon.lowered * WEAPON_SWITCH.lowerTime;
+        } else if (weaponSwitch.state === 'ready') {
+            weaponSwitch.startTime = now;
+        }
+        weaponSwitch.state = 'lowering';
+        weaponSwitch.target = weaponType;
+
+        // Switching away abandons a reload, burst or swing in progress
+        _player.weapon.isReloading = false;
+        _player.weapon.burstRemaining = 0;
+        _player.weapon.isSwinging = false;
+
+        // Emit weapon change event with the loadout so the HUD can show it
+        _events.emit('weaponChange', weaponType, _player.weapon.type, getLoadout());
+
+        return true;
+    }
+
+    /**
+     * Switch to the next or previous owned weapon, in slot order
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {boolean} True if the switch started
+     */
+    function cycleWeapon(direction) {
+        const owned = _getOwnedWeapons();
+        if (owned.length < 2) return false;
+
+        const weaponSwitch = _player.weaponSwitch;
+        const currentType = weaponSwitch.state === 'lowering' ? weaponSwitch.target : _player.weapon.type;
+        const index = owned.indexOf(currentType);
+        const step = direction > 0 ? 1 : -1;
+
+        return changeWeapon(owned[(index + step + owned.length) % owned.length]);
+    }
+
+    /**
+     * Switch to the weapon in a slot, cycling when several share it
+     * @param {number} slot - Slot number (1-9)
+     * @returns {boolean} True if the switch started
+     */
+    function _selectSlot(slot) {
+        const inSlot = _getOwnedWeapons().filter(type => Weapons.get(type).slot === slot);
+        if (inSlot.length === 0) return false;
+
+        const weaponSwitch = _player.weaponSwitch;
+        const currentType = weaponSwitch.state === 'lowering' ? weaponSwitch.target : _player.weapon.type;
+        const index = inSlot.indexOf(currentType);
+
+        return changeWeapon(inSlot[(index + 1) % inSlot.length]);
+    }
+
+    /**
+     * Get the owned weapon types in slot order
+     * @returns {Array} Weapon types
+     */
+    function _getOwnedWeapons() {
+        return Object.keys(_player.weapons)
+            .sort((a, b) => Weapons.get(a).slot - Weapons.get(b).slot);
+    }
+
+    /**
+     * Switch away from a weapon that is out of ammo
+     * Picks the highest slot weapon with ammo left, avoiding splash weapons, else a melee weapon
+     * @returns {boolean} True if the switch started
+     */
+    function _switchFromEmptyWeapon() {
+        const owned = _getOwnedWeapons().reverse();
+        const loaded = owned.filter(type => {
+            const weapon = _player.weapons[type];
+            return !weapon.melee && (weapon.ammo > 0 || _player.ammo[weapon.ammoType] > 0);
+        });
+
+        const fallback = loaded.find(type => _player.weapons[type].splashRadius === 0) ||
+            loaded[0] ||
+            owned.find(type => _player.weapons[type].melee);
+
+        return fallback ? changeWeapon(fallback) : false;
+    }
+
+    /**
+     * Advance the lower/raise animation of a weapon switch
+     * @param {number} now - Current game time
+     */
+    function _updateWeaponSwitch(now) {
+        const weaponSwitch = _player.weaponSwitch;
+
+        if (weaponSwitch.state === 'lowering') {
+            const progress = (now - weaponSwitch.startTime) / WEAPON_SWITCH.lowerTime;
+            _player.weapon.lowered = Math.min(1, progress);
+
+            if (progress >= 1) {
+                // Swap weapons while out of view
+                const oldType = _player.weapon.type;
+                if (weaponSwitch.target !== oldType) {
+                    _player.lastWeapon = oldType;
+                    _player.weapon = _player.weapons[weaponSwitch.target];
+                }
+                _player.weapon.lowered = 1;
+
+                weaponSwitch.state = 'raising';
+                weaponSwitch.startTime = now;
+            }
+        } else if (weaponSwitch.state === 'raising') {
+            const progress = (now - weaponSwitch.startTime) / WEAPON_SWITCH.raiseTime;
+            _player.weapon.lowered = Math.max(0, 1 - progress);
+
+            if (progress >= 1) {
+                weaponSwitch.state = 'ready';
+                weaponSwitch.target = null;
+                _events.emit('weaponReady', _player.weapon.type);
+            }
+        }
+    }
+
+    /**
+     * Pick up a weapon
+     * New weapons are added to the inventory and switched to; weapons already owned give their ammo
+     * @param {string} weaponType - Type of weapon
+     * @returns {boolean} True if picked up
+     */
+    function giveWeapon(weaponType) {
+        if (!Weapons.get(weaponType)) {
+            console.error(`Unknown weapon type: ${weaponType}`);
+            return false;
+        }
+
+        if (_player.weapons[weaponType]) {
+            // Already owned, take its magazine as reserve ammo
+            const definition = Weapons.get(weaponType);
+            if (definition.melee) return false;
+
+            return addAmmo(definition.magazineSize, definition.ammoType);
+        }
 
-        // Emit weapon change event
-        _events.emit('weaponChange', _player.weapon.type, oldType);
+        _player.weapons[weaponType] = _createWeaponState(weaponType);
 
+        // Emit weapon pickup event
+        _events.emit('weaponPickup', weaponType);
+
+        changeWeapon(weaponType);
         return true;
     }
 
+    /**
+     * Get the ammo type untyped ammo pickups go to
+     * @returns {string|null} Ammo type
+     */
+    function _getDefaultAmmoType() {
+        if (!_player.weapon.melee) return _player.weapon.ammoType;
+
+        const gun = _getOwnedWeapons().reverse().find(type => !_player.weapons[type].melee);
+        return gun ? _player.weapons[gun].ammoType : null;
+    }
+
+    /**
+     * Get the owned weapons and ammo for display
+     * @returns {Object} Loadout with weapons in slot order, the current weapon and ammo pools
+     */
+    function getLoadout() {
+        return {
+            weapons: _getOwnedWeapons().map(type => ({
+                type,
+                name: _player.weapons[type].name,
+                slot: _player.weapons[type].slot,
+                ammo: _player.weapons[type].ammo,
+                maxAmmo: _player.weapons[type].maxAmmo,
+                ammoType: _player.weapons[type].ammoType
+            })),
+            current: _player.weaponSwitch.state === 'lowering' ? _player.weaponSwitch.target : _player.weapon.type,
+            ammo: { ..._player.ammo }
+        };
+    }
+
     /**
      * Add ammo to the player's inventory
      * @param {number} amount - Amount of ammo to add
+     * @param {string} ammoType - Ammo type, defaults to the current weapon's, or the best gun's when holding a melee weapon
      */
-    function addAmmo(amount) {
-        _player.totalAmmo += amount;
+    function addAmmo(amount, ammoType = _getDefaultAmmoType()) {
+        const ammoDefinition = Weapons.getAmmoType(ammoType);
+        if (!ammoDefinition) {
+            console.error(`Unknown ammo type: ${ammoType}`);
+            return false;
+        }
+
+        const oldAmmo = _player.ammo[ammoType] || 0;
+        _player.ammo[ammoType] = Math.min(oldAmmo + amount, ammoDefinition.max);
 
         // Emit ammo pickup event
-        _events.emit('ammoPickup', amount);
+        _events.emit('ammoPickup', _player.ammo[ammoType] - oldAmmo, ammoType);
 
         return true;
     }
@@ -642,45 +1156,16 @@
      * Deal damage to the player
      * @param {number} amount - Amount of damage
      * @param {Vector3} source - Source of the damage
+     * @param {string} damageType - Damage type (see Health.DAMAGE_TYPE)
      * @returns {boolean} True if player died
      */
-    function damage(amount, source) {
+    function damage(amount, source, damageType = null) {
         // Check if can take damage
-        if (_player.state === 'invulnerable' || _player.state === 'dead') {
+        if (_player.state === 'dead') {
             return false;
         }
 
-        // Calculate direction of damage for screen effect
-        const damageDirection = new Vector3()
-            .copy(source)
-            .subtract(_player.position)
-            .normalize();
-
-        // Try to absorb with armor first
-        if (_player.armor > 0) {
-            const armorAbsorption = 0.6; // Armor absorbs 60% of damage
-            const absorbedDamage = Math.min(_player.armor, amount * armorAbsorption);
-            _player.armor -= absorbedDamage;
-            amount -= absorbedDamage;
-        }
-
-        // Apply remaining damage to health
-        _player.health -= amount;
-
-        // Emit damage event
-        _events.emit('damage', amount, damageDirection);
-
-        // Check if dead
-        if (_player.health <= 0) {
-            _player.health = 0;
-            _player.state = 'dead';
-
-            // Emit death event
-            _events.emit('death');
-            return true;
-        }
-
-        return false;
+        return _player.vitals.damage(amount, { type: damageType, source });
     }
 
     /**
@@ -688,12 +1173,11 @@
      * @param {number} amount - Amount to heal
      */
     function heal(amount) {
-        const oldHealth = _player.health;
-        _player.health = Math.min(_player.health + amount, _player.maxHealth);
+        const healed = _player.vitals.heal(amount);
 
         // Emit heal event if health actually increased
-        if (_player.health > oldHealth) {
-            _events.emit('heal', _player.health - oldHealth);
+        if (healed > 0) {
+            _events.emit('heal', healed);
         }
 
         return true;
@@ -704,12 +1188,11 @@
      * @param {number} amount - Amount of armor to add
      */
     function addArmor(amount) {
-        const oldArmor = _player.armor;
-        _player.armor = Math.min(_player.armor + amount, _player.maxArmor);
+        const added = _player.vitals.addArmor(amount);
 
         // Emit armor pickup event if armor actually increased
-        if (_player.armor > oldArmor) {
-            _events.emit('armorPickup', _player.armor - oldArmor);
+        if (added > 0) {
+            _events.emit('armorPickup', added);
         }
 
         return true;
@@ -741,7 +1224,14 @@
      * @returns {Object} Player state
      */
     function getState() {
-        return { ..._player };
+        const vitals = _player.vitals;
+        return {
+            ..._player,
+            health: vitals.health,
+            maxHealth: vitals.maxHealth,
+            armor: vitals.armor,
+            maxArmor: vitals.maxArmor
+        };
     }
 
     /**
@@ -765,7 +1255,13 @@
         addScore,
         shoot,
         reload,
+        use,
+        hasKey,
+        clearKeys,
         changeWeapon,
+        cycleWeapon,
+        giveWeapon,
+        getLoadout,
         isDead,
         getState,
         on
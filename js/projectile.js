@@ -0,0 +1,418 @@
+/**
+ * Projectile module for the FPS game
+ * Handles travelling projectiles, their collisions, lifetime and explosions
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+    const Math3D = MyApp.Math3D;
+    const Vector3 = Math3D.Vector3;
+    const Ray = Math3D.Ray;
+    const DAMAGE_TYPE = MyApp.Health.DAMAGE_TYPE;
+
+    // Private variables
+    let _projectiles = [];
+    let _explosions = []; // Explosion sprites still playing
+
+    // Projectile defaults
+    const _settings = {
+        maxProjectiles: 100,
+        lifetime: 3000, // ms
+        radius: 0.15,   // Collision radius
+        scale: 0.3,     // Sprite size relative to a cell
+        explosionTime: 300,           // ms the explosion sprite plays for
+        explosionTextures: [3, 4, 5], // Effect sprite frames, in order
+        explosionNoise: 30            // Loudness of an explosion, see Noise
+    };
+
+    // Event emitter
+    const _events = new Utils.EventEmitter();
+
+    /**
+     * Initialize the projectile system
+     * @param {Object} options - Optional configuration
+     */
+    function init(options = {}) {
+        if (options.settings) Object.assign(_settings, options.settings);
+
+        _projectiles = [];
+        _explosions = [];
+        console.log('Projectile system initialized');
+    }
+
+    /**
+     * Spawn a projectile
+     * @param {Object} options - Projectile options
+     * @param {Vector3} options.position - Start position
+     * @param {Vector3} options.velocity - Velocity in units per tick
+     * @param {Object} options.owner - Entity that fired it
+     * @param {string} options.faction - 'enemy' projectiles hit the player, 'player' projectiles hit enemies
+     * @param {number} options.damage - Damage dealt on a direct hit
+     * @param {string} options.damageType - Damage type of a direct hit (see Health.DAMAGE_TYPE)
+     * @param {number} options.splashRadius - Explosion radius, 0 for none
+     * @param {number} options.splashDamage - Explosion damage at its center
+     * @param {number} options.knockback - Push given to enemies at the explosion center, in units per tick
+     * @param {number} options.lifetime - Time before it fizzles, in ms
+     * @returns {Object|null} The projectile, or null if the limit is reached
+     */
+    function spawn(options = {}) {
+        if (!options.position || !options.velocity) {
+            console.error('Projectile needs a position and velocity');
+            return null;
+        }
+
+        if (_projectiles.length >= _settings.maxProjectiles) {
+            return null;
+        }
+
+        const projectile = {
+            id: Utils.createGuid(),
+            type: 'projectile',
+            position: new Vector3().copy(options.position),
+            previousPosition: new Vector3().copy(options.position),
+            velocity: new Vector3().copy(options.velocity),
+            owner: options.owner || null,
+            faction: options.faction || 'enemy',
+            damage: options.damage || 10,
+            damageType: options.damageType || DAMAGE_TYPE.FIRE,
+            splashRadius: options.splashRadius || 0,
+            splashDamage: options.splashDamage || 0,
+            knockback: options.knockback || 0,
+            lifetime: options.lifetime || _settings.lifetime,
+            age: 0,
+            radius: options.radius || _settings.radius,
+
+            // Rendering
+            spriteSet: 'effects',
+            textureId: options.textureId || 0,
+            scale: options.scale || _settings.scale,
+            visible: true,
+            active: true
+        };
+
+        _projectiles.push(projectile);
+        _events.emit('spawn', projectile);
+
+        return projectile;
+    }
+
+    /**
+     * Update all projectiles
+     * @param {number} deltaTime - Tick duration in ms
+     * @param {Object} map - Map for wall collision
+     * @param {Object} player - Player state
+     * @param {Array} enemies - Active enemies
+     */
+    function update(deltaTime, map, player, enemies = []) {
+        for (let i = 0; i < _projectiles.length; i++) {
+            const projectile = _projectiles[i];
+
+            if (projectile.active) {
+                _updateProjectile(projectile, deltaTime, map, player, enemies);
+            }
+
+            // Remove spent projectiles
+            if (!projectile.active) {
+                _projectiles.splice(i, 1);
+                i--;
+            }
+        }
+
+        _updateExplosions(deltaTime);
+    }
+
+    /**
+     * Move a projectile one tick and resolve its collisions
+     * @param {Object} projectile - Projectile to update
+     * @param {number} deltaTime - Tick duration in ms
+     * @param {Object} map - Map for wall collision
+     * @param {Object} player - Player state
+     * @param {Array} enemies - Active enemies
+     */
+    function _updateProjectile(projectile, deltaTime, map, player, enemies) {
+        // Remember where this tick started so rendering can interpolate
+        projectile.previousPosition.copy(projectile.position);
+
+        // Fizzle out at the end of its lifetime
+        projectile.age += deltaTime;
+        if (projectile.age >= projectile.lifetime) {
+            projectile.active = false;
+            _events.emit('expire', projectile);
+            return;
+        }
+
+        const travel = projectile.velocity.length();
+        if (travel === 0) return;
+
+        const direction = new Vector3().copy(projectile.velocity).normalize();
+
+        // Find how far it gets before a wall
+        let distance = travel;
+        let hitWall = false;
+        if (map) {
+            const hit = map.castRay(new Ray(new Vector3().copy(projectile.position), direction), travel);
+            if (hit) {
+                distance = hit.distance;
+                hitWall = true;
+            }
+        }
+
+        // Targets in the path are hit before the wall
+        const target = _findTarget(projectile, direction, distance, player, enemies);
+        if (target) {
+            projectile.position.add(new Vector3().copy(direction).multiplyScalar(target.distance));
+            projectile.active = false;
+
+            if (target.enemy) {
+                _damageEnemy(projectile, target.enemy, projectile.damage, projectile.position, projectile.damageType);
+                _events.emit('hit', projectile, target.enemy);
+            } else {
+                if (MyApp.Player) {
+                    const source = projectile.owner && projectile.owner.position ?
+                        projectile.owner.position : projectile.previousPosition;
+                    MyApp.Player.damage(projectile.damage, source, projectile.damageType);
+                }
+                _events.emit('hit', projectile, player);
+            }
+
+            _explode(projectile, map, player, enemies);
+            return;
+        }
+
+        // Move along the path
+        projectile.position.add(new Vector3().copy(direction).multiplyScalar(distance));
+
+        // Stop on walls, including when spawned inside one
+        if (hitWall || (map && map.isWall(projectile.position.x, projectile.position.z))) {
+            projectile.active = false;
+            _events.emit('impact', projectile);
+
+            // Explode just off the wall so it can see along it
+            projectile.position.subtract(new Vector3().copy(direction).multiplyScalar(0.05));
+            _explode(projectile, map, player, enemies);
+        }
+    }
+
+    /**
+     * Find the first target a projectile touches this tick
+     * Enemy projectiles hit the player, player projectiles hit enemies
+     * @param {Object} projectile - Projectile
+     * @param {Vector3} direction - Normalized travel direction
+     * @param {number} distance - Distance travelled this tick
+     * @param {Object} player - Player state
+     * @param {Array} enemies - Active enemies
+     * @returns {Object|null} Hit {distance, enemy}, enemy is null for the player
+     */
+    function _findTarget(projectile, direction, distance, player, enemies) {
+        if (projectile.faction !== 'player') {
+            if (!player || player.state === 'dead') return null;
+            const playerDistance = _sweepCircle(projectile, direction, distance, player.position, player.radius);
+            return playerDistance !== null ? { distance: playerDistance, enemy: null } : null;
+        }
+
+        let closest = null;
+        for (const enemy of enemies) {
+            if (enemy.isDead()) continue;
+
+            const enemyDistance = _sweepCircle(projectile, direction, distance, enemy.position, enemy.radius);
+            if (enemyDistance !== null && (!closest || enemyDistance < closest.distance)) {
+                closest = { distance: enemyDistance, enemy };
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Damage an enemy, reporting kills made by the player
+     * @param {Object} projectile - Projectile that caused the damage
+     * @param {Object} enemy - Enemy to damage
+     * @param {number} amount - Damage amount
+     * @param {Vector3} hitPos - Where the damage came from
+     * @param {string} damageType - Damage type (see Health.DAMAGE_TYPE)
+     */
+    function _damageEnemy(projectile, enemy, amount, hitPos, damageType) {
+        const killed = enemy.damage(amount, hitPos, null, damageType);
+        if (killed) {
+            _events.emit('kill', enemy, projectile);
+        }
+    }
+
+    /**
+     * Apply a projectile's splash damage and show its explosion
+     * Damage falls off linearly to the edge of the radius and walls block it
+     * @param {Object} projectile - Exploding projectile
+     * @param {Object} map - Map for line of sight
+     * @param {Object} player - Player state
+     * @param {Array} enemies - Active enemies
+     */
+    function _explode(projectile, map, player, enemies) {
+        if (projectile.splashRadius <= 0) return;
+
+        const center = projectile.position;
+        const radius = projectile.splashRadius;
+
+        for (const enemy of enemies) {
+            if (enemy.isDead()) continue;
+
+            const falloff = _getSplashFalloff(center, enemy.position, radius, map);
+            if (falloff <= 0) continue;
+
+            // Push away from the center
+            if (projectile.knockback > 0 && typeof enemy.push === 'function') {
+                const away = new Vector3(enemy.position.x - center.x, 0, enemy.position.z - center.z).normalize();
+                enemy.push(away.multiplyScalar(projectile.knockback * falloff));
+            }
+
+            _damageEnemy(projectile, enemy, Math.max(1, Math.floor(projectile.splashDamage * falloff)), center, DAMAGE_TYPE.EXPLOSION);
+        }
+
+        // Nobody is safe from their own rockets
+        if (player && player.state !== 'dead' && MyApp.Player) {
+            const falloff = _getSplashFalloff(center, player.position, radius, map);
+            if (falloff > 0) {
+                MyApp.Player.damage(Math.max(1, Math.floor(projectile.splashDamage * falloff)), center, DAMAGE_TYPE.EXPLOSION);
+            }
+        }
+
+        _explosions.push({
+            id: Utils.createGuid(),
+            type: 'explosion',
+            position: new Vector3().copy(center),
+            previousPosition: new Vector3().copy(center),
+            age: 0,
+            spriteSet: 'effects',
+            textureId: _settings.explosionTextures[0],
+            scale: radius * 0.6,
+            visible: true,
+            active: true
+        });
+
+        // Explosions are heard all around
+        if (MyApp.Noise) {
+            MyApp.Noise.emit(center, _settings.explosionNoise, projectile.faction);
+        }
+
+        _events.emit('explode', projectile, center);
+    }
+
+    /**
+     * Get how much of an explosion reaches a position
+     * @param {Vector3} center - Explosion center
+     * @param {Vector3} position - Position to check
+     * @param {number} radius - Explosion radius
+     * @param {Object} map - Map for line of sight
+     * @returns {number} Damage multiplier (0 when out of reach or behind a wall)
+     */
+    function _getSplashFalloff(center, position, radius, map) {
+        const dx = position.x - center.x;
+        const dz = position.z - center.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance >= radius) return 0;
+
+        if (map && distance > 0) {
+            const ray = new Ray(new Vector3().copy(center), new Vector3(dx, 0, dz).normalize());
+            if (map.castRay(ray, distance)) return 0;
+        }
+
+        return 1 - distance / radius;
+    }
+
+    /**
+     * Advance explosion sprites through their frames
+     * @param {number} deltaTime - Tick duration in ms
+     */
+    function _updateExplosions(deltaTime) {
+        const frames = _settings.explosionTextures;
+
+        for (let i = 0; i < _explosions.length; i++) {
+            const explosion = _explosions[i];
+            explosion.age += deltaTime;
+
+            if (explosion.age >= _settings.explosionTime) {
+                explosion.active = false;
+                _explosions.splice(i, 1);
+                i--;
+                continue;
+            }
+
+            const frame = Math.floor(explosion.age / _settings.explosionTime * frames.length);
+            explosion.textureId = frames[frame];
+        }
+    }
+
+    /**
+     * Sweep a projectile along its path against a circle on the ground plane
+     * @param {Object} projectile - Projectile
+     * @param {Vector3} direction - Normalized travel direction
+     * @param {number} distance - Distance travelled this tick
+     * @param {Vector3} center - Circle center
+     * @param {number} radius - Circle radius
+     * @returns {number|null} Distance along the path of the first contact, or null
+     */
+    function _sweepCircle(projectile, direction, distance, center, radius) {
+        const reach = radius + projectile.radius;
+
+        // Solve |start + dir * t - center| = reach on the x/z plane
+        const fx = projectile.position.x - center.x;
+        const fz = projectile.position.z - center.z;
+        const a = direction.x * direction.x + direction.z * direction.z;
+        const b = 2 * (fx * direction.x + fz * direction.z);
+        const c = fx * fx + fz * fz - reach * reach;
+
+        // Already touching
+        if (c <= 0) return 0;
+        if (a === 0) return null;
+
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t >= 0 && t <= distance ? t : null;
+    }
+
+    /**
+     * Get all live projectiles
+     * @returns {Array} Projectiles
+     */
+    function getProjectiles() {
+        return _projectiles;
+    }
+
+    /**
+     * Get all explosions still playing
+     * @returns {Array} Explosion sprites
+     */
+    function getExplosions() {
+        return _explosions;
+    }
+
+    /**
+     * Remove all projectiles and explosions
+     */
+    function reset() {
+        _projectiles = [];
+        _explosions = [];
+    }
+
+    /**
+     * Register an event listener
+     * @param {string} event - Event name ('spawn', 'hit', 'impact', 'expire', 'explode', 'kill')
+     * @param {Function} callback - Event callback
+     */
+    function on(event, callback) {
+        return _events.on(event, callback);
+    }
+
+    // Export the public API
+    MyApp.Projectile = {
+        init,
+        spawn,
+        update,
+        getProjectiles,
+        getExplosions,
+        reset,
+        on
+    };
+
+    console.log('Projectile module loaded');
+})(window.MyApp || (window.MyApp = {}));
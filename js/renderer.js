@@ -21,11 +21,15 @@
     let _fov = 60; // Field of view in degrees
     let _fovRad = Utils.degreesToRadians(_fov);
     let _pixelRatio = 1;
+    let _focalLength = 1; // Projection distance in pixels, shared by both axes
+    let _horizon = 0;     // Screen row of the horizon, sheared by the camera pitch
 
     // Camera settings
     const _camera = {
         position: new Vector3(0, 0, 0),
         direction: new Vector3(0, 0, 1),
+        forward: new Vector3(0, 0, 1), // Horizontal view direction
+        plane: new Vector3(1, 0, 0),   // Camera plane, points to the right of the screen
         pitch: 0,
         yaw: 0,
         // up vector is always (0, 1, 0) in our simple FPS
@@ -44,18 +48,54 @@
         lightingEnabled: true,
         skyColor: '#87CEEB',
         floorColor: '#8B4513',
-        renderDistance: 20
+        floorShading: 0.85,
+        ceilingShading: 0.7,
+        renderDistance: 20,
+        maxLookShear: 0.8 // Maximum horizon offset from pitch, as a fraction of screen height
     };
 
     // Textures and sprites
     const _textures = {
         walls: [],
+        doors: [],
+        flats: [], // Floor and ceiling textures
         sprites: [],
+        corpses: [], // Death animation frames, drawn with spriteSet 'corpses'
+        effects: [], // Projectiles and other effect sprites
+        items: [],   // Pickups drawn with spriteSet 'items'
         weapons: []
     };
 
+    // Enemy sprite sheet layout: one column per animation frame, one row per view
+    // Frames follow Enemy animationFrame: walk 0-3, attack 4-5, pain 6, dying 7
+    // Rotations are picked by the angle between the way the enemy faces and the way it
+    // is seen from, in 45 degree steps from the front; views facing left reuse the
+    // views facing right mirrored, like DOOM's rotation sprites
+    const ENEMY_SHEET = {
+        frames: 8,
+        rotations: [
+            { row: 0, mirror: false }, // Front
+            { row: 1, mirror: false }, // Front, turned right
+            { row: 2, mirror: false }, // Facing right
+            { row: 3, mirror: false }, // Back, turned right
+            { row: 4, mirror: false }, // Back
+            { row: 3, mirror: true },  // Back, turned left
+            { row: 2, mirror: true },  // Facing left
+            { row: 1, mirror: true }   // Front, turned left
+        ]
+    };
+
     // Pre-computed rendering data
     let _zbuffer = []; // For sprite depth sorting
+    let _rayLengths = null; // Length of each column's ray per unit of depth
+
+    // Framebuffer - the 3D view is rasterized into a single 32-bit pixel buffer
+    // and blitted to the canvas once per frame
+    let _bufferCanvas = null;
+    let _bufferCtx = null;
+    let _frameImage = null;  // ImageData backing the framebuffer
+    let _frameBuffer = null; // Uint32Array view over _frameImage.data
+    let _fogRgb = { r: 0, g: 0, b: 0 };
 
     /**
      * Initialize the renderer
@@ -73,6 +113,9 @@
         // Calculate FOV in radians
         _fovRad = Utils.degreesToRadians(_fov);
 
+        // Fog color is blended per pixel, so parse it once
+        _fogRgb = _hexToRgb(_settings.fogColor);
+
         // Initial resize
         resize();
 
@@ -97,24 +140,113 @@
             _createStripedTexture('#396', '#7BA')
         ];
 
-        // Sprite textures (enemies)
-        const spriteTextures = [
-            _createEnemySprite('#F00'),
-            _createEnemySprite('#0F0'),
-            _createEnemySprite('#00F')
+        // Door panel textures
+        // Plain first, then locked doors in Map.KEY_COLORS order
+        const doorTextures = [
+            _createDoorTexture('#556', '#889'),
+            _createDoorTexture('#556', '#D22'),
+            _createDoorTexture('#556', '#26D'),
+            _createDoorTexture('#556', '#DC2')
+        ];
+
+        // Flat textures (floors and ceilings), indexed by the map's surface ids
+        const flatTextures = [
+            _createCheckerboardTexture('#6B4F2E', '#7A5C36'),
+            _createCheckerboardTexture('#555', '#666'),
+            _createStripedTexture('#5C4033', '#6F4E37'),
+            _createCircleTexture('#445', '#556')
+        ];
+
+        // Sprite textures (enemies), as sheets of animation frames and view angles
+        const enemyColors = ['#F00', '#0F0', '#00F'];
+        const spriteTextures = enemyColors.map(color => _createEnemySheet(color));
+
+        // Corpse textures, per enemy color: falling frames, the body at rest, then the gib pile
+        const corpseTextures = [];
+        for (const color of enemyColors) {
+            corpseTextures.push(
+                _createDyingEnemySprite(color, 0.35),
+                _createDyingEnemySprite(color, 0.7),
+                _createDyingEnemySprite(color, 1),
+                _createGibPileSprite(color)
+            );
+        }
+
+        // Effect sprite textures, picked by entities with spriteSet 'effects'
+        const effectTextures = [
+            _createFireballSprite('#FFD', '#F60'), // Enemy projectile
+            _createFireballSprite('#FFF', '#FA0'), // Rocket
+            _createFireballSprite('#EFF', '#38F'), // Plasma
+            _createExplosionSprite(0.5),           // Explosion frames
+            _createExplosionSprite(0.8),
+            _createExplosionSprite(1),
+            _createGibSprite('#A33'),              // Gib chunk
+            _createFireballSprite('#C00', '#600')  // Blood drop
         ];
 
-        // Weapon textures
+        // Item sprite textures, keycards in Map.KEY_COLORS order, the level exit sealed and open,
+        // then weapon pickups
+        const itemTextures = [
+            _createKeycardSprite('#D22'),
+            _createKeycardSprite('#26D'),
+            _createKeycardSprite('#DC2'),
+            _createPortalSprite('#311', '#A22'),
+            _createPortalSprite('#DFD', '#2C4'),
+            _createGunPickupSprite('#888')
+        ];
+
+        // Weapon textures by definition textureId, the guns share one shape for now
+        const gunTexture = _createWeaponTexture('#888');
         const weaponTextures = [
-            _createWeaponTexture('#888')
+            gunTexture,
+            gunTexture,
+            gunTexture,
+            gunTexture,
+            gunTexture,
+            _createFistTexture('#C96') // Fist
         ];
 
-        // Store textures
-        _textures.walls = wallTextures;
-        _textures.sprites = spriteTextures;
+        // Store textures - walls and sprites are decoded once so the rasterizer
+        // can read their pixels directly
+        _textures.walls = wallTextures.map(_decodeTexture);
+        _textures.doors = doorTextures.map(_decodeTexture);
+        _textures.flats = flatTextures.map(_decodeTexture);
+        _textures.sprites = spriteTextures.map(canvas => ({ ..._decodeTexture(canvas), sheet: ENEMY_SHEET }));
+        _textures.corpses = corpseTextures.map(_decodeTexture);
+        _textures.effects = effectTextures.map(_decodeTexture);
+        _textures.items = itemTextures.map(_decodeTexture);
         _textures.weapons = weaponTextures;
     }
 
+    /**
+     * Decode a texture canvas into a packed pixel array
+     * @param {HTMLCanvasElement} canvas - Texture canvas
+     * @returns {Object} Decoded texture ({canvas, width, height, pixels})
+     */
+    function _decodeTexture(canvas) {
+        const width = canvas.width;
+        const height = canvas.height;
+        const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+        // Copy the bytes so the texture owns its buffer, then view it as 32-bit pixels
+        const pixels = new Uint32Array(new Uint8ClampedArray(data).buffer);
+
+        return { canvas, width, height, pixels };
+    }
+
+    /**
+     * Pack RGBA components into a framebuffer pixel
+     * ImageData stores bytes as R, G, B, A, which reads as ABGR on little-endian platforms
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @param {number} a - Alpha (0-255)
+     * @returns {number} Packed pixel
+     */
+    function _packColor(r, g, b, a = 255) {
+        return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+    }
+
     /**
      * Create a simple brick texture
      * @param {string} color1 - First color
@@ -228,11 +360,156 @@
     }
 
     /**
-     * Create a simple enemy sprite
+     * Create a sliding door panel texture
+     * @param {string} color1 - Panel color
+     * @param {string} color2 - Frame and detail color
+     * @returns {HTMLCanvasElement} Texture canvas
+     */
+    function _createDoorTexture(color1, color2) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Panel
+        ctx.fillStyle = color1;
+        ctx.fillRect(0, 0, size, size);
+
+        // Frame around the edge
+        const border = size / 16;
+        ctx.fillStyle = color2;
+        ctx.fillRect(0, 0, size, border);
+        ctx.fillRect(0, size - border, size, border);
+        ctx.fillRect(0, 0, border, size);
+        ctx.fillRect(size - border, 0, border, size);
+
+        // Horizontal ribs
+        for (let y = size / 4; y < size - border; y += size / 4) {
+            ctx.fillRect(border, y - border / 2, size - border * 2, border);
+        }
+
+        // Handle near the leading edge
+        ctx.fillRect(border * 2, size / 2 - border * 2, border, border * 4);
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create an enemy sprite sheet laid out as ENEMY_SHEET describes
      * @param {string} color - Sprite color
+     * @returns {HTMLCanvasElement} Sheet canvas, one frame per column and one view per row
+     */
+    function _createEnemySheet(color) {
+        const size = _settings.textureSize;
+        const views = Math.max(...ENEMY_SHEET.rotations.map(rotation => rotation.row)) + 1;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size * ENEMY_SHEET.frames;
+        tempCanvas.height = size * views;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
+
+        for (let view = 0; view < views; view++) {
+            for (let frame = 0; frame < ENEMY_SHEET.frames; frame++) {
+                // Keep each frame inside its own cell
+                ctx.save();
+                ctx.translate(frame * size, view * size);
+                ctx.beginPath();
+                ctx.rect(0, 0, size, size);
+                ctx.clip();
+
+                _drawEnemyFigure(ctx, color, view, frame);
+                ctx.restore();
+            }
+        }
+
+        return tempCanvas;
+    }
+
+    /**
+     * Draw one frame of the enemy figure
+     * Views turn from the front (0) through the right side (2) to the back (4)
+     * @param {CanvasRenderingContext2D} ctx - Context translated to the frame's cell
+     * @param {string} color - Sprite color
+     * @param {number} view - View row, see ENEMY_SHEET
+     * @param {number} frame - Animation frame, see ENEMY_SHEET
+     */
+    function _drawEnemyFigure(ctx, color, view, frame) {
+        const size = _settings.textureSize;
+        const centerX = size / 2;
+
+        // How side-on the figure stands, 0 face-on to 1 in profile
+        const turn = view === 2 ? 1 : (view === 1 || view === 3 ? 0.5 : 0);
+        const stride = frame < 4 ? [0, 4, 0, -4][frame] : 0;
+        const reach = frame === 4 ? 6 : (frame === 5 ? 14 : 0);
+
+        // Dying figures tip over backwards around their feet
+        if (frame === 7) {
+            ctx.translate(centerX, size);
+            ctx.rotate(-0.6);
+            ctx.translate(-centerX, -size);
+        }
+
+        ctx.fillStyle = color;
+
+        // Legs swing back and forth side-on and lift in turn face-on
+        const legSpread = 5 * (1 - turn);
+        const swing = stride * turn;
+        const lift = Math.abs(stride) * (1 - turn);
+        ctx.fillRect(centerX - legSpread - 3 + swing, 52, 6, 12 - (stride > 0 ? lift : 0));
+        ctx.fillRect(centerX + legSpread - 3 - swing, 52, 6, 12 - (stride < 0 ? lift : 0));
+
+        // Body narrows as it turns side-on
+        const bodyWidth = 20 - 10 * turn;
+        ctx.fillRect(centerX - bodyWidth / 2, 22, bodyWidth, 30);
+
+        // Head
+        ctx.beginPath();
+        ctx.arc(centerX, 12, 10, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Arms rise to attack, otherwise they swing against the legs
+        if (turn === 0) {
+            const armY = 27 - reach;
+            ctx.fillRect(centerX - 20, armY + stride / 2, 10, 5);
+            ctx.fillRect(centerX + 10, armY - stride / 2, 10, 5);
+        } else {
+            // Facing right, the near arm points where it walks or strikes
+            ctx.fillRect(centerX + bodyWidth / 2 - 4, 27, 4 + 8 * turn + reach, 5);
+            if (turn < 1) {
+                ctx.fillRect(centerX - bodyWidth / 2 - 6, 28 - stride / 2, 6, 5);
+            }
+        }
+
+        // Eyes on the views that show the face
+        if (view <= 2) {
+            ctx.fillStyle = '#FFF';
+            const eyes = view === 0 ? [-4, 4] : (view === 1 ? [2, 7] : [6]);
+            for (const eyeX of eyes) {
+                ctx.fillRect(centerX + eyeX - 1, 9, 3, 3);
+            }
+        }
+
+        // Shade the back, flash when hurt
+        const tint = frame === 6 ? 'rgba(255, 255, 255, 0.45)' : (view >= 3 ? 'rgba(0, 0, 0, 0.25)' : null);
+        if (tint) {
+            ctx.globalCompositeOperation = 'source-atop';
+            ctx.fillStyle = tint;
+            ctx.fillRect(0, 0, size, size);
+            ctx.globalCompositeOperation = 'source-over';
+        }
+    }
+
+    /**
+     * Create one frame of an enemy falling down dead
+     * The figure tips over around its feet and ends up lying on the floor
+     * @param {string} color - Sprite color
+     * @param {number} progress - How far it has fallen (0-1)
      * @returns {HTMLCanvasElement} Sprite canvas
      */
-    function _createEnemySprite(color) {
+    function _createDyingEnemySprite(color, progress) {
         const size = _settings.textureSize;
         const tempCanvas = document.createElement('canvas');
         tempCanvas.width = size;
@@ -242,26 +519,264 @@
         // Transparent background
         ctx.clearRect(0, 0, size, size);
 
-        // Draw a simple humanoid figure
-        const centerX = size / 2;
-        const centerY = size / 2;
+        // Blood pooling under the body once it lies still
+        if (progress >= 1) {
+            ctx.fillStyle = '#700';
+            ctx.beginPath();
+            ctx.ellipse(size / 2, size - 5, size * 0.4, 4, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
 
-        // Head
+        // Pivot at the feet, sliding left and up so the fallen body fits the frame
+        ctx.translate(size / 2 - 26 * progress, size - 11 * progress);
+        ctx.rotate(progress * Math.PI / 2);
+
+        // Same figure as _drawEnemyFigure's front view, drawn relative to the feet
         ctx.fillStyle = color;
+
+        // Head
         ctx.beginPath();
-        ctx.arc(centerX, centerY - 20, 10, 0, Math.PI * 2);
+        ctx.arc(0, -52, 10, 0, Math.PI * 2);
         ctx.fill();
 
         // Body
-        ctx.fillRect(centerX - 10, centerY - 10, 20, 30);
+        ctx.fillRect(-10, -42, 20, 30);
 
         // Arms
-        ctx.fillRect(centerX - 20, centerY - 5, 10, 5);
-        ctx.fillRect(centerX + 10, centerY - 5, 10, 5);
+        ctx.fillRect(-20, -37, 10, 5);
+        ctx.fillRect(10, -37, 10, 5);
 
         // Legs
-        ctx.fillRect(centerX - 8, centerY + 20, 6, 15);
-        ctx.fillRect(centerX + 2, centerY + 20, 6, 15);
+        ctx.fillRect(-8, -12, 6, 12);
+        ctx.fillRect(2, -12, 6, 12);
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create the pile an enemy leaves when blown apart
+     * @param {string} color - Enemy color
+     * @returns {HTMLCanvasElement} Sprite canvas
+     */
+    function _createGibPileSprite(color) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, size, size);
+
+        // Blood splashed wide across the floor
+        ctx.fillStyle = '#700';
+        ctx.beginPath();
+        ctx.ellipse(size / 2, size - 5, size * 0.45, 5, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Chunks of the enemy and its insides, as [x, y, radius, color]
+        const chunks = [
+            [18, 56, 5, color], [30, 54, 6, '#A33'], [42, 57, 4, color],
+            [50, 55, 3, '#A33'], [24, 59, 3, '#C55'], [36, 59, 4, color],
+            [12, 60, 2, '#A33'], [47, 60, 3, color]
+        ];
+        for (const [x, y, radius, fill] of chunks) {
+            ctx.fillStyle = fill;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create a flying gib chunk sprite
+     * @param {string} color - Chunk color
+     * @returns {HTMLCanvasElement} Sprite canvas
+     */
+    function _createGibSprite(color) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, size, size);
+
+        // Lumpy chunk from overlapping blobs
+        ctx.fillStyle = color;
+        const blobs = [[32, 32, 18], [20, 26, 12], [44, 38, 13], [30, 46, 10]];
+        for (const [x, y, radius] of blobs) {
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Darker flesh showing through
+        ctx.fillStyle = '#611';
+        ctx.beginPath();
+        ctx.arc(36, 34, 7, 0, Math.PI * 2);
+        ctx.fill();
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create a glowing ball sprite
+     * @param {string} innerColor - Core color
+     * @param {string} outerColor - Edge color
+     * @returns {HTMLCanvasElement} Sprite canvas
+     */
+    function _createFireballSprite(innerColor, outerColor) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, size, size);
+
+        // Ball fading from the core to the edge
+        const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, innerColor);
+        gradient.addColorStop(0.6, outerColor);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create one frame of an explosion sprite
+     * @param {number} progress - How far the explosion has spread (0-1)
+     * @returns {HTMLCanvasElement} Sprite canvas
+     */
+    function _createExplosionSprite(progress) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, size, size);
+
+        // Fireball that cools and thins out as it grows
+        const radius = size / 2 * progress;
+        const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, radius);
+        gradient.addColorStop(0, progress < 1 ? '#FFE' : '#F80');
+        gradient.addColorStop(0.5, progress < 1 ? '#FA0' : '#C30');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = gradient;
+
+        // Puffs around the core give it a ragged edge
+        const puffs = 7;
+        for (let i = 0; i < puffs; i++) {
+            const angle = i / puffs * Math.PI * 2;
+            const offset = radius * 0.45;
+            ctx.beginPath();
+            ctx.arc(
+                size / 2 + Math.cos(angle) * offset,
+                size / 2 + Math.sin(angle) * offset,
+                radius * 0.55, 0, Math.PI * 2
+            );
+            ctx.fill();
+        }
+
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, radius * 0.7, 0, Math.PI * 2);
+        ctx.fill();
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create a keycard sprite
+     * @param {string} color - Card color
+     * @returns {HTMLCanvasElement} Sprite canvas
+     */
+    function _createKeycardSprite(color) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, size, size);
+
+        // Card
+        const width = size * 0.6;
+        const height = size * 0.8;
+        const left = (size - width) / 2;
+        const top = (size - height) / 2;
+        ctx.fillStyle = color;
+        ctx.fillRect(left, top, width, height);
+
+        // Magnetic stripe and chip
+        ctx.fillStyle = '#222';
+        ctx.fillRect(left, top + height * 0.15, width, height * 0.12);
+        ctx.fillStyle = '#EEC';
+        ctx.fillRect(left + width * 0.2, top + height * 0.5, width * 0.3, height * 0.2);
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create a portal sprite, a glowing oval standing on the floor
+     * @param {string} innerColor - Center color
+     * @param {string} outerColor - Rim color
+     * @returns {HTMLCanvasElement} Sprite canvas
+     */
+    function _createPortalSprite(innerColor, outerColor) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, size, size);
+
+        // Oval fading from the center to the rim
+        const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size * 0.45);
+        gradient.addColorStop(0, innerColor);
+        gradient.addColorStop(1, outerColor);
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.ellipse(size / 2, size / 2, size * 0.3, size * 0.45, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        return tempCanvas;
+    }
+
+    /**
+     * Create a weapon pickup sprite, a gun lying on its side
+     * @param {string} color - Gun color
+     * @returns {HTMLCanvasElement} Sprite canvas
+     */
+    function _createGunPickupSprite(color) {
+        const size = _settings.textureSize;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = size;
+        tempCanvas.height = size;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, size, size);
+
+        // Barrel, body and grip seen from the side
+        ctx.fillStyle = color;
+        ctx.fillRect(size * 0.1, size * 0.4, size * 0.8, size * 0.12);
+        ctx.fillRect(size * 0.45, size * 0.4, size * 0.35, size * 0.22);
+        ctx.fillRect(size * 0.62, size * 0.6, size * 0.12, size * 0.2);
 
         return tempCanvas;
     }
@@ -297,6 +812,39 @@
         return tempCanvas;
     }
 
+    /**
+     * Create a fist texture
+     * @param {string} color - Skin color
+     * @returns {HTMLCanvasElement} Weapon canvas
+     */
+    function _createFistTexture(color) {
+        const width = 256;
+        const height = 128;
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+        const ctx = tempCanvas.getContext('2d');
+
+        // Transparent background
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.fillStyle = color;
+
+        // Knuckles
+        ctx.fillRect(width / 2 + 10, 50, 50, 30);
+
+        // Forearm
+        ctx.fillRect(width / 2 + 20, 80, 30, 48);
+
+        // Finger creases
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        for (let i = 1; i < 4; i++) {
+            ctx.fillRect(width / 2 + 10 + i * 12, 52, 2, 14);
+        }
+
+        return tempCanvas;
+    }
+
     /**
      * Resize the renderer to match canvas dimensions
      */
@@ -304,8 +852,8 @@
         const displayWidth = _canvas.clientWidth;
         const displayHeight = _canvas.clientHeight;
 
-        // Check if canvas needs resizing
-        if (_canvas.width !== displayWidth || _canvas.height !== displayHeight) {
+        // Check if the logical size changed (the canvas itself may be scaled by the pixel ratio)
+        if (_width !== displayWidth || _height !== displayHeight || !_frameBuffer) {
             // Update canvas and context
             const { width, height, ratio } = Utils.resizeCanvas(_canvas, displayWidth, displayHeight);
             _width = width;
@@ -314,14 +862,82 @@
             _halfHeight = _height / 2;
             _aspectRatio = _width / _height;
             _pixelRatio = ratio;
+            _updateProjection();
 
             // Reallocate z-buffer
             _zbuffer = new Array(_width).fill(Infinity);
 
+            // Ray lengths turn floor row depths into distances for fog
+            const halfFovTan = Math.tan(_fovRad / 2);
+            _rayLengths = new Float32Array(_width);
+            for (let x = 0; x < _width; x++) {
+                const cameraX = 2 * (x / _width) - 1;
+                _rayLengths[x] = Math.sqrt(1 + cameraX * cameraX * halfFovTan * halfFovTan);
+            }
+
+            // Reallocate the framebuffer at logical resolution
+            _allocateFrameBuffer();
+
             console.log(`Renderer resized to ${_width}x${_height}, pixel ratio: ${_pixelRatio}`);
         }
     }
 
+    /**
+     * Recompute projection values that depend on the screen size and camera
+     */
+    function _updateProjection() {
+        const halfFovTan = Math.tan(_fovRad / 2);
+        _focalLength = _halfWidth / halfFovTan;
+
+        // Camera plane spans the horizontal field of view
+        const forward = _camera.forward.set(Math.sin(_camera.yaw), 0, Math.cos(_camera.yaw));
+        _camera.plane.set(forward.z * halfFovTan, 0, -forward.x * halfFovTan);
+
+        // Y-shearing: move the horizon so the screen center looks along the pitch
+        const maxShear = _height * _settings.maxLookShear;
+        const shear = Utils.clamp(Math.tan(-_camera.pitch) * _focalLength, -maxShear, maxShear);
+        _horizon = _halfHeight + shear;
+    }
+
+    /**
+     * Get the screen point the camera direction projects to (crosshair aim point)
+     * It stays at the screen center unless the pitch exceeds the maximum shear
+     * @returns {Object} Screen coordinates {x, y}
+     */
+    function getAimPoint() {
+        return {
+            x: _halfWidth,
+            y: _horizon - Math.tan(-_camera.pitch) * _focalLength
+        };
+    }
+
+    /**
+     * Allocate the framebuffer and its offscreen canvas
+     */
+    function _allocateFrameBuffer() {
+        if (!_bufferCanvas) {
+            _bufferCanvas = document.createElement('canvas');
+        }
+
+        _bufferCanvas.width = Math.max(1, _width);
+        _bufferCanvas.height = Math.max(1, _height);
+        _bufferCtx = _bufferCanvas.getContext('2d');
+
+        _frameImage = _bufferCtx.createImageData(_bufferCanvas.width, _bufferCanvas.height);
+        _frameBuffer = new Uint32Array(_frameImage.data.buffer);
+    }
+
+    /**
+     * Copy the framebuffer to the canvas
+     */
+    function _presentFrameBuffer() {
+        _bufferCtx.putImageData(_frameImage, 0, 0);
+
+        // drawImage honours the pixel ratio transform set up by Utils.resizeCanvas
+        _ctx.imageSmoothingEnabled = false;
+        _ctx.drawImage(_bufferCanvas, 0, 0, _width, _height);
+    }
+
     /**
      * Clear the canvas
      */
@@ -354,8 +970,9 @@
      * @param {Object} map - Map data
      * @param {Array} entities - Game entities to render
      * @param {Object} player - Player object
+     * @param {number} alpha - Progress from the previous to the current tick (0-1)
      */
-    function render(map, entities, player) {
+    function render(map, entities, player, alpha = 1) {
         // Skip rendering if any required components are missing
         if (!map || !player || !player.position) {
             console.warn('Missing required components for rendering:', {
@@ -371,21 +988,27 @@
             clear();
 
             // Check if we're in a state where game world should be rendered
-            if (MyApp.UI && MyApp.UI.getGameState() === 'playing') {
+            if (MyApp.UI && MyApp.UI.getGameState() === 'playing' && _frameBuffer) {
                 // Draw sky
                 _drawSky();
 
                 // Draw floor
                 _drawFloor();
 
+                // Draw textured floor and ceiling
+                _drawFlats(map);
+
                 // Draw walls using raycasting
                 _drawWalls(map);
 
                 // Draw sprites (enemies, items, etc.)
                 if (entities && entities.length > 0) {
-                    _drawSprites(entities);
+                    _drawSprites(entities, alpha);
                 }
 
+                // Blit the rasterized view in one go
+                _presentFrameBuffer();
+
                 // Draw weapon
                 if (player.weapon) {
                     _drawWeapon(player.weapon);
@@ -405,21 +1028,105 @@
      * Draw the sky
      */
     function _drawSky() {
-        // Simple sky gradient
-        const gradient = _ctx.createLinearGradient(0, 0, 0, _halfHeight);
-        gradient.addColorStop(0, _settings.skyColor);
-        gradient.addColorStop(1, '#FFF');
-
-        _ctx.fillStyle = gradient;
-        _ctx.fillRect(0, 0, _width, _halfHeight);
+        // Vertical gradient from the sky color down to white at the horizon
+        const top = _hexToRgb(_settings.skyColor);
+        const rows = Utils.clamp(Math.floor(_horizon), 0, _height);
+        const gradientStart = _horizon - _halfHeight;
+
+        for (let y = 0; y < rows; y++) {
+            const t = Utils.clamp((y + 0.5 - gradientStart) / _halfHeight, 0, 1);
+            const color = _packColor(
+                Math.round(Utils.lerp(top.r, 255, t)),
+                Math.round(Utils.lerp(top.g, 255, t)),
+                Math.round(Utils.lerp(top.b, 255, t))
+            );
+            _frameBuffer.fill(color, y * _width, (y + 1) * _width);
+        }
     }
 
     /**
      * Draw the floor
+     * This is the backdrop for floor beyond the render distance, so it is fogged accordingly
      */
     function _drawFloor() {
-        _ctx.fillStyle = _settings.floorColor;
-        _ctx.fillRect(0, _halfHeight, _width, _halfHeight);
+        const floor = _hexToRgb(_settings.floorColor);
+        const startRow = Utils.clamp(Math.floor(_horizon), 0, _height);
+
+        let fogFactor = 0;
+        if (_settings.fogEnabled) {
+            fogFactor = Math.min(1, _settings.renderDistance / _settings.fogDistance);
+        }
+
+        const color = _shadeTexel(_packColor(floor.r, floor.g, floor.b), _settings.floorShading, fogFactor);
+        _frameBuffer.fill(color, startRow * _width);
+    }
+
+    /**
+     * Draw textured floor and ceiling using per-row floor casting
+     * Ceiling cells open to the sky are skipped so the sky shows through
+     * @param {Object} map - Map data
+     */
+    function _drawFlats(map) {
+        const size = _settings.textureSize;
+        const forward = _camera.forward;
+        const plane = _camera.plane;
+
+        // The camera sits halfway up the walls
+        const eyeHeight = _settings.wallHeight / 2;
+
+        for (let y = 0; y < _height; y++) {
+            const isFloor = y + 0.5 > _horizon;
+            const rowOffset = isFloor ? y + 0.5 - _horizon : _horizon - (y + 0.5);
+
+            // Depth of this row's floor/ceiling plane along the view direction
+            const rowDepth = eyeHeight * _focalLength / rowOffset;
+            if (rowDepth > _settings.renderDistance) continue;
+
+            // World position under the leftmost pixel, and the step per pixel
+            const stepX = rowDepth * 2 * plane.x / _width;
+            const stepZ = rowDepth * 2 * plane.z / _width;
+            let worldX = _camera.position.x + rowDepth * (forward.x - plane.x);
+            let worldZ = _camera.position.z + rowDepth * (forward.z - plane.z);
+
+            const shadingFactor = isFloor ? _settings.floorShading : _settings.ceilingShading;
+            const rowIndex = y * _width;
+
+            // Texture lookups are cached per cell since neighbouring pixels share cells
+            let cellX = NaN;
+            let cellZ = NaN;
+            let texture = null;
+
+            for (let x = 0; x < _width; x++, worldX += stepX, worldZ += stepZ) {
+                const floorX = Math.floor(worldX);
+                const floorZ = Math.floor(worldZ);
+
+                if (floorX !== cellX || floorZ !== cellZ) {
+                    cellX = floorX;
+                    cellZ = floorZ;
+
+                    const textureId = isFloor ?
+                        map.getFloorTexture(worldX, worldZ) :
+                        map.getCeilingTexture(worldX, worldZ);
+                    texture = textureId === map.OPEN_SKY ?
+                        null :
+                        _textures.flats[textureId % _textures.flats.length];
+                }
+
+                // Open sky, keep the sky pixel
+                if (!texture) continue;
+
+                const texX = Math.floor((worldX - floorX) * size) & (size - 1);
+                const texY = Math.floor((worldZ - floorZ) * size) & (size - 1);
+                const texel = texture.pixels[texY * texture.width + texX];
+
+                let fogFactor = 0;
+                if (_settings.fogEnabled) {
+                    fogFactor = Math.min(1, rowDepth * _rayLengths[x] / _settings.fogDistance);
+                }
+
+                _frameBuffer[rowIndex + x] = _shadeTexel(texel, shadingFactor, fogFactor);
+            }
+        }
     }
 
     /**
@@ -434,8 +1141,8 @@
             const cameraX = 2 * (x / _width) - 1;
 
             // Ray direction for current column
-            const rayDirX = _camera.direction.x + _camera.planeDistance * cameraX * _aspectRatio;
-            const rayDirY = _camera.direction.z + _camera.planeDistance * cameraX;
+            const rayDirX = _camera.forward.x + _camera.plane.x * cameraX;
+            const rayDirY = _camera.forward.z + _camera.plane.z * cameraX;
 
             // Ray starting position
             const rayStart = new Vector3(
@@ -454,37 +1161,46 @@
             const hit = map.castRay(ray, _settings.renderDistance);
 
             if (hit) {
-                // Calculate wall height
-                const perpWallDist = hit.distance * Math.cos(cameraX * _fovRad / 2);
-                const wallHeight = Math.floor(_height / perpWallDist);
+                // Calculate wall height from the distance perpendicular to the camera plane
+                const perpWallDist = hit.distance *
+                    (ray.direction.x * _camera.forward.x + ray.direction.z * _camera.forward.z);
+                const wallHeight = Math.floor(_focalLength / perpWallDist);
 
                 // Calculate wall Y position
-                const drawStart = Math.max(0, Math.floor(_halfHeight - wallHeight / 2));
-                const drawEnd = Math.min(_height, Math.floor(_halfHeight + wallHeight / 2));
+                const drawStart = Math.max(0, Math.floor(_horizon - wallHeight / 2));
+                const drawEnd = Math.min(_height, Math.floor(_horizon + wallHeight / 2));
 
-                // Get texture
-                const wallTexture = _textures.walls[hit.textureId % _textures.walls.length];
+                // Get texture, door panels have their own
+                const wallTexture = hit.door ?
+                    _textures.doors[hit.textureId % _textures.doors.length] :
+                    _textures.walls[hit.textureId % _textures.walls.length];
 
                 // Calculate texture X coordinate
-                let wallX;
-                if (hit.side === 0) { // X-side
-                    wallX = rayStart.z + hit.distance * ray.direction.z;
-                } else { // Y-side
-                    wallX = rayStart.x + hit.distance * ray.direction.x;
-                }
-                wallX -= Math.floor(wallX);
+                let texX;
+                if (hit.door) {
+                    // The map reports where on the sliding panel the ray landed
+                    texX = Math.floor(hit.textureX * _settings.textureSize);
+                } else {
+                    let wallX;
+                    if (hit.side === 0) { // X-side
+                        wallX = rayStart.z + hit.distance * ray.direction.z;
+                    } else { // Y-side
+                        wallX = rayStart.x + hit.distance * ray.direction.x;
+                    }
+                    wallX -= Math.floor(wallX);
 
-                // Texture coordinates
-                let texX = Math.floor(wallX * _settings.textureSize);
-                if ((hit.side === 0 && ray.direction.x > 0) ||
-                    (hit.side === 1 && ray.direction.z < 0)) {
-                    texX = _settings.textureSize - texX - 1;
+                    // Texture coordinates
+                    texX = Math.floor(wallX * _settings.textureSize);
+                    if ((hit.side === 0 && ray.direction.x > 0) ||
+                        (hit.side === 1 && ray.direction.z < 0)) {
+                        texX = _settings.textureSize - texX - 1;
+                    }
                 }
 
                 // How much to increase the texture coordinate per screen pixel
                 const step = _settings.textureSize / wallHeight;
                 // Starting texture coordinate
-                let texPos = (drawStart - _halfHeight + wallHeight / 2) * step;
+                let texPos = (drawStart - _horizon + wallHeight / 2) * step;
 
                 // Apply shading based on wall orientation for a 3D effect
                 const shadingFactor = hit.side === 1 ? 0.7 : 1.0;
@@ -498,8 +1214,8 @@
                 // Draw the wall column
                 _drawTexturedColumn(x, drawStart, drawEnd, wallTexture, texX, texPos, step, shadingFactor, fogFactor);
 
-                // Save distance in z-buffer for sprite rendering
-                _zbuffer[x] = hit.distance;
+                // Save depth in z-buffer for sprite rendering
+                _zbuffer[x] = perpWallDist;
             } else {
                 // No wall hit, set z-buffer to maximum
                 _zbuffer[x] = _settings.renderDistance;
@@ -512,7 +1228,7 @@
      * @param {number} x - Screen x coordinate
      * @param {number} start - Starting y coordinate
      * @param {number} end - Ending y coordinate
-     * @param {HTMLCanvasElement} texture - Wall texture
+     * @param {Object} texture - Decoded wall texture
      * @param {number} texX - Texture x coordinate
      * @param {number} texPos - Starting texture position
      * @param {number} step - Texture step per pixel
@@ -520,34 +1236,44 @@
      * @param {number} fogFactor - Fog factor (0-1)
      */
     function _drawTexturedColumn(x, start, end, texture, texX, texPos, step, shadingFactor, fogFactor) {
-        const texCtx = texture.getContext('2d');
-        const texData = texCtx.getImageData(texX, 0, 1, _settings.textureSize).data;
+        const size = _settings.textureSize;
+        const pixels = texture.pixels;
+        const applyFog = _settings.fogEnabled && fogFactor > 0;
 
         for (let y = start; y < end; y++) {
-            const texY = Math.min(_settings.textureSize - 1, Math.floor(texPos) & (_settings.textureSize - 1));
+            const texY = Math.min(size - 1, Math.floor(texPos) & (size - 1));
             texPos += step;
 
-            const texIndex = texY * 4;
-            let r = texData[texIndex];
-            let g = texData[texIndex + 1];
-            let b = texData[texIndex + 2];
-
-            if (_settings.lightingEnabled) {
-                r = Math.floor(r * shadingFactor);
-                g = Math.floor(g * shadingFactor);
-                b = Math.floor(b * shadingFactor);
-            }
+            const texel = pixels[texY * texture.width + texX];
+            _frameBuffer[y * _width + x] = _shadeTexel(texel, shadingFactor, applyFog ? fogFactor : 0);
+        }
+    }
 
-            if (_settings.fogEnabled && fogFactor > 0) {
-                const fogColor = _hexToRgb(_settings.fogColor);
-                r = Math.floor(r * (1 - fogFactor) + fogColor.r * fogFactor);
-                g = Math.floor(g * (1 - fogFactor) + fogColor.g * fogFactor);
-                b = Math.floor(b * (1 - fogFactor) + fogColor.b * fogFactor);
-            }
+    /**
+     * Apply lighting and fog to a texel
+     * @param {number} texel - Packed source pixel
+     * @param {number} shadingFactor - Shading factor (0-1)
+     * @param {number} fogFactor - Fog factor (0-1), 0 disables fog
+     * @returns {number} Packed opaque pixel
+     */
+    function _shadeTexel(texel, shadingFactor, fogFactor) {
+        let r = texel & 255;
+        let g = (texel >> 8) & 255;
+        let b = (texel >> 16) & 255;
+
+        if (_settings.lightingEnabled) {
+            r = Math.floor(r * shadingFactor);
+            g = Math.floor(g * shadingFactor);
+            b = Math.floor(b * shadingFactor);
+        }
 
-            _ctx.fillStyle = `rgb(${r},${g},${b})`;
-            _ctx.fillRect(x, y, 1, 1);
+        if (fogFactor > 0) {
+            r = Math.floor(r * (1 - fogFactor) + _fogRgb.r * fogFactor);
+            g = Math.floor(g * (1 - fogFactor) + _fogRgb.g * fogFactor);
+            b = Math.floor(b * (1 - fogFactor) + _fogRgb.b * fogFactor);
         }
+
+        return _packColor(r, g, b);
     }
 
     /**
@@ -558,6 +1284,11 @@
     function _hexToRgb(hex) {
         hex = hex.replace(/^#/, '');
 
+        // Expand shorthand form (e.g. "#03F")
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+
         const bigint = parseInt(hex, 16);
         const r = (bigint >> 16) & 255;
         const g = (bigint >> 8) & 255;
@@ -569,85 +1300,103 @@
     /**
      * Draw sprites (enemies, items, etc.)
      * @param {Array} entities - Game entities to render
+     * @param {number} alpha - Progress from the previous to the current tick (0-1)
      */
-    function _drawSprites(entities) {
+    function _drawSprites(entities, alpha) {
         if (!entities || entities.length === 0) return;
 
-        const sortedEntities = [...entities].filter(entity => entity.visible)
+        // Place each sprite between its previous and current tick position
+        const sprites = entities.filter(entity => entity.visible)
+            .map(entity => ({
+                entity,
+                position: entity.previousPosition ?
+                    new Vector3().copy(entity.previousPosition).lerp(entity.position, alpha) :
+                    entity.position
+            }))
             .sort((a, b) => {
                 const distA = a.position.distanceToSquared(_camera.position);
                 const distB = b.position.distanceToSquared(_camera.position);
                 return distB - distA; // Far to near
             });
 
-        for (const entity of sortedEntities) {
-            _drawSprite(entity);
+        for (const sprite of sprites) {
+            _drawSprite(sprite.entity, sprite.position);
         }
     }
 
     /**
      * Draw a single sprite
      * @param {Object} entity - Entity to draw
+     * @param {Vector3} position - World position to draw it at
      */
-    function _drawSprite(entity) {
-        const spritePos = new Vector3().copy(entity.position).subtract(_camera.position);
+    function _drawSprite(entity, position) {
+        const spritePos = new Vector3().copy(position).subtract(_camera.position);
 
-        // Transform sprite with the inverse camera matrix
-        // Camera matrix is a rotation around y-axis and then translation
-        // First, rotate around y-axis
-        const invDet = 1.0 / (_camera.direction.z * _camera.planeDistance - _camera.direction.x * -_camera.planeDistance);
+        // Transform sprite into camera space
+        // transformX is the offset to the right of the view, transformY the depth
+        const right = _camera.plane;
+        const planeLength = Math.tan(_fovRad / 2);
+        const transformX = (right.x * spritePos.x + right.z * spritePos.z) / planeLength;
+        const transformY = _camera.forward.x * spritePos.x + _camera.forward.z * spritePos.z;
 
-        const transformX = invDet * (_camera.direction.z * spritePos.x - _camera.direction.x * spritePos.z);
-        const transformY = invDet * (-_camera.planeDistance * spritePos.x + _camera.planeDistance * spritePos.z);
+        // Nothing to draw behind the camera
+        if (transformY <= 0) return;
 
-        const spriteScreenX = Math.floor((_halfWidth) * (1 + transformX / transformY));
+        const spriteScreenX = Math.floor(_halfWidth + transformX / transformY * _focalLength);
 
-        const spriteSize = Math.abs(Math.floor(_height / transformY));
+        // Entities may be drawn smaller or larger than a cell
+        const scale = entity.scale || 1;
+        const spriteSize = Math.abs(Math.floor(_focalLength / transformY * scale));
         const halfSpriteSize = spriteSize / 2;
 
-        const drawStartY = Math.max(0, Math.floor(_halfHeight - halfSpriteSize));
-        const drawEndY = Math.min(_height, Math.floor(_halfHeight + halfSpriteSize));
+        // Sprites are centered on their world height relative to the eye
+        const spriteScreenY = _horizon - spritePos.y / transformY * _focalLength;
+
+        const drawStartY = Math.max(0, Math.floor(spriteScreenY - halfSpriteSize));
+        const drawEndY = Math.min(_height, Math.floor(spriteScreenY + halfSpriteSize));
 
         const drawStartX = Math.max(0, Math.floor(spriteScreenX - halfSpriteSize));
         const drawEndX = Math.min(_width, Math.floor(spriteScreenX + halfSpriteSize));
 
-        const spriteTexture = _textures.sprites[entity.textureId % _textures.sprites.length];
+        const textureSet = _textures[entity.spriteSet || 'sprites'];
+        const spriteTexture = textureSet[entity.textureId % textureSet.length];
+        const size = _settings.textureSize;
+        const pixels = spriteTexture.pixels;
+
+        // Sprite sheets hold a frame per animation step and view angle
+        let offsetX = 0;
+        let offsetY = 0;
+        let mirror = false;
+        if (spriteTexture.sheet) {
+            const cell = _getSheetCell(spriteTexture.sheet, entity, position);
+            offsetX = cell.column * size;
+            offsetY = cell.row * size;
+            mirror = cell.mirror;
+        }
+
+        // Fog depends only on the sprite's distance
+        let fogFactor = 0;
+        if (_settings.fogEnabled) {
+            const distance = position.distanceTo(_camera.position);
+            fogFactor = Math.min(1, distance / _settings.fogDistance);
+        }
 
         // Draw the sprite
         for (let x = drawStartX; x < drawEndX; x++) {
             if (transformY > 0 && transformY < _zbuffer[x]) {
-                const texX = Math.floor((x - (spriteScreenX - halfSpriteSize)) * _settings.textureSize / spriteSize);
-
-                if (texX >= 0 && texX < _settings.textureSize) {
-                    const texCtx = spriteTexture.getContext('2d');
-                    const texData = texCtx.getImageData(texX, 0, 1, _settings.textureSize).data;
+                const texX = Math.floor((x - (spriteScreenX - halfSpriteSize)) * size / spriteSize);
 
+                if (texX >= 0 && texX < size) {
                     for (let y = drawStartY; y < drawEndY; y++) {
-                        const texY = Math.floor((y - drawStartY) * _settings.textureSize / spriteSize);
+                        const texY = Math.floor((y - (spriteScreenY - halfSpriteSize)) * size / spriteSize);
+                        if (texY < 0 || texY >= size) continue;
 
-                        const texIndex = texY * 4;
-                        const r = texData[texIndex];
-                        const g = texData[texIndex + 1];
-                        const b = texData[texIndex + 2];
-                        const a = texData[texIndex + 3];
+                        const srcX = offsetX + (mirror ? size - 1 - texX : texX);
+                        const texel = pixels[(offsetY + texY) * spriteTexture.width + srcX];
+                        const a = texel >>> 24;
 
                         if (a > 0) {
-                            let fogFactor = 0;
-                            if (_settings.fogEnabled) {
-                                const distance = entity.position.distanceTo(_camera.position);
-                                fogFactor = Math.min(1, distance / _settings.fogDistance);
-                            }
-
-                            let finalR = r, finalG = g, finalB = b;
-                            if (_settings.fogEnabled && fogFactor > 0) {
-                                const fogColor = _hexToRgb(_settings.fogColor);
-                                finalR = Math.floor(r * (1 - fogFactor) + fogColor.r * fogFactor);
-                                finalG = Math.floor(g * (1 - fogFactor) + fogColor.g * fogFactor);
-                                finalB = Math.floor(b * (1 - fogFactor) + fogColor.b * fogFactor);
-                            }
-
-                            _ctx.fillStyle = `rgba(${finalR},${finalG},${finalB},${a / 255})`;
-                            _ctx.fillRect(x, y, 1, 1);
+                            _blendPixel(y * _width + x, _shadeTexel(texel, 1, fogFactor), a);
                         }
                     }
                 }
@@ -655,6 +1404,46 @@
         }
     }
 
+    /**
+     * Pick the sprite sheet cell for an entity's animation frame and the angle it is seen from
+     * @param {Object} sheet - Sprite sheet layout
+     * @param {Object} entity - Entity with animationFrame and rotation
+     * @param {Vector3} position - Position the entity is drawn at
+     * @returns {Object} Cell {column, row, mirror}
+     */
+    function _getSheetCell(sheet, entity, position) {
+        const column = Utils.clamp(Math.floor(entity.animationFrame || 0), 0, sheet.frames - 1);
+
+        // Angle from the entity to the camera, relative to the way it faces
+        const count = sheet.rotations.length;
+        const toCamera = Math.atan2(_camera.position.x - position.x, _camera.position.z - position.z);
+        const step = Math.round((toCamera - (entity.rotation || 0)) / (Math.PI * 2 / count));
+        const view = sheet.rotations[((step % count) + count) % count];
+
+        return { column, row: view.row, mirror: view.mirror };
+    }
+
+    /**
+     * Blend a pixel into the framebuffer
+     * @param {number} index - Framebuffer index
+     * @param {number} color - Packed opaque source pixel
+     * @param {number} alpha - Source alpha (0-255)
+     */
+    function _blendPixel(index, color, alpha) {
+        if (alpha >= 255) {
+            _frameBuffer[index] = color;
+            return;
+        }
+
+        const dst = _frameBuffer[index];
+        const t = alpha / 255;
+        const r = Math.round((color & 255) * t + (dst & 255) * (1 - t));
+        const g = Math.round(((color >> 8) & 255) * t + ((dst >> 8) & 255) * (1 - t));
+        const b = Math.round(((color >> 16) & 255) * t + ((dst >> 16) & 255) * (1 - t));
+
+        _frameBuffer[index] = _packColor(r, g, b);
+    }
+
     /**
      * Draw the player's weapon
      * @param {Object} weapon - Weapon data
@@ -670,10 +1459,18 @@
 
         // Apply weapon bobbing effect based on movement
         const bobAmount = weapon.bobbing || 0;
-        const adjustedY = drawY + Math.floor(Math.sin(Date.now() / 150) * bobAmount);
+        let adjustedY = drawY + Math.floor(Math.sin(Utils.gameTime() / 150) * bobAmount);
+
+        // Drop out of view while being switched
+        adjustedY += Math.floor((weapon.lowered || 0) * weaponHeight);
+
+        // Punch up and in towards the crosshair during a melee swing
+        const punch = Math.sin((weapon.swing || 0) * Math.PI);
+        const adjustedX = drawX - Math.floor(punch * weaponWidth * 0.2);
+        adjustedY -= Math.floor(punch * weaponHeight * 0.4);
 
         // Draw weapon
-        _ctx.drawImage(weaponTexture, drawX, adjustedY);
+        _ctx.drawImage(weaponTexture, adjustedX, adjustedY);
 
         // Apply muzzle flash if shooting
         if (weapon.isShooting) {
@@ -712,6 +1509,9 @@
         // Calculate FOV in radians
         _fovRad = Utils.degreesToRadians(_fov);
 
+        // Fog color is blended per pixel, so parse it once
+        _fogRgb = _hexToRgb(_settings.fogColor);
+
         // Initial resize
         resize();
 
@@ -740,6 +1540,9 @@
             
             // Update camera direction vector
             _camera.direction = Math3D.eulerToDirection(_camera.pitch, _camera.yaw);
+
+            // Update camera plane and horizon
+            _updateProjection();
         } catch (error) {
             console.error('Error setting camera:', error);
         }
@@ -750,7 +1553,8 @@
         setCamera: setCamera,
         resize: resize,
         render: render,
-        clear: clear
+        clear: clear,
+        getAimPoint: getAimPoint
     };
 
     console.log('Renderer functions defined:', Object.keys(rendererAPI).join(', '));
@@ -0,0 +1,169 @@
+/**
+ * Stats module for the FPS game
+ * Tracks what the player did on each level from Player and Enemy events
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+
+    // Private variables
+    let _current = null;       // Record of the level being played, null between levels
+    let _levels = [];          // Records of finished levels, oldest first
+    let _shotLanded = false;   // Whether the last shot has been counted as a hit
+    let _unsubscribers = [];
+
+    /**
+     * Initialize the stats tracker
+     * Listens to the player, enemies and projectiles
+     */
+    function init() {
+        // Drop listeners from a previous init
+        _unsubscribers.forEach(unsubscribe => unsubscribe());
+        _unsubscribers = [];
+
+        if (MyApp.Player) {
+            // Each shot counts once however many pellets hit
+            _unsubscribers.push(MyApp.Player.on('shoot', () => {
+                if (!_current) return;
+                _current.shotsFired++;
+                _shotLanded = false;
+            }));
+            _unsubscribers.push(MyApp.Player.on('hit', _countShotHit));
+            _unsubscribers.push(MyApp.Player.on('meleeHit', _countShotHit));
+
+            _unsubscribers.push(MyApp.Player.on('damage', (amount) => {
+                if (_current) _current.damageTaken += amount;
+            }));
+            _unsubscribers.push(MyApp.Player.on('pickup', () => {
+                if (_current) _current.pickups++;
+            }));
+            _unsubscribers.push(MyApp.Player.on('kill', (enemy) => {
+                if (!_current) return;
+                _current.kills++;
+                _current.killsByType[enemy.type] = (_current.killsByType[enemy.type] || 0) + 1;
+            }));
+        } else {
+            console.error('Stats needs the Player module to track the player');
+        }
+
+        if (MyApp.Enemy) {
+            // Damage beyond what was needed to kill doesn't count
+            _unsubscribers.push(MyApp.Enemy.on('hurt', (enemy, amount) => {
+                if (_current) _current.damageDealt += amount;
+            }));
+            _unsubscribers.push(MyApp.Enemy.on('death', (enemy, info, overkill) => {
+                if (_current) _current.damageDealt -= overkill;
+            }));
+        }
+
+        // Rockets and plasma land after the shot, each one counts as a hit
+        if (MyApp.Projectile) {
+            _unsubscribers.push(MyApp.Projectile.on('hit', (projectile) => {
+                if (_current && projectile.faction === 'player') {
+                    _current.shotsHit++;
+                }
+            }));
+        }
+
+        if (MyApp.Game) {
+            _unsubscribers.push(MyApp.Game.on('secretFound', () => {
+                if (_current) _current.secrets++;
+            }));
+        }
+
+        reset();
+        console.log('Stats initialized');
+    }
+
+    /**
+     * Count a landed shot once
+     */
+    function _countShotHit() {
+        if (!_current || _shotLanded) return;
+        _current.shotsHit++;
+        _shotLanded = true;
+    }
+
+    /**
+     * Start recording a level
+     * @param {number} level - Level number
+     */
+    function startLevel(level) {
+        _current = {
+            level,
+            startTime: Utils.gameTime(),
+            time: 0,
+            shotsFired: 0,
+            shotsHit: 0,
+            accuracy: 0,
+            damageDealt: 0,
+            damageTaken: 0,
+            pickups: 0,
+            secrets: 0,
+            kills: 0,
+            killsByType: {} // Kills by archetype id
+        };
+        _shotLanded = false;
+    }
+
+    /**
+     * Stop recording the current level and keep its record
+     * @returns {Object|null} Record of the finished level, or null if none was being recorded
+     */
+    function endLevel() {
+        if (!_current) {
+            console.error('No level is being recorded');
+            return null;
+        }
+
+        const record = getLevel();
+        _levels.push(record);
+        _current = null;
+        return record;
+    }
+
+    /**
+     * Get the record of the level being played so far
+     * @returns {Object|null} {level, time, shotsFired, shotsHit, accuracy, damageDealt, damageTaken,
+     *                         pickups, secrets, kills, killsByType}, or null between levels
+     */
+    function getLevel() {
+        if (!_current) return null;
+
+        return {
+            ..._current,
+            killsByType: { ..._current.killsByType },
+            time: Utils.gameTime() - _current.startTime,
+            accuracy: _current.shotsFired > 0 ? Math.min(1, _current.shotsHit / _current.shotsFired) : 0
+        };
+    }
+
+    /**
+     * Get the records of the finished levels
+     * @returns {Array} Level records, oldest first
+     */
+    function getLevels() {
+        return [..._levels];
+    }
+
+    /**
+     * Forget every level, for a new run
+     */
+    function reset() {
+        _current = null;
+        _levels = [];
+        _shotLanded = false;
+    }
+
+    // Export the public API
+    MyApp.Stats = {
+        init,
+        startLevel,
+        endLevel,
+        getLevel,
+        getLevels,
+        reset
+    };
+
+    console.log('Stats module loaded');
+})(window.MyApp || (window.MyApp = {}));
@@ -11,7 +11,7 @@
     let _ctx = null;
     let _width = 0;
     let _height = 0;
-    let _gameState = 'menu'; // 'menu', 'playing', 'paused', 'gameover'
+    let _gameState = 'menu'; // 'menu', 'playing', 'paused', 'intermission', 'gameover'
     let _menuSelection = 0;
     let _damageOverlay = {
         active: false,
@@ -20,6 +20,16 @@
         direction: { x: 0, y: 0 }
     };
     let _messageQueue = [];
+    let _loadoutDisplay = {
+        loadout: null, // Loadout from the last weapon change
+        time: 0
+    };
+    let _intermission = {
+        stats: null,  // Stats of the level just finished
+        time: 0,      // When the screen came up
+        skipped: false // Whether the counters were skipped to their totals
+    };
+    let _unsubscribers = [];
     let _showFps = false;
     let _fpsCounter = {
         frames: 0,
@@ -39,12 +49,26 @@
         crosshairThickness: 2,
         crosshairColor: '#fff',
         damageFadeTime: 500, // ms
-        damageOverlayColor: '#f00'
+        damageOverlayColor: '#f00',
+        loadoutTimeVisible: 2000, // ms
+        loadoutSelectedColor: '#fd3',
+        intermissionRowDelay: 500, // ms between intermission counters starting
+        intermissionCountTime: 800, // ms for an intermission counter to reach its total
+        intermissionTitleColor: '#f33',
+        intermissionLabelColor: '#fd3',
+        waveColor: '#0ff',
+        bossWaveColor: '#f55',
+        keyColors: {
+            red: '#d22',
+            blue: '#26d',
+            yellow: '#dc2'
+        }
     };
 
     // Menu items
     const _menuItems = [
         { label: 'Start Game', action: 'startGame' },
+        { label: 'Survival', action: 'startWaves' },
         { label: 'Options', action: 'showOptions' },
         { label: 'Controls', action: 'showControls' },
         { label: 'Credits', action: 'showCredits' }
@@ -67,6 +91,10 @@
         _width = canvas.width;
         _height = canvas.height;
 
+        // Drop listeners from a previous init
+        _unsubscribers.forEach(unsubscribe => unsubscribe());
+        _unsubscribers = [];
+
         // Set up input handlers for UI
         _setupInput();
 
@@ -75,6 +103,11 @@
             _setupPlayerEvents();
         }
 
+        // Set up survival wave announcements
+        if (MyApp.Waves) {
+            _setupWaveEvents();
+        }
+
         console.log('UI initialized');
     }
 
@@ -88,7 +121,7 @@
         }
 
         // Listen for key presses
-        MyApp.Input.on('keyDown', (key) => {
+        _unsubscribers.push(MyApp.Input.on('keyDown', (key) => {
             // Toggle FPS counter with F key
             if (key === 'f') {
                 _showFps = !_showFps;
@@ -108,6 +141,15 @@
                 }
             }
 
+            // Skip the intermission counters, then move on to the next level
+            if (_gameState === 'intermission' && key === 'enter') {
+                if (!_isIntermissionDone()) {
+                    _intermission.skipped = true;
+                } else if (MyApp.Game) {
+                    MyApp.Game.nextLevel();
+                }
+            }
+
             // Pause/unpause with P key instead of ESC
             if (key === 'p') {
                 if (_gameState === 'playing') {
@@ -118,10 +160,10 @@
                     if (MyApp.Game) MyApp.Game.resumeGame();
                 }
             }
-        });
+        }));
 
         // Listen for menu clicks
-        MyApp.Input.on('menuClick', (x, y) => {
+        _unsubscribers.push(MyApp.Input.on('menuClick', (x, y) => {
             if (_gameState !== 'menu') return;
 
             console.log('Menu click at:', x, y);
@@ -141,7 +183,7 @@
                     break;
                 }
             }
-        });
+        }));
     }
 
     /**
@@ -149,7 +191,7 @@
      */
     function _setupPlayerEvents() {
         // Listen for damage events
-        MyApp.Player.on('damage', (amount, direction) => {
+        _unsubscribers.push(MyApp.Player.on('damage', (amount, direction) => {
             // Show damage overlay
             _damageOverlay.active = true;
             _damageOverlay.alpha = Math.min(0.7, amount / 50); // Alpha based on damage amount
@@ -160,48 +202,76 @@
             if (amount > 20) {
                 addMessage('Heavy damage taken!', '#f55');
             }
-        });
+        }));
 
         // Listen for heal events
-        MyApp.Player.on('heal', (amount) => {
+        _unsubscribers.push(MyApp.Player.on('heal', (amount) => {
             addMessage(`+${amount} Health`, '#5f5');
-        });
+        }));
 
         // Listen for armor pickup events
-        MyApp.Player.on('armorPickup', (amount) => {
+        _unsubscribers.push(MyApp.Player.on('armorPickup', (amount) => {
             addMessage(`+${amount} Armor`, '#5af');
-        });
+        }));
 
         // Listen for ammo pickup events
-        MyApp.Player.on('ammoPickup', (amount) => {
+        _unsubscribers.push(MyApp.Player.on('ammoPickup', (amount) => {
             addMessage(`+${amount} Ammo`, '#fd5');
-        });
+        }));
 
-        // Listen for weapon change events
-        MyApp.Player.on('weaponChange', (newWeapon, oldWeapon) => {
-            addMessage(`Weapon changed to ${newWeapon.toUpperCase()}`, '#fff');
-        });
+        // Listen for weapon pickup events
+        _unsubscribers.push(MyApp.Player.on('weaponPickup', (weaponType) => {
+            const definition = MyApp.Weapons ? MyApp.Weapons.get(weaponType) : null;
+            addMessage(`Picked up ${(definition ? definition.name : weaponType).toUpperCase()}`, '#fff');
+        }));
+
+        // Show the loadout briefly when switching weapons
+        _unsubscribers.push(MyApp.Player.on('weaponChange', (newWeapon, oldWeapon, loadout) => {
+            _loadoutDisplay.loadout = loadout;
+            _loadoutDisplay.time = Utils.now();
+        }));
 
         // Listen for kill events
-        MyApp.Player.on('kill', (enemy) => {
-            addMessage('Enemy killed! +100 score', '#f55');
-        });
+        _unsubscribers.push(MyApp.Player.on('kill', (enemy, location) => {
+            addMessage(location === 'head' ? 'Headshot!' : 'Enemy killed! +100 score', '#f55');
+        }));
 
         // Listen for reload events
-        MyApp.Player.on('reload', (weaponType) => {
+        _unsubscribers.push(MyApp.Player.on('reload', (weaponType) => {
             addMessage('Reloading...', '#aaa');
-        });
+        }));
 
         // Listen for reload complete events
-        MyApp.Player.on('reloadComplete', (weaponType) => {
+        _unsubscribers.push(MyApp.Player.on('reloadComplete', (weaponType) => {
             addMessage('Reload complete', '#aaa');
-        });
+        }));
 
         // Listen for death events
-        MyApp.Player.on('death', () => {
+        _unsubscribers.push(MyApp.Player.on('death', () => {
             setGameState('gameover');
             addMessage('YOU DIED', '#f00', 5000);
-        });
+        }));
+    }
+
+    /**
+     * Set up survival wave listeners
+     */
+    function _setupWaveEvents() {
+        _unsubscribers.push(MyApp.Waves.on('waveStart', (wave, boss) => {
+            if (boss) {
+                addMessage(`BOSS WAVE ${wave}`, _settings.bossWaveColor, 3000, 'bold 32px Arial');
+            } else {
+                addMessage(`WAVE ${wave}`, _settings.waveColor, 3000, 'bold 32px Arial');
+            }
+        }));
+
+        _unsubscribers.push(MyApp.Waves.on('waveComplete', (wave) => {
+            addMessage(`Wave ${wave} cleared!`, '#ffff00', 3000);
+        }));
+
+        _unsubscribers.push(MyApp.Waves.on('resupply', () => {
+            addMessage('Resupplied', '#5f5');
+        }));
     }
 
     /**
@@ -225,6 +295,17 @@
                     console.error('Game module not available!');
                 }
                 break;
+            case 'startWaves':
+                console.log('Starting survival from menu selection');
+                if (MyApp.Game) {
+                    setGameState('playing');
+                    setTimeout(() => {
+                        MyApp.Game.startGame({ mode: MyApp.Game.GAME_MODE.WAVES });
+                    }, 100);
+                } else {
+                    console.error('Game module not available!');
+                }
+                break;
             case 'showOptions':
                 console.log('Options menu selected (not implemented)');
                 // TODO: Show options menu
@@ -278,6 +359,9 @@
                 _renderHud(player);
                 _renderPauseScreen();
                 break;
+            case 'intermission':
+                _renderIntermission();
+                break;
             case 'gameover':
                 _renderGameOver(player);
                 break;
@@ -351,9 +435,17 @@
         // Draw ammo counter
         _renderAmmoCounter(player);
 
+        // Draw loadout after a weapon change
+        _renderLoadout();
+
         // Draw score
         _renderScore(player);
 
+        // Draw the wave counter in survival
+        if (_isWaveMode()) {
+            _renderWaves();
+        }
+
         // Draw messages
         _renderMessages();
 
@@ -370,7 +462,10 @@
      * Render the crosshair
      */
     function _renderCrosshair() {
-        const center = { x: _width / 2, y: _height / 2 };
+        // Follow the renderer's aim point so the crosshair matches where shots go
+        const center = MyApp.Renderer && MyApp.Renderer.getAimPoint ?
+            MyApp.Renderer.getAimPoint() :
+            { x: _width / 2, y: _height / 2 };
         const size = _settings.crosshairSize;
         const thickness = _settings.crosshairThickness;
 
@@ -454,16 +549,23 @@
         _ctx.textAlign = 'right';
         _ctx.textBaseline = 'bottom';
 
-        // Draw current/max ammo
-        _ctx.fillText(`${player.weapon.ammo}/${player.weapon.maxAmmo}`, x, y);
+        // Draw current/max ammo, melee weapons have none
+        if (player.weapon.melee) {
+            _ctx.fillText('--', x, y);
+        } else {
+            _ctx.fillText(`${player.weapon.ammo}/${player.weapon.maxAmmo}`, x, y);
+        }
 
-        // Draw total ammo
+        // Draw reserve ammo for the current weapon
         _ctx.fillStyle = _settings.hudColor;
         _ctx.font = '18px Arial';
-        _ctx.fillText(`AMMO: ${player.totalAmmo}`, x, y - 40);
+        if (!player.weapon.melee) {
+            const reserve = player.ammo ? player.ammo[player.weapon.ammoType] || 0 : 0;
+            _ctx.fillText(`AMMO: ${reserve}`, x, y - 40);
+        }
 
         // Draw weapon name
-        _ctx.fillText(`WEAPON: ${player.weapon.type.toUpperCase()}`, x, y - 70);
+        _ctx.fillText(`WEAPON: ${(player.weapon.name || player.weapon.type).toUpperCase()}`, x, y - 70);
 
         // Draw reload message if reloading
         if (player.weapon.isReloading) {
@@ -472,6 +574,36 @@
         }
     }
 
+    /**
+     * Render the owned weapons by slot, highlighting the selected one
+     */
+    function _renderLoadout() {
+        const loadout = _loadoutDisplay.loadout;
+        if (!loadout) return;
+
+        const age = Utils.now() - _loadoutDisplay.time;
+        if (age >= _settings.loadoutTimeVisible) {
+            _loadoutDisplay.loadout = null;
+            return;
+        }
+
+        const rowHeight = 22;
+        const x = _width - 10;
+        let y = _height - 140 - loadout.weapons.length * rowHeight;
+
+        _ctx.font = '16px Arial';
+        _ctx.textAlign = 'right';
+        _ctx.textBaseline = 'top';
+
+        for (const weapon of loadout.weapons) {
+            const selected = weapon.type === loadout.current;
+            const ammo = weapon.ammoType ? `  ${weapon.ammo}/${loadout.ammo[weapon.ammoType] || 0}` : '';
+            _ctx.fillStyle = selected ? _settings.loadoutSelectedColor : _settings.hudColor;
+            _ctx.fillText(`${weapon.slot} ${weapon.name.toUpperCase()}${ammo}`, x, y);
+            y += rowHeight;
+        }
+    }
+
     /**
      * Render score display
      * @param {Object} player - Player state
@@ -489,6 +621,66 @@
         // Draw kills count
         _ctx.font = '18px Arial';
         _ctx.fillText(`KILLS: ${player.kills}`, padding, padding + 30);
+
+        // Draw held keycards
+        if (player.keys && player.keys.length > 0) {
+            _renderKeys(player.keys, padding, padding + 60);
+        }
+    }
+
+    /**
+     * Check if the current game is survival
+     * @returns {boolean} True in wave mode
+     */
+    function _isWaveMode() {
+        return !!MyApp.Game && !!MyApp.Waves && MyApp.Game.getMode() === MyApp.Game.GAME_MODE.WAVES;
+    }
+
+    /**
+     * Render the wave counter with the enemies left, or the countdown to the next wave
+     */
+    function _renderWaves() {
+        const state = MyApp.Waves.getState();
+        const padding = 10;
+
+        _ctx.textAlign = 'center';
+        _ctx.textBaseline = 'top';
+
+        // Draw wave number
+        _ctx.fillStyle = state.boss ? _settings.bossWaveColor : _settings.waveColor;
+        _ctx.font = 'bold 24px Arial';
+        _ctx.fillText(state.wave > 0 ? `WAVE ${state.wave}` : 'GET READY', _width / 2, padding);
+
+        // Draw enemies left, or the countdown between waves
+        _ctx.fillStyle = _settings.hudColor;
+        _ctx.font = '18px Arial';
+        if (state.phase === MyApp.Waves.PHASE.INTERMISSION) {
+            _ctx.fillText(`NEXT WAVE IN ${Math.ceil(state.countdown / 1000)}`, _width / 2, padding + 30);
+        } else {
+            _ctx.fillText(`ENEMIES: ${state.remaining}`, _width / 2, padding + 30);
+        }
+    }
+
+    /**
+     * Render held keycards as colored cards
+     * @param {Array} keys - Key colors
+     * @param {number} x - Left position
+     * @param {number} y - Top position
+     */
+    function _renderKeys(keys, x, y) {
+        const cardWidth = 14;
+        const cardHeight = 20;
+
+        keys.forEach((color, i) => {
+            const cardX = x + i * (cardWidth + 6);
+
+            _ctx.fillStyle = _settings.keyColors[color] || color;
+            _ctx.fillRect(cardX, y, cardWidth, cardHeight);
+
+            _ctx.strokeStyle = _settings.hudColor;
+            _ctx.lineWidth = 1;
+            _ctx.strokeRect(cardX, y, cardWidth, cardHeight);
+        });
     }
 
     /**
@@ -588,6 +780,113 @@
         _ctx.fillText('Press P to resume', _width / 2, _height / 2 + 50);
     }
 
+    /**
+     * Get the intermission rows, in the order they count up
+     * @param {Object} stats - Level stats
+     * @returns {Array} Rows {label, value, format}
+     */
+    function _getIntermissionRows(stats) {
+        const formatTime = (ms) => {
+            const seconds = Math.floor(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+
+        return [
+            { label: 'KILLS', value: stats.kills || 0 },
+            { label: 'ACCURACY', value: Math.round((stats.accuracy || 0) * 100), format: value => `${value}%` },
+            { label: 'DAMAGE DEALT', value: Math.round(stats.damageDealt || 0) },
+            { label: 'DAMAGE TAKEN', value: Math.round(stats.damageTaken || 0) },
+            { label: 'PICKUPS', value: stats.pickups || 0 },
+            { label: 'SECRETS', value: stats.secrets || 0 },
+            { label: 'TIME', value: stats.time || 0, format: formatTime }
+        ];
+    }
+
+    /**
+     * Check if every intermission counter has reached its total
+     * @returns {boolean} True once done counting
+     */
+    function _isIntermissionDone() {
+        if (_intermission.skipped || !_intermission.stats) return true;
+
+        const rows = _getIntermissionRows(_intermission.stats).length;
+        const total = (rows - 1) * _settings.intermissionRowDelay + _settings.intermissionCountTime;
+        return Utils.now() - _intermission.time >= total;
+    }
+
+    /**
+     * Render the intermission between levels
+     * The stats count up one after another, like DOOM's tally screen
+     */
+    function _renderIntermission() {
+        const stats = _intermission.stats;
+        if (!stats) return;
+
+        const age = Utils.now() - _intermission.time;
+        const done = _isIntermissionDone();
+
+        // Draw background
+        _ctx.fillStyle = '#000000';
+        _ctx.fillRect(0, 0, _width, _height);
+        _ctx.fillStyle = 'rgba(60, 10, 10, 0.6)';
+        _ctx.fillRect(0, 0, _width, _height);
+
+        // Draw title
+        _ctx.fillStyle = _settings.intermissionTitleColor;
+        _ctx.font = 'bold 40px Arial';
+        _ctx.textAlign = 'center';
+        _ctx.textBaseline = 'middle';
+        _ctx.fillText(`LEVEL ${stats.level}`, _width / 2, _height * 0.12);
+        _ctx.font = 'bold 28px Arial';
+        _ctx.fillText('FINISHED', _width / 2, _height * 0.12 + 40);
+
+        // Draw each counter once its turn comes, counting up to its total
+        const rows = _getIntermissionRows(stats);
+        const rowHeight = 34;
+        const top = _height * 0.3;
+        _ctx.font = 'bold 24px Arial';
+
+        rows.forEach((row, i) => {
+            const rowAge = age - i * _settings.intermissionRowDelay;
+            if (!done && rowAge < 0) return;
+
+            const progress = done ? 1 : Math.min(1, rowAge / _settings.intermissionCountTime);
+            const value = Math.floor(row.value * progress);
+            const y = top + i * rowHeight;
+
+            _ctx.textAlign = 'left';
+            _ctx.fillStyle = _settings.intermissionLabelColor;
+            _ctx.fillText(row.label, _width / 2 - 180, y);
+
+            _ctx.textAlign = 'right';
+            _ctx.fillStyle = _settings.hudColor;
+            _ctx.fillText(row.format ? row.format(value) : String(value), _width / 2 + 180, y);
+        });
+
+        if (!done) return;
+
+        // Draw kills by enemy type once the counters are done
+        const kills = Object.entries(stats.killsByType || {})
+            .map(([type, count]) => {
+                const archetype = MyApp.Archetypes ? MyApp.Archetypes.get(type) : null;
+                return `${(archetype ? archetype.name : type).toUpperCase()} x${count}`;
+            });
+        if (kills.length > 0) {
+            _ctx.textAlign = 'center';
+            _ctx.fillStyle = _settings.hudColor;
+            _ctx.font = '18px Arial';
+            _ctx.fillText(kills.join('   '), _width / 2, top + rows.length * rowHeight + 10);
+        }
+
+        // Blink the continue instruction
+        if (Math.floor(Utils.now() / 500) % 2 === 0) {
+            _ctx.textAlign = 'center';
+            _ctx.fillStyle = _settings.hudColor;
+            _ctx.font = '24px Arial';
+            _ctx.fillText('Press ENTER to continue', _width / 2, _height - 60);
+        }
+    }
+
     /**
      * Render the game over screen
      * @param {Object} player - Player state
@@ -610,6 +909,11 @@
         _ctx.fillText(`Score: ${player.score}`, _width / 2, _height / 2);
         _ctx.fillText(`Kills: ${player.kills}`, _width / 2, _height / 2 + 40);
 
+        // Draw how far survival got
+        if (_isWaveMode()) {
+            _ctx.fillText(`Wave reached: ${MyApp.Waves.getState().wave}`, _width / 2, _height / 2 + 80);
+        }
+
         // Draw restart instruction
         _ctx.font = '24px Arial';
         _ctx.fillText('Press ENTER to restart', _width / 2, _height / 2 + 120);
@@ -694,12 +998,23 @@
         }
     }
 
+    /**
+     * Show the intermission for a finished level until the player moves on
+     * @param {Object} stats - Level stats, see Stats.getLevel
+     */
+    function showIntermission(stats) {
+        _intermission.stats = stats;
+        _intermission.time = Utils.now();
+        _intermission.skipped = false;
+        setGameState('intermission');
+    }
+
     /**
      * Set the game state
      * @param {string} state - New state
      */
     function setGameState(state) {
-        if (['menu', 'playing', 'paused', 'gameover'].includes(state)) {
+        if (['menu', 'playing', 'paused', 'intermission', 'gameover'].includes(state)) {
             console.log(`Game state changing from ${_gameState} to ${state}`);
             _gameState = state;
 
@@ -733,6 +1048,7 @@
         init,
         render,
         addMessage,
+        showIntermission,
         setGameState,
         getGameState
     };
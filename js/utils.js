@@ -5,14 +5,124 @@
     // Private variables
     const _private = {};
 
+    // Seeded random number generation
+    // Every stream is derived from the run seed and its name, so drawing from one
+    // stream never shifts the sequence of another
+    const _random = {
+        seed: 1,
+        streams: {}
+    };
+
+    const DEFAULT_STREAM = 'misc';
+
+    // Simulation clock, advanced only by fixed game ticks
+    const _clock = {
+        time: 0
+    };
+
+    /**
+     * Hash a list of integers into a 32-bit seed
+     * @param {...number} values - Values to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    function hashSeed(...values) {
+        let h = 0x811C9DC5;
+        for (const value of values) {
+            h = Math.imul(h ^ (value | 0), 0x85EBCA6B);
+            h ^= h >>> 13;
+            h = Math.imul(h ^ Math.floor(value / 4294967296), 0xC2B2AE35);
+            h ^= h >>> 16;
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * Hash a string into a 32-bit value
+     * @param {string} text - Text to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    function _hashString(text) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * Create a deterministic random number generator (mulberry32)
+     * @param {number} seed - 32-bit seed
+     * @returns {Function} Function returning numbers in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Seed all random streams
+     * The same seed and the same inputs reproduce the same run
+     * @param {number} seed - Run seed
+     */
+    function seedRandom(seed) {
+        _random.seed = seed;
+        _random.streams = {};
+    }
+
+    /**
+     * Get the current run seed
+     * @returns {number} Run seed
+     */
+    function getRandomSeed() {
+        return _random.seed;
+    }
+
+    /**
+     * Get a named random stream, creating it on first use
+     * @param {string} stream - Stream name ('map', 'ai', 'loot', 'weapons', ...)
+     * @returns {Function} Stream generator
+     */
+    function _getStream(stream) {
+        if (!_random.streams[stream]) {
+            _random.streams[stream] = createRandom(hashSeed(_random.seed, _hashString(stream)));
+        }
+        return _random.streams[stream];
+    }
+
+    /**
+     * Generates a random number in [0, 1)
+     * @param {string} stream - Random stream to draw from
+     * @returns {number} Random number
+     */
+    function random(stream = DEFAULT_STREAM) {
+        return _getStream(stream)();
+    }
+
     /**
      * Generates a random integer between min and max (inclusive)
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
+     * @param {string} stream - Random stream to draw from
      * @returns {number} Random integer
      */
-    function randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    function randomInt(min, max, stream = DEFAULT_STREAM) {
+        return Math.floor(random(stream) * (max - min + 1)) + min;
+    }
+
+    /**
+     * Generates a random number between min and max
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @param {string} stream - Random stream to draw from
+     * @returns {number} Random number
+     */
+    function randomFloat(min, max, stream = DEFAULT_STREAM) {
+        return min + random(stream) * (max - min);
     }
 
     /**
@@ -104,6 +214,30 @@
         return performance.now();
     }
 
+    /**
+     * Returns the simulation time in milliseconds
+     * Gameplay timers use this instead of now() so they run in tick time
+     * @returns {number} Simulation time
+     */
+    function gameTime() {
+        return _clock.time;
+    }
+
+    /**
+     * Advance the simulation clock by one tick
+     * @param {number} step - Tick duration in milliseconds
+     */
+    function advanceGameTime(step) {
+        _clock.time += step;
+    }
+
+    /**
+     * Reset the simulation clock to zero
+     */
+    function resetGameTime() {
+        _clock.time = 0;
+    }
+
     /**
      * Formats a number with leading zeros
      * @param {number} num - Number to format
@@ -154,7 +288,7 @@
      */
     function createGuid() {
         return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
-            const r = Math.random() * 16 | 0;
+            const r = random('ids') * 16 | 0;
             const v = c === 'x' ? r : (r & 0x3 | 0x8);
             return v.toString(16);
         });
@@ -216,7 +350,13 @@
 
     // Export public methods to namespace
     MyApp.Utils = {
+        random,
         randomInt,
+        randomFloat,
+        seedRandom,
+        getRandomSeed,
+        createRandom,
+        hashSeed,
         clamp,
         isBetween,
         lerp,
@@ -224,6 +364,9 @@
         resizeCanvas,
         getDevicePixelRatio,
         now,
+        gameTime,
+        advanceGameTime,
+        resetGameTime,
         padNumber,
         degreesToRadians,
         radiansToDegrees,
@@ -0,0 +1,306 @@
+/**
+ * Waves module for the FPS game
+ * Runs survival mode: numbered waves of enemies with a resupply and countdown between them
+ */
+(function (MyApp) {
+    // Dependencies
+    const Utils = MyApp.Utils;
+    const Math3D = MyApp.Math3D;
+    const Vector3 = Math3D.Vector3;
+
+    // Wave phases
+    const PHASE = {
+        INTERMISSION: 'intermission', // Counting down to the next wave
+        FIGHTING: 'fighting'          // A wave is spawning or still alive
+    };
+
+    // Enemies in the first waves by archetype id, later waves grow the last one
+    const WAVES = [
+        { basic: 4 },
+        { basic: 6 },
+        { basic: 5, fast: 2 },
+        { basic: 6, fast: 4 },
+        { basic: 6, fast: 3, tough: 1 },
+        { basic: 7, fast: 4, tough: 2 }
+    ];
+
+    // Private variables
+    let _wave = 0;             // Current wave number, 0 before the first
+    let _phase = PHASE.INTERMISSION;
+    let _phaseStartTime = 0;
+    let _lastSpawnTime = 0;
+    let _queue = [];           // Archetype ids still to spawn this wave
+    let _alive = new Set();    // Spawned enemies of this wave not yet killed
+
+    // Wave settings
+    const _settings = {
+        firstIntermission: 5000, // ms before the first wave
+        intermissionTime: 15000, // ms between waves
+        bossEvery: 5,            // Every Nth wave is a boss wave
+        bossEscortShare: 0.5,    // Share of a regular wave escorting the bosses
+        waveGrowth: 0.25,        // Extra share of the last defined wave per wave past it
+        spawnInterval: 1200,     // ms between spawns within a wave
+        minSpawnDistance: 8,     // Spawn points closer to the player than this are skipped
+        resupplyHealth: 50,
+        resupplyArmor: 25,
+        resupplyAmmo: 0.5,       // Share of each carried ammo type's max handed out
+        weaponRewards: {         // Weapon handed out for clearing a wave, by wave number
+            1: 'shotgun',
+            3: 'rifle',
+            5: 'rocketLauncher',
+            7: 'plasmaGun'
+        }
+    };
+
+    // Event emitter
+    const _events = new Utils.EventEmitter();
+
+    /**
+     * Initialize the waves module
+     * @param {Object} options - Optional configuration
+     */
+    function init(options = {}) {
+        if (options.settings) Object.assign(_settings, options.settings);
+
+        reset();
+        console.log('Waves initialized');
+    }
+
+    /**
+     * Count down, spawn the current wave and move on once it is cleared
+     * @param {number} deltaTime - Tick duration in ms
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     */
+    function update(deltaTime, player, map) {
+        if (!player || player.state === 'dead' || !MyApp.Enemy) {
+            return;
+        }
+
+        const now = Utils.gameTime();
+
+        if (_phase === PHASE.INTERMISSION) {
+            if (now - _phaseStartTime >= _getIntermissionTime()) {
+                _startWave(_wave + 1, now);
+            }
+            return;
+        }
+
+        if (_queue.length > 0 && now - _lastSpawnTime >= _settings.spawnInterval) {
+            _lastSpawnTime = now;
+            _spawnNext(player, map);
+        }
+
+        if (_queue.length === 0 && _alive.size === 0) {
+            _completeWave(now);
+        }
+    }
+
+    /**
+     * Get the enemies making up a wave
+     * @param {number} number - Wave number, from 1
+     * @returns {Object} {number, boss, enemies} with enemy counts by archetype id
+     */
+    function getWave(number) {
+        const index = Math.min(number, WAVES.length) - 1;
+        const growth = 1 + Math.max(0, number - WAVES.length) * _settings.waveGrowth;
+        const boss = number % _settings.bossEvery === 0;
+
+        const enemies = {};
+        for (const [type, count] of Object.entries(WAVES[index])) {
+            const scaled = Math.round(count * growth * (boss ? _settings.bossEscortShare : 1));
+            if (scaled > 0) enemies[type] = scaled;
+        }
+
+        if (boss) {
+            enemies.boss = number / _settings.bossEvery;
+        }
+
+        return { number, boss, enemies };
+    }
+
+    /**
+     * Get the countdown before the next wave
+     * @returns {number} ms
+     */
+    function _getIntermissionTime() {
+        return _wave === 0 ? _settings.firstIntermission : _settings.intermissionTime;
+    }
+
+    /**
+     * Start a wave, queueing its enemies in random order
+     * @param {number} number - Wave number
+     * @param {number} now - Current game time
+     */
+    function _startWave(number, now) {
+        const wave = getWave(number);
+
+        _queue = [];
+        for (const [type, count] of Object.entries(wave.enemies)) {
+            for (let i = 0; i < count; i++) {
+                _queue.push(type);
+            }
+        }
+        for (let i = _queue.length - 1; i > 0; i--) {
+            const j = Utils.randomInt(0, i, 'ai');
+            [_queue[i], _queue[j]] = [_queue[j], _queue[i]];
+        }
+
+        _wave = number;
+        _phase = PHASE.FIGHTING;
+        _phaseStartTime = now;
+        _lastSpawnTime = -Infinity;
+        _alive.clear();
+
+        console.log(`Wave ${number} started: ${_queue.length} enemies${wave.boss ? ' with boss' : ''}`);
+        _events.emit('waveStart', number, wave.boss, _queue.length);
+    }
+
+    /**
+     * Finish the current wave, resupply the player and count down to the next
+     * @param {number} now - Current game time
+     */
+    function _completeWave(now) {
+        _phase = PHASE.INTERMISSION;
+        _phaseStartTime = now;
+
+        console.log(`Wave ${_wave} cleared`);
+        _events.emit('waveComplete', _wave);
+
+        _resupply();
+    }
+
+    /**
+     * Hand out the weapon earned by the wave, then top up the player's health, armor
+     * and the ammo for every gun they carry
+     */
+    function _resupply() {
+        if (!MyApp.Player) return;
+
+        const reward = _settings.weaponRewards[_wave];
+        if (reward) {
+            MyApp.Player.giveWeapon(reward);
+        }
+
+        MyApp.Player.heal(_settings.resupplyHealth);
+        MyApp.Player.addArmor(_settings.resupplyArmor);
+
+        if (MyApp.Weapons && typeof MyApp.Player.getLoadout === 'function') {
+            const ammoTypes = new Set(MyApp.Player.getLoadout().weapons
+                .map(weapon => weapon.ammoType)
+                .filter(Boolean));
+
+            for (const id of ammoTypes) {
+                const ammoType = MyApp.Weapons.getAmmoType(id);
+                if (ammoType) {
+                    MyApp.Player.addAmmo(Math.round(ammoType.max * _settings.resupplyAmmo), id);
+                }
+            }
+        }
+
+        _events.emit('resupply');
+    }
+
+    /**
+     * Spawn the next queued enemy, keeping it queued if there is no room yet
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     */
+    function _spawnNext(player, map) {
+        const position = _pickSpawnPoint(player, map);
+        if (!position) return;
+
+        const enemy = MyApp.Enemy.addEnemy({
+            type: _queue[0],
+            position,
+            rotation: Math.atan2(player.position.x - position.x, player.position.z - position.z)
+        });
+        if (!enemy) return; // At the enemy limit
+
+        _queue.shift();
+        _alive.add(enemy);
+        enemy.vitals.on('death', () => _alive.delete(enemy));
+
+        _events.emit('spawn', enemy, _wave);
+    }
+
+    /**
+     * Pick where the next enemy comes in
+     * Uses the arena's spawn points away from the player, or any free space elsewhere
+     * @param {Object} player - Player state
+     * @param {Object} map - Map to spawn in
+     * @returns {Vector3|null} Spawn position, or null if none is available
+     */
+    function _pickSpawnPoint(player, map) {
+        const spawns = map.getArenaSpawns ? map.getArenaSpawns() : null;
+
+        if (!spawns) {
+            const space = map.getRandomFreeSpace();
+            return space ? new Vector3(space.x, 0, space.z) : null;
+        }
+
+        const minDistanceSq = _settings.minSpawnDistance * _settings.minSpawnDistance;
+        const candidates = spawns.enemies.filter(point => {
+            const dx = point.x - player.position.x;
+            const dz = point.z - player.position.z;
+            return dx * dx + dz * dz >= minDistanceSq;
+        });
+        if (candidates.length === 0) return null;
+
+        const point = candidates[Utils.randomInt(0, candidates.length - 1, 'ai')];
+        return new Vector3(point.x, 0, point.z);
+    }
+
+    /**
+     * Get the state of the current wave
+     * @returns {Object} {wave, phase, boss, remaining, countdown} with countdown in ms to the next wave
+     */
+    function getState() {
+        const countdown = _phase === PHASE.INTERMISSION ?
+            Math.max(0, _getIntermissionTime() - (Utils.gameTime() - _phaseStartTime)) :
+            0;
+
+        return {
+            wave: _wave,
+            phase: _phase,
+            boss: _wave > 0 && _wave % _settings.bossEvery === 0,
+            remaining: _queue.length + _alive.size,
+            countdown
+        };
+    }
+
+    /**
+     * Start over, counting down to the first wave
+     */
+    function reset() {
+        _wave = 0;
+        _phase = PHASE.INTERMISSION;
+        _phaseStartTime = Utils.gameTime();
+        _lastSpawnTime = 0;
+        _queue = [];
+        _alive.clear();
+    }
+
+    /**
+     * Register an event listener
+     * @param {string} event - Event name ('waveStart', 'waveComplete', 'resupply', 'spawn')
+     * @param {Function} callback - Event callback
+     * @returns {Function} Unsubscribe function
+     */
+    function on(event, callback) {
+        return _events.on(event, callback);
+    }
+
+    // Export the public API
+    MyApp.Waves = {
+        init,
+        update,
+        getWave,
+        getState,
+        reset,
+        on,
+        PHASE
+    };
+
+    console.log('Waves module loaded');
+})(window.MyApp || (window.MyApp = {}));
@@ -0,0 +1,404 @@
+/**
+ * Weapons module for the FPS game
+ * Registry of data-driven weapon definitions, validated against a schema
+ */
+(function (MyApp) {
+    // Dependencies
+    const DAMAGE_TYPE = MyApp.Health.DAMAGE_TYPE;
+
+    // Fire modes
+    const FIRE_MODE = {
+        SEMI: 'semi',   // One shot per trigger pull
+        AUTO: 'auto',   // Keeps firing while the trigger is held
+        BURST: 'burst'  // Several shots per trigger pull
+    };
+
+    // Reload types
+    const RELOAD_TYPE = {
+        MAGAZINE: 'magazine', // Whole magazine at once
+        SHELL: 'shell'        // One round at a time, interruptible by firing
+    };
+
+    // Private variables
+    const _weapons = {};   // Registered definitions by id
+    const _ammoTypes = {}; // Registered ammo types by id
+
+    // Definition fields with their type, limits and default
+    // Fields without a default are required, unless the field named by requiredUnless is set
+    const SCHEMA = {
+        name: { type: 'string' },
+        slot: { type: 'integer', min: 1, max: 9 },
+        textureId: { type: 'integer', min: 0, default: 0 },
+        melee: { type: 'boolean', default: false },                // Swings at a cone in front instead of shooting
+        meleeAngle: { type: 'number', min: 0, max: Math.PI / 2, default: 0.5 }, // Cone half-angle, radians
+        swingTime: { type: 'number', min: 0, default: 150 },       // ms from the start of a swing to the hit
+        backstabMultiplier: { type: 'number', min: 1, default: 1 }, // Damage multiplier from behind
+        stagger: { type: 'number', min: 0, default: 0 },           // ms a melee hit stuns for
+        fireMode: { type: 'enum', values: Object.values(FIRE_MODE), default: FIRE_MODE.SEMI },
+        burstCount: { type: 'integer', min: 1, default: 3 },       // Shots per burst
+        burstDelay: { type: 'number', min: 0, default: 80 },       // ms between burst shots
+        cooldown: { type: 'number', min: 0 },                      // ms between trigger pulls
+        damage: { type: 'number', min: 0 },                        // Per pellet
+        damageType: { type: 'enum', values: Object.values(DAMAGE_TYPE), default: DAMAGE_TYPE.BULLET },
+        pellets: { type: 'integer', min: 1, default: 1 },          // Rays per shot
+        spread: { type: 'number', min: 0, max: Math.PI / 4, default: 0 }, // Cone half-angle, radians
+        range: { type: 'number', min: 0 },
+        falloff: { type: 'curve', default: [[0, 1], [1, 0]] },     // [range fraction, damage multiplier] points
+        recoil: { type: 'number', min: 0, default: 0 },            // Upward view kick per shot, radians
+        noise: { type: 'number', min: 0, default: 20 },            // Loudness of a shot, see Noise
+        projectileSpeed: { type: 'number', min: 0, default: 0 },   // Units per tick, 0 for hitscan
+        projectileTextureId: { type: 'integer', min: 0, default: 1 }, // Effect sprite of the projectile
+        splashRadius: { type: 'number', min: 0, default: 0 },      // Explosion radius of projectiles
+        splashDamage: { type: 'number', min: 0, default: 0 },      // Explosion damage at its center
+        knockback: { type: 'number', min: 0, default: 0 },         // Explosion push, units per tick
+        ammoType: { type: 'ammoType', requiredUnless: 'melee' },
+        magazineSize: { type: 'integer', min: 1, requiredUnless: 'melee' },
+        reloadType: { type: 'enum', values: Object.values(RELOAD_TYPE), default: RELOAD_TYPE.MAGAZINE },
+        reloadTime: { type: 'number', min: 0, requiredUnless: 'melee' } // ms per magazine, or per round for shell reloads
+    };
+
+    // Built-in ammo types
+    const AMMO_TYPES = {
+        bullets: { max: 200 },
+        shells: { max: 50 },
+        rockets: { max: 50 },
+        cells: { max: 300 }
+    };
+
+    // Built-in weapons
+    const DEFINITIONS = {
+        fist: {
+            name: 'Fist',
+            slot: 1,
+            textureId: 5,
+            melee: true,
+            meleeAngle: 0.6,
+            swingTime: 150,
+            backstabMultiplier: 3,
+            stagger: 600,
+            cooldown: 450,
+            damage: 20,
+            damageType: 'melee',
+            range: 1.2,
+            noise: 2
+        },
+        pistol: {
+            name: 'Pistol',
+            slot: 1,
+            textureId: 0,
+            fireMode: 'semi',
+            cooldown: 500,
+            damage: 25,
+            spread: 0.01,
+            range: 50,
+            falloff: [[0, 1], [0.5, 0.8], [1, 0.3]],
+            recoil: 0.01,
+            ammoType: 'bullets',
+            magazineSize: 12,
+            reloadType: 'magazine',
+            reloadTime: 1500
+        },
+        shotgun: {
+            name: 'Shotgun',
+            slot: 2,
+            textureId: 1,
+            fireMode: 'semi',
+            cooldown: 900,
+            damage: 15,
+            pellets: 6,
+            spread: 0.08,
+            range: 30,
+            falloff: [[0, 1], [0.3, 0.7], [1, 0]],
+            recoil: 0.04,
+            noise: 28,
+            ammoType: 'shells',
+            magazineSize: 8,
+            reloadType: 'shell',
+            reloadTime: 400
+        },
+        rifle: {
+            name: 'Rifle',
+            slot: 3,
+            textureId: 2,
+            fireMode: 'auto',
+            cooldown: 100,
+            damage: 35,
+            spread: 0.005,
+            range: 100,
+            falloff: [[0, 1], [1, 0.5]],
+            recoil: 0.008,
+            noise: 24,
+            ammoType: 'bullets',
+            magazineSize: 30,
+            reloadType: 'magazine',
+            reloadTime: 2500
+        },
+        rocketLauncher: {
+            name: 'Rocket Launcher',
+            slot: 4,
+            textureId: 3,
+            fireMode: 'semi',
+            cooldown: 800,
+            damage: 40,
+            damageType: 'explosion',
+            range: 100,
+            recoil: 0.05,
+            noise: 12,
+            projectileSpeed: 0.35,
+            projectileTextureId: 1,
+            splashRadius: 2.5,
+            splashDamage: 100,
+            knockback: 0.3,
+            ammoType: 'rockets',
+            magazineSize: 4,
+            reloadType: 'shell',
+            reloadTime: 600
+        },
+        plasmaGun: {
+            name: 'Plasma Gun',
+            slot: 5,
+            textureId: 4,
+            fireMode: 'auto',
+            cooldown: 90,
+            damage: 20,
+            damageType: 'energy',
+            spread: 0.01,
+            range: 100,
+            recoil: 0.004,
+            noise: 14,
+            projectileSpeed: 0.6,
+            projectileTextureId: 2,
+            ammoType: 'cells',
+            magazineSize: 40,
+            reloadType: 'magazine',
+            reloadTime: 2000
+        }
+    };
+
+    /**
+     * Register an ammo type
+     * @param {string} id - Ammo type id
+     * @param {Object} definition - Ammo definition
+     * @param {number} definition.max - Most reserve ammo the player can carry
+     * @returns {boolean} True if registered
+     */
+    function registerAmmoType(id, definition) {
+        if (typeof id !== 'string' || !id) {
+            console.error('Ammo type needs a string id');
+            return false;
+        }
+
+        if (!definition || !Number.isInteger(definition.max) || definition.max < 0) {
+            console.error(`Invalid ammo type '${id}': max must be a non-negative integer`);
+            return false;
+        }
+
+        _ammoTypes[id] = { max: definition.max };
+        return true;
+    }
+
+    /**
+     * Check a weapon definition against the schema
+     * @param {Object} definition - Weapon definition
+     * @returns {Array} Problems found, one message per bad field (empty if valid)
+     */
+    function validate(definition) {
+        if (!definition || typeof definition !== 'object') {
+            return ['definition must be an object'];
+        }
+
+        const errors = [];
+
+        // Catch typos in field names
+        for (const field of Object.keys(definition)) {
+            if (!SCHEMA[field]) {
+                errors.push(`unknown field '${field}'`);
+            }
+        }
+
+        for (const [field, rule] of Object.entries(SCHEMA)) {
+            const value = definition[field];
+
+            if (value === undefined) {
+                if (!('default' in rule) && !(rule.requiredUnless && definition[rule.requiredUnless])) {
+                    errors.push(`missing required field '${field}'`);
+                }
+                continue;
+            }
+
+            const error = _checkField(value, rule);
+            if (error) {
+                errors.push(`'${field}' ${error} (got ${JSON.stringify(value)})`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check one field value against its rule
+     * @param {*} value - Field value
+     * @param {Object} rule - Schema rule
+     * @returns {string|null} What is wrong with the value, or null if valid
+     */
+    function _checkField(value, rule) {
+        switch (rule.type) {
+            case 'string':
+                return typeof value === 'string' && value ? null : 'must be a non-empty string';
+
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+
+            case 'enum':
+                return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+
+            case 'ammoType':
+                return _ammoTypes[value] ? null : `must be a registered ammo type (${Object.keys(_ammoTypes).join(', ')})`;
+
+            case 'curve':
+                return _checkCurve(value);
+
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) return 'must be a number';
+                if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+                if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+                if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+                return null;
+
+            default:
+                return `has unknown schema type '${rule.type}'`;
+        }
+    }
+
+    /**
+     * Check a falloff curve
+     * @param {*} curve - Curve value
+     * @returns {string|null} What is wrong with the curve, or null if valid
+     */
+    function _checkCurve(curve) {
+        if (!Array.isArray(curve) || curve.length < 2) {
+            return 'must be an array of at least two [distance, multiplier] points';
+        }
+
+        for (let i = 0; i < curve.length; i++) {
+            const point = curve[i];
+            if (!Array.isArray(point) || point.length !== 2 ||
+                typeof point[0] !== 'number' || typeof point[1] !== 'number') {
+                return `point ${i} must be a [distance, multiplier] pair of numbers`;
+            }
+            if (point[0] < 0 || point[0] > 1) {
+                return `point ${i} distance must be between 0 and 1`;
+            }
+            if (point[1] < 0) {
+                return `point ${i} multiplier must not be negative`;
+            }
+            if (i > 0 && point[0] <= curve[i - 1][0]) {
+                return 'points must be in increasing distance order';
+            }
+        }
+
+        if (curve[0][0] !== 0 || curve[curve.length - 1][0] !== 1) {
+            return 'must start at distance 0 and end at distance 1';
+        }
+
+        return null;
+    }
+
+    /**
+     * Register a weapon definition
+     * Invalid definitions are reported and rejected
+     * @param {string} id - Weapon id, used as the weapon type
+     * @param {Object} definition - Weapon definition (see SCHEMA)
+     * @returns {boolean} True if registered
+     */
+    function register(id, definition) {
+        if (typeof id !== 'string' || !id) {
+            console.error('Weapon definition needs a string id');
+            return false;
+        }
+
+        const errors = validate(definition);
+        if (errors.length > 0) {
+            console.error(`Invalid weapon definition '${id}': ${errors.join('; ')}`);
+            return false;
+        }
+
+        // Store a copy with defaults filled in, fields a melee weapon can leave out are null
+        const weapon = { id };
+        for (const [field, rule] of Object.entries(SCHEMA)) {
+            const value = definition[field] !== undefined ? definition[field] :
+                'default' in rule ? rule.default : null;
+            weapon[field] = field === 'falloff' ? value.map(point => point.slice()) : value;
+        }
+
+        _weapons[id] = weapon;
+        return true;
+    }
+
+    /**
+     * Get a registered weapon definition
+     * @param {string} id - Weapon id
+     * @returns {Object|null} Definition, or null if not registered
+     */
+    function get(id) {
+        return _weapons[id] || null;
+    }
+
+    /**
+     * Get all registered weapon ids
+     * @returns {Array} Weapon ids
+     */
+    function list() {
+        return Object.keys(_weapons);
+    }
+
+    /**
+     * Get a registered ammo type
+     * @param {string} id - Ammo type id
+     * @returns {Object|null} Ammo type, or null if not registered
+     */
+    function getAmmoType(id) {
+        return _ammoTypes[id] || null;
+    }
+
+    /**
+     * Get the damage multiplier at a distance along a falloff curve
+     * @param {Array} curve - Falloff curve points
+     * @param {number} fraction - Distance as a fraction of the weapon's range
+     * @returns {number} Damage multiplier
+     */
+    function sampleFalloff(curve, fraction) {
+        const t = Math.max(0, Math.min(1, fraction));
+
+        for (let i = 1; i < curve.length; i++) {
+            const [x1, y1] = curve[i];
+            if (t <= x1) {
+                const [x0, y0] = curve[i - 1];
+                return y0 + (y1 - y0) * (t - x0) / (x1 - x0);
+            }
+        }
+
+        return curve[curve.length - 1][1];
+    }
+
+    // Register the built-in ammo types and weapons
+    Object.entries(AMMO_TYPES).forEach(([id, definition]) => registerAmmoType(id, definition));
+    Object.entries(DEFINITIONS).forEach(([id, definition]) => register(id, definition));
+
+    // Export the public API
+    MyApp.Weapons = {
+        register,
+        registerAmmoType,
+        validate,
+        get,
+        list,
+        getAmmoType,
+        sampleFalloff,
+        SCHEMA,
+        FIRE_MODE,
+        RELOAD_TYPE
+    };
+
+    console.log('Weapons module loaded');
+})(window.MyApp || (window.MyApp = {}));